@@ -1,6 +1,10 @@
 # Shared Invite Management Targets
 # Usage: Include this file in your project Makefile
 #
+# Invites are stored as JSON under invite:<token>, in the schema shared with
+# createInviteStore in @demo-platform/queue-manager-core:
+#   {token, createdAt, expiresAt, maxUses, useCount, status, label, priority}
+#
 # Required variables (set before include):
 #   COMPOSE_DEV - Docker compose command with dev override
 #   REDIS_SERVICE - Redis service name
@@ -10,6 +14,7 @@
 #   EXPIRES - Invite expiration (default: 24h)
 #   LABEL - Invite label (default: Demo)
 #   MAX_USES - Max uses per invite (default: 1)
+#   PRIORITY - Queue lane for the invite, e.g. customer (default: normal)
 #
 # Example:
 #   COMPOSE_DEV := docker compose -p jira-demo -f docker-compose.yml -f docker-compose.dev.yml
@@ -21,6 +26,7 @@
 EXPIRES ?= 24h
 LABEL ?= Demo
 MAX_USES ?= 1
+PRIORITY ?= normal
 
 # Invite management targets
 .PHONY: invite invite-local invite-list invite-revoke invite-cleanup
@@ -33,7 +39,7 @@ invite:
 	echo "Token: $$TOKEN"; \
 	echo "Expires: $$EXPIRES_AT"; \
 	$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli SET "invite:$$TOKEN" \
-		"{\"token\":\"$$TOKEN\",\"createdAt\":\"$$(date -u +%Y-%m-%dT%H:%M:%SZ)\",\"expiresAt\":\"$$EXPIRES_AT\",\"maxUses\":$(MAX_USES),\"useCount\":0,\"status\":\"active\",\"label\":\"$(LABEL)\"}" \
+		"{\"token\":\"$$TOKEN\",\"createdAt\":\"$$(date -u +%Y-%m-%dT%H:%M:%SZ)\",\"expiresAt\":\"$$EXPIRES_AT\",\"maxUses\":$(MAX_USES),\"useCount\":0,\"status\":\"active\",\"label\":\"$(LABEL)\",\"priority\":\"$(PRIORITY)\"}" \
 		EX 604800; \
 	echo ""; \
 	echo "Invite URL: $(BASE_URL)/?invite=$$TOKEN"
@@ -45,7 +51,7 @@ invite-local: invite
 ## List all active invites
 invite-list:
 	@echo "Active invites:"
-	@$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli KEYS "invite:*" | while read key; do \
+	@$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli --scan --pattern "invite:*" | while read key; do \
 		if [ -n "$$key" ]; then \
 			data=$$($(COMPOSE_DEV) exec -T $(REDIS_SERVICE) redis-cli GET "$$key"); \
 			token=$$(echo "$$data" | jq -r '.token // empty' 2>/dev/null); \
@@ -54,8 +60,9 @@ invite-list:
 			label=$$(echo "$$data" | jq -r '.label // "none"' 2>/dev/null); \
 			uses=$$(echo "$$data" | jq -r '.useCount // 0' 2>/dev/null); \
 			max=$$(echo "$$data" | jq -r '.maxUses // 1' 2>/dev/null); \
+			priority=$$(echo "$$data" | jq -r '.priority // "normal"' 2>/dev/null); \
 			if [ -n "$$token" ]; then \
-				echo "  $$token - Status: $$status, Uses: $$uses/$$max, Expires: $$expires, Label: $$label"; \
+				echo "  $$token - Status: $$status, Uses: $$uses/$$max, Expires: $$expires, Label: $$label, Priority: $$priority"; \
 			fi; \
 		fi; \
 	done
@@ -71,15 +78,15 @@ endif
 		echo "Invite not found"; \
 		exit 1; \
 	fi; \
-	updated=$$(echo "$$data" | jq '.status = "revoked"'); \
-	$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli SET "invite:$(TOKEN)" "$$updated"; \
+	updated=$$(echo "$$data" | jq -c '.status = "revoked"'); \
+	$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli SET "invite:$(TOKEN)" "$$updated" KEEPTTL; \
 	echo "Invite revoked"
 
 ## Cleanup expired invites
 invite-cleanup:
 	@echo "Cleaning up expired invites..."
 	@count=0; \
-	$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli KEYS "invite:*" | while read key; do \
+	$(COMPOSE_DEV) exec $(REDIS_SERVICE) redis-cli --scan --pattern "invite:*" | while read key; do \
 		if [ -n "$$key" ]; then \
 			data=$$($(COMPOSE_DEV) exec -T $(REDIS_SERVICE) redis-cli GET "$$key"); \
 			expires=$$(echo "$$data" | jq -r '.expiresAt // empty' 2>/dev/null); \
@@ -0,0 +1,292 @@
+/**
+ * Declarative credential profiles for session env files.
+ *
+ * A profile lists the variables a demo container needs, where each value
+ * comes from (config/environment, a literal, or derived from the session),
+ * which ones are required, and per-scenario overrides. Rendering a profile
+ * for a session produces the credentials object for createSessionEnvFile.
+ */
+
+const { isValidEnvKey } = require('./dotenv');
+
+/**
+ * Error thrown when a profile can't be rendered.
+ *
+ * code is one of:
+ * - MISSING_REQUIRED: required variables have no value (see missing)
+ * - UNKNOWN_SCENARIO: the scenario has no overrides defined and strict is set
+ * - DERIVE_FAILED: a derive function threw (see key)
+ */
+class CredentialProfileError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {Object} [details] - { missing, key, scenario }
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CredentialProfileError';
+    this.code = code;
+    this.missing = details.missing || [];
+    this.key = details.key;
+    this.scenario = details.scenario;
+  }
+}
+
+/**
+ * Check whether a value counts as missing.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and ''
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Normalize a variable definition.
+ *
+ * Shorthands: a string or number is a literal value, a function is a
+ * derive function, and null removes the variable (scenario overrides).
+ *
+ * @param {string} name - Variable name
+ * @param {*} definition - Variable definition
+ * @returns {Object|null} { from, value, default, derive, required } or null if removed
+ */
+function normalizeVariable(name, definition) {
+  if (!isValidEnvKey(name)) {
+    throw new Error(`Invalid env variable name in profile: ${JSON.stringify(name)}`);
+  }
+  if (definition === null) {
+    return null;
+  }
+  if (typeof definition === 'function') {
+    return { derive: definition, required: false };
+  }
+  if (typeof definition !== 'object') {
+    return { value: definition, required: false };
+  }
+
+  const sources = ['from', 'value', 'derive'].filter((field) => definition[field] !== undefined);
+  if (sources.length > 1) {
+    throw new Error(`Variable ${name} can only use one of from, value or derive`);
+  }
+  if (definition.derive !== undefined && typeof definition.derive !== 'function') {
+    throw new Error(`derive for ${name} must be a function`);
+  }
+
+  return {
+    from: sources.length === 0 ? name : definition.from,
+    value: definition.value,
+    default: definition.default,
+    derive: definition.derive,
+    required: Boolean(definition.required)
+  };
+}
+
+/**
+ * Create a credential profile.
+ *
+ * Variable definitions:
+ * - { from: 'CONFIG_KEY' }: read from options.source (default: the variable's own name)
+ * - { value: 'literal' } or 'literal': fixed value
+ * - { derive: (ctx) => value } or a function: computed per session from
+ *   ctx = { sessionId, scenario, ...context }
+ * - required: true to fail when no value is found; default: fallback value
+ *
+ * Scenario overrides are merged over the base variables; null removes one.
+ * Variables without a value that aren't required are left out of the file.
+ *
+ * @param {Object} schema - Profile schema
+ * @param {Object} schema.variables - Variable name -> definition
+ * @param {Object} [schema.scenarios] - Scenario name -> { variable name -> definition | null }
+ * @param {Object} [options] - Profile options
+ * @param {Object|Function} [options.source=process.env] - Config object or (key) => value
+ * @param {boolean} [options.strictScenarios=false] - Reject scenarios not listed in schema.scenarios
+ * @returns {Object} Credential profile
+ *
+ * @example
+ * const profile = createCredentialProfile({
+ *   variables: {
+ *     GITHUB_TOKEN: { required: true },
+ *     GITHUB_ORG: { default: 'demo-org' },
+ *     CLAUDE_CODE_OAUTH_TOKEN: {},
+ *     ANTHROPIC_API_KEY: {},
+ *     SESSION_ID: ({ sessionId }) => sessionId,
+ *     SESSION_TOKEN: ({ sessionId }) => generateSessionToken(sessionId, keyring, { expiresInMs: 300000 })
+ *   },
+ *   scenarios: {
+ *     'pull-requests': { GITHUB_REPO: 'demo-prs' },
+ *     'read-only': { GITHUB_TOKEN: { from: 'GITHUB_READONLY_TOKEN', required: true } }
+ *   }
+ * }, { source: config });
+ *
+ * profile.validate(); // at startup
+ * const credentials = profile.render({ sessionId, scenario: 'pull-requests' });
+ */
+function createCredentialProfile(schema, options = {}) {
+  const { source = process.env, strictScenarios = false } = options;
+
+  if (!schema || typeof schema.variables !== 'object' || schema.variables === null) {
+    throw new Error('schema.variables must be an object');
+  }
+
+  const lookup = typeof source === 'function' ? source : (key) => source[key];
+
+  const baseVariables = new Map();
+  for (const [name, definition] of Object.entries(schema.variables)) {
+    const variable = normalizeVariable(name, definition);
+    if (variable) {
+      baseVariables.set(name, variable);
+    }
+  }
+
+  // Map: scenario -> Map(name -> variable | null)
+  const scenarios = new Map();
+  for (const [scenario, overrides] of Object.entries(schema.scenarios || {})) {
+    if (!overrides || typeof overrides !== 'object') {
+      throw new Error(`Overrides for scenario ${scenario} must be an object`);
+    }
+    scenarios.set(scenario, new Map(
+      Object.entries(overrides).map(([name, definition]) => [name, normalizeVariable(name, definition)])
+    ));
+  }
+
+  /**
+   * Resolve the variable definitions for a scenario.
+   *
+   * @param {string} [scenario] - Scenario name
+   * @returns {Map} Variable name -> definition
+   */
+  function variablesFor(scenario) {
+    if (scenario !== undefined && !scenarios.has(scenario) && strictScenarios) {
+      throw new CredentialProfileError(`Unknown scenario: ${scenario}`, 'UNKNOWN_SCENARIO', { scenario });
+    }
+
+    const variables = new Map(baseVariables);
+    for (const [name, variable] of scenarios.get(scenario) || []) {
+      if (variable === null) {
+        variables.delete(name);
+      } else {
+        variables.set(name, variable);
+      }
+    }
+    return variables;
+  }
+
+  /**
+   * Resolve a non-derived variable's value.
+   *
+   * @param {Object} variable - Variable definition
+   * @returns {*} Value, or undefined if missing
+   */
+  function resolveStatic(variable) {
+    const value = variable.value !== undefined ? variable.value : lookup(variable.from);
+    return isMissing(value) ? variable.default : value;
+  }
+
+  /**
+   * Render the profile for a session.
+   *
+   * @param {Object} context - Session context
+   * @param {string} context.sessionId - Session identifier
+   * @param {string} [context.scenario] - Scenario name
+   * @returns {Object} Credentials (variable name -> value)
+   * @throws {CredentialProfileError} If required variables are missing
+   */
+  function render(context) {
+    if (!context || !context.sessionId || typeof context.sessionId !== 'string') {
+      throw new Error('context.sessionId must be a non-empty string');
+    }
+
+    const variables = variablesFor(context.scenario);
+
+    // Check static required values before deriving anything (e.g. minting tokens)
+    const missing = Array.from(variables.entries())
+      .filter(([, variable]) => !variable.derive && variable.required && isMissing(resolveStatic(variable)))
+      .map(([name]) => name);
+    if (missing.length > 0) {
+      throw new CredentialProfileError(
+        `Missing required credentials: ${missing.join(', ')}`,
+        'MISSING_REQUIRED',
+        { missing, scenario: context.scenario }
+      );
+    }
+
+    const credentials = {};
+    for (const [name, variable] of variables) {
+      let value;
+      if (variable.derive) {
+        try {
+          value = variable.derive(context);
+        } catch (err) {
+          throw new CredentialProfileError(`Failed to derive ${name}: ${err.message}`, 'DERIVE_FAILED', {
+            key: name,
+            scenario: context.scenario
+          });
+        }
+        if (isMissing(value)) {
+          value = variable.default;
+        }
+      } else {
+        value = resolveStatic(variable);
+      }
+
+      if (isMissing(value)) {
+        if (variable.required) {
+          throw new CredentialProfileError(`Missing required credentials: ${name}`, 'MISSING_REQUIRED', {
+            missing: [name],
+            scenario: context.scenario
+          });
+        }
+        continue;
+      }
+      credentials[name] = value;
+    }
+    return credentials;
+  }
+
+  /**
+   * Check that every required, non-derived variable has a value for the
+   * base profile and every scenario. Call at startup to fail fast.
+   *
+   * @throws {CredentialProfileError} If required variables are missing
+   */
+  function validate() {
+    const missing = new Set();
+    for (const scenario of [undefined, ...scenarios.keys()]) {
+      for (const [name, variable] of variablesFor(scenario)) {
+        if (!variable.derive && variable.required && isMissing(resolveStatic(variable))) {
+          missing.add(scenario === undefined ? name : `${name} (scenario ${scenario})`);
+        }
+      }
+    }
+    if (missing.size > 0) {
+      const list = Array.from(missing);
+      throw new CredentialProfileError(`Missing required credentials: ${list.join(', ')}`, 'MISSING_REQUIRED', {
+        missing: list
+      });
+    }
+  }
+
+  /**
+   * List the variable names rendered for a scenario.
+   *
+   * @param {string} [scenario] - Scenario name
+   * @returns {Array<string>} Variable names
+   */
+  function variableNames(scenario) {
+    return Array.from(variablesFor(scenario).keys());
+  }
+
+  return {
+    render,
+    validate,
+    variableNames
+  };
+}
+
+module.exports = {
+  CredentialProfileError,
+  createCredentialProfile
+};
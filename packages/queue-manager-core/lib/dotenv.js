@@ -0,0 +1,152 @@
+/**
+ * Env file serialization following Docker's --env-file rules.
+ *
+ * Docker reads each line as KEY=VALUE: the line is left-trimmed, lines
+ * starting with '#' are comments and everything after the first '=' is
+ * the value, verbatim. There is no quoting or escape processing, so
+ * quotes, '#' and surrounding spaces are preserved as-is, while values
+ * containing line breaks cannot be represented at all.
+ */
+
+// POSIX environment variable names
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Docker scans env files with bufio.Scanner, which caps lines at 64 KiB
+const MAX_LINE_BYTES = 64 * 1024 - 1;
+
+// Unpaired UTF-16 surrogates, the only JS strings that aren't valid UTF-8
+const LONE_SURROGATE_PATTERN = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Error thrown for credentials that cannot be written to an env file.
+ *
+ * code is one of:
+ * - INVALID_KEY: key is not a valid environment variable name
+ * - INVALID_VALUE: value contains a line break, NUL or invalid UTF-8
+ * - LINE_TOO_LONG: KEY=VALUE exceeds Docker's 64 KiB line limit
+ * - PARSE_ERROR: env file content is malformed
+ */
+class EnvFileError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {string} [key] - Offending variable name
+   */
+  constructor(message, code, key) {
+    super(message);
+    this.name = 'EnvFileError';
+    this.code = code;
+    this.key = key;
+  }
+}
+
+/**
+ * Check whether a string is a valid environment variable name.
+ *
+ * @param {string} key - Variable name
+ * @returns {boolean} True if valid
+ */
+function isValidEnvKey(key) {
+  return typeof key === 'string' && ENV_KEY_PATTERN.test(key);
+}
+
+/**
+ * Serialize one variable as an env file line.
+ *
+ * @param {string} key - Variable name
+ * @param {string|number|boolean} value - Variable value
+ * @returns {string} KEY=VALUE line (without newline)
+ * @throws {EnvFileError} If the key or value cannot be represented
+ */
+function serializeEnvLine(key, value) {
+  if (!isValidEnvKey(key)) {
+    throw new EnvFileError(`Invalid env variable name: ${JSON.stringify(key)}`, 'INVALID_KEY', key);
+  }
+  if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    throw new EnvFileError(`Value for ${key} must be a string, number or boolean`, 'INVALID_VALUE', key);
+  }
+
+  const text = String(value);
+  if (/[\r\n\0]/.test(text)) {
+    throw new EnvFileError(`Value for ${key} contains a line break or NUL byte`, 'INVALID_VALUE', key);
+  }
+  if (LONE_SURROGATE_PATTERN.test(text)) {
+    throw new EnvFileError(`Value for ${key} is not valid UTF-8`, 'INVALID_VALUE', key);
+  }
+
+  const line = `${key}=${text}`;
+  if (Buffer.byteLength(line, 'utf8') > MAX_LINE_BYTES) {
+    throw new EnvFileError(`Value for ${key} exceeds the 64 KiB env file line limit`, 'LINE_TOO_LONG', key);
+  }
+  return line;
+}
+
+/**
+ * Serialize credentials as env file content.
+ *
+ * Entries whose value is undefined, null or '' are skipped.
+ *
+ * @param {Object} credentials - Variable name -> value
+ * @returns {string} Env file content, one KEY=VALUE line per variable
+ * @throws {EnvFileError} If any key or value cannot be represented
+ *
+ * @example
+ * serializeEnvFile({ API_TOKEN: 'a#b "c"', EMPTY: '' });
+ * // 'API_TOKEN=a#b "c"\n'
+ */
+function serializeEnvFile(credentials) {
+  if (!credentials || typeof credentials !== 'object') {
+    throw new Error('credentials must be an object');
+  }
+
+  return Object.entries(credentials)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => serializeEnvLine(key, value) + '\n')
+    .join('');
+}
+
+/**
+ * Parse env file content the way Docker's --env-file does.
+ *
+ * Lines without '=' (which Docker fills in from the host environment)
+ * are rejected since session env files never rely on them.
+ *
+ * @param {string} content - Env file content
+ * @returns {Object} Variable name -> value
+ * @throws {EnvFileError} If a line is malformed
+ *
+ * @example
+ * parseEnvFile('# comment\nAPI_TOKEN= spaced value \n');
+ * // { API_TOKEN: ' spaced value ' }
+ */
+function parseEnvFile(content) {
+  const variables = {};
+  const lines = String(content).replace(/^\uFEFF/, '').split('\n');
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '').replace(/^\s+/, '');
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      throw new EnvFileError(`Line ${index + 1} has no '='`, 'PARSE_ERROR');
+    }
+    const key = line.slice(0, separator);
+    if (!isValidEnvKey(key)) {
+      throw new EnvFileError(`Line ${index + 1} has an invalid variable name`, 'PARSE_ERROR', key);
+    }
+    variables[key] = line.slice(separator + 1);
+  });
+
+  return variables;
+}
+
+module.exports = {
+  EnvFileError,
+  isValidEnvKey,
+  serializeEnvLine,
+  serializeEnvFile,
+  parseEnvFile
+};
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Decrypt helper for sealed session env files.
+ *
+ * Standalone (no dependencies) so createSessionEnvFile can copy it next to
+ * the sealed files for the demo container's entrypoint to run:
+ *
+ *   eval "$(SESSION_ENV_KEY_FILE=/dev/stdin node /run/session-env/decrypt-session-env.js /run/session-env/session-abc.env.enc)"
+ *
+ * The base64 data key is read from the file named by SESSION_ENV_KEY_FILE
+ * (/dev/stdin, or a mounted key file), falling back to SESSION_ENV_KEY.
+ * The variables are printed as shell `export` statements.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Sealed file format: qmenc1:<iv>:<auth tag>:<ciphertext>, base64 fields
+const SEALED_PREFIX = 'qmenc1';
+
+/**
+ * Decode a base64 data key.
+ *
+ * @param {string|Buffer} key - 32-byte key or its base64 encoding
+ * @returns {Buffer} Key bytes
+ */
+function decodeKey(key) {
+  const buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key || ''), 'base64');
+  if (buffer.length !== 32) {
+    throw new Error('Data key must be 32 bytes (base64 encoded)');
+  }
+  return buffer;
+}
+
+/**
+ * Decrypt sealed env file contents.
+ *
+ * @param {string} sealed - Sealed file contents
+ * @param {string|Buffer} key - Data key (base64 or bytes)
+ * @returns {string} Plaintext env file contents
+ */
+function openSealedEnv(sealed, key) {
+  const [prefix, iv, tag, ciphertext] = String(sealed).trim().split(':');
+  if (prefix !== SEALED_PREFIX || ciphertext === undefined) {
+    throw new Error('Not a sealed env file');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', decodeKey(key), Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(SEALED_PREFIX));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (_err) {
+    throw new Error('Failed to decrypt env file: wrong key or tampered file');
+  }
+}
+
+/**
+ * Convert env file contents to shell export statements.
+ *
+ * @param {string} content - KEY=value lines
+ * @returns {string} export KEY='value' lines
+ */
+function toShellExports(content) {
+  return content.split('\n')
+    .filter((line) => line.includes('=') && !line.startsWith('#'))
+    .map((line) => {
+      const separator = line.indexOf('=');
+      const name = line.slice(0, separator);
+      const value = line.slice(separator + 1);
+      // Never emit a name the shell would interpret as code
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid env variable name in sealed file: ${JSON.stringify(name)}`);
+      }
+      return `export ${name}='${value.replace(/'/g, `'\\''`)}'`;
+    })
+    .join('\n') + '\n';
+}
+
+/**
+ * Read the data key for the command line helper.
+ *
+ * SESSION_ENV_KEY_FILE keeps the key out of the container's configuration
+ * and environment; SESSION_ENV_KEY is the weaker fallback.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string|undefined} Base64 data key
+ */
+function readDataKey(env) {
+  if (env.SESSION_ENV_KEY_FILE) {
+    // Read fd 0 directly: stdin may be a socket, which can't be opened by path
+    const source = env.SESSION_ENV_KEY_FILE === '/dev/stdin' ? 0 : env.SESSION_ENV_KEY_FILE;
+    return fs.readFileSync(source, 'utf8').trim();
+  }
+  return env.SESSION_ENV_KEY;
+}
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    process.stderr.write('Usage: decrypt-session-env.js <sealed-file>\n');
+    process.exit(2);
+  }
+  try {
+    const content = openSealedEnv(fs.readFileSync(file, 'utf8'), readDataKey(process.env));
+    process.stdout.write(toShellExports(content));
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SEALED_PREFIX,
+  decodeKey,
+  openSealedEnv,
+  toShellExports
+};
@@ -4,26 +4,247 @@
  * Creates temporary .env files with restricted permissions (0600)
  * to pass sensitive credentials to spawned containers without
  * exposing them in process arguments or environment variables.
+ *
+ * In encrypted mode the file is sealed with AES-256-GCM under a fresh
+ * per-session data key that never touches disk, so host backups and
+ * volume snapshots only ever see ciphertext.
+ *
+ * Files are written atomically (exclusive, no-follow temp file, fsync,
+ * rename) into a directory that must be owned by this process and not
+ * writable by anyone else, so a pre-planted symlink can't redirect
+ * credentials and a crash never leaves a truncated file in place.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { SEALED_PREFIX } = require('./env-file-decrypt');
+const { serializeEnvFile } = require('./dotenv');
+
+// Name of the decrypt helper copied next to sealed env files
+const DECRYPT_HELPER_FILENAME = 'decrypt-session-env.js';
+
+// Per-instance manifests of files tracked by createEnvFileManager, for crash
+// recovery; .session-env-manifest.json is the single manifest of older versions
+const MANIFEST_PATTERN = /^\.session-env-manifest(?:-([0-9a-f]+))?\.json$/;
+
+// A manager that misses this many reaper heartbeats is presumed gone
+const STALE_HEARTBEATS = 5;
+
+// Temp files younger than this may belong to a write in progress
+const TEMP_FILE_MIN_AGE_MS = 60 * 1000;
+
+// Matches session-<id>.env and session-<id>.env.enc
+const SESSION_FILE_PATTERN = /^session-(.+)\.env(?:\.enc)?$/;
+
+// Matches temp files left by an interrupted writeFileAtomic of a session file
+const SESSION_TEMP_PATTERN = /^\.session-(.+)\.env(?:\.enc)?\.[0-9a-f]+\.tmp$/;
+
+// Session IDs become part of a filename: no separators, dots first, or NULs
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+// O_NOFOLLOW is not available on Windows
+const O_NOFOLLOW = fs.constants.O_NOFOLLOW || 0;
+
+// Instance IDs of the managers open in this process
+const openManagers = new Set();
+
+/**
+ * Validate a session ID for use in a filename.
+ *
+ * @param {string} sessionId - Session identifier
+ */
+function validateSessionId(sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    throw new Error('sessionId must be a non-empty string');
+  }
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    throw new Error('sessionId must be 1-128 characters of A-Z, a-z, 0-9, ., _ or - and not start with . _ or -');
+  }
+}
+
+/**
+ * Create a directory if needed and verify it is safe to write secrets into.
+ *
+ * The directory must be a real directory (not a symlink), owned by the
+ * current user and not writable by group or others.
+ *
+ * @param {string} directory - Directory path
+ */
+function ensureSecureDirectory(directory) {
+  try {
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      throw new Error(`Failed to create env directory: ${err.message}`);
+    }
+  }
+
+  const stats = fs.lstatSync(directory);
+  if (!stats.isDirectory()) {
+    throw new Error(`Env directory ${directory} is not a directory`);
+  }
+  if (typeof process.getuid === 'function' && stats.uid !== process.getuid()) {
+    throw new Error(`Env directory ${directory} is owned by uid ${stats.uid}, expected ${process.getuid()}`);
+  }
+  if ((stats.mode & 0o022) !== 0) {
+    throw new Error(`Env directory ${directory} is writable by group or others (mode ${(stats.mode & 0o777).toString(8)})`);
+  }
+}
+
+/**
+ * Write a file atomically without following symlinks.
+ *
+ * Writes to a temp file in the same directory opened with
+ * O_CREAT|O_EXCL|O_NOFOLLOW, fsyncs it, renames it over the target and
+ * fsyncs the directory. rename() replaces a symlink at the target rather
+ * than writing through it.
+ *
+ * @param {string} filePath - Target path
+ * @param {string|Buffer} content - File contents
+ * @param {number} [mode=0o600] - File mode
+ */
+function writeFileAtomic(filePath, content, mode = 0o600) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  const flags = fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_EXCL | O_NOFOLLOW;
+
+  let fd;
+  try {
+    fd = fs.openSync(tempPath, flags, mode);
+    fs.writeFileSync(fd, content);
+    fs.fchmodSync(fd, mode);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = undefined;
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (_err) {
+      // Already renamed or never created
+    }
+    throw err;
+  }
+
+  // Persist the rename itself; not supported on every platform
+  try {
+    const dirFd = fs.openSync(directory, 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (_err) {
+    // Best effort
+  }
+}
+
+/**
+ * Encrypt env file contents with AES-256-GCM.
+ *
+ * @param {string} content - Plaintext env file contents
+ * @param {Buffer} key - 32-byte data key
+ * @returns {string} Sealed file contents (see env-file-decrypt.js)
+ */
+function sealEnvContent(content, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(SEALED_PREFIX));
+  const ciphertext = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+
+  return [
+    SEALED_PREFIX,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':') + '\n';
+}
+
+/**
+ * Write the decrypt helper into an env directory.
+ *
+ * Always rewritten atomically so a helper planted by someone else is
+ * replaced rather than trusted.
+ *
+ * @param {string} directory - Env file directory
+ * @returns {string} Helper filename
+ */
+function installDecryptHelper(directory) {
+  try {
+    const source = fs.readFileSync(path.join(__dirname, 'env-file-decrypt.js'));
+    writeFileAtomic(path.join(directory, DECRYPT_HELPER_FILENAME), source, 0o755);
+  } catch (err) {
+    throw new Error(`Failed to install decrypt helper: ${err.message}`);
+  }
+  return DECRYPT_HELPER_FILENAME;
+}
+
+/**
+ * Overwrite a file with random bytes, then unlink it.
+ *
+ * Symlinks and other non-regular files are unlinked without being
+ * opened, so cleanup can't be tricked into overwriting another file.
+ * Best effort: copy-on-write filesystems and SSD wear leveling may keep
+ * old blocks, which is why encrypted mode exists.
+ *
+ * @param {string} filePath - File to remove
+ */
+function secureUnlink(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, fs.constants.O_RDWR | O_NOFOLLOW);
+    const stats = fs.fstatSync(fd);
+    if (stats.isFile() && stats.size > 0) {
+      fs.writeSync(fd, crypto.randomBytes(stats.size), 0, stats.size, 0);
+      fs.fsyncSync(fd);
+    }
+  } catch (err) {
+    // ELOOP: the path is a symlink; unlink the link itself below
+    if (err.code !== 'ELOOP') {
+      throw err;
+    }
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+  fs.unlinkSync(filePath);
+}
 
 /**
  * Create a secure session environment file.
  *
  * The file is created with mode 0600 (owner read/write only) to prevent
- * other users from reading sensitive credentials.
+ * other users from reading sensitive credentials. Cleanup overwrites the
+ * file before unlinking it.
+ *
+ * With encrypt: true the file is written as session-<id>.env.enc, sealed
+ * with a fresh data key, and a decrypt helper is copied into the same
+ * directory. Hand the returned key to the container on stdin (docker run -i)
+ * and have its entrypoint run the helper with SESSION_ENV_KEY_FILE=/dev/stdin
+ * (see env-file-decrypt.js). Passing it as -e SESSION_ENV_KEY is weaker: the
+ * key then shows up in `docker inspect`, the container's /proc/<pid>/environ
+ * and the docker CLI's argv.
  *
  * @param {Object} options - Options
  * @param {string} options.sessionId - Unique session identifier
  * @param {string} options.containerPath - Path inside the queue manager container
  * @param {string} options.hostPath - Path on the Docker host (for volume mounts)
- * @param {Object} options.credentials - Key-value pairs to write to the file
+ * @param {Object} options.credentials - Key-value pairs to write to the file (see dotenv.js)
+ * @param {boolean} [options.encrypt=false] - Seal the file with AES-256-GCM
  * @returns {Object} Created file info with cleanup function
  * @returns {string} result.containerPath - Full path to the env file in container
  * @returns {string} result.hostPath - Full path to the env file on host
+ * @returns {boolean} result.encrypted - Whether the file is sealed
+ * @returns {string} [result.key] - Base64 data key (encrypted mode only)
+ * @returns {string} [result.helperHostPath] - Decrypt helper path on host (encrypted mode only)
  * @returns {Function} result.cleanup - Function to remove the env file
+ * @throws {EnvFileError} If a credential name or value cannot be represented
  *
  * @example
  * const envFile = createSessionEnvFile({
@@ -41,18 +262,24 @@ const path = require('path');
  *
  * // Clean up when done
  * envFile.cleanup();
+ *
+ * @example
+ * const sealed = createSessionEnvFile({ sessionId, containerPath, hostPath, credentials, encrypt: true });
+ * const docker = spawn('docker', ['run', '-i',
+ *   '-v', `${sealed.hostPath}:/run/session.env.enc:ro`,
+ *   '-v', `${sealed.helperHostPath}:/run/decrypt-session-env.js:ro`, ...]);
+ * docker.stdin.end(`${sealed.key}\n`);
  */
 function createSessionEnvFile(options) {
   const {
     sessionId,
     containerPath,
     hostPath,
-    credentials
+    credentials,
+    encrypt = false
   } = options;
 
-  if (!sessionId || typeof sessionId !== 'string') {
-    throw new Error('sessionId must be a non-empty string');
-  }
+  validateSessionId(sessionId);
   if (!containerPath || typeof containerPath !== 'string') {
     throw new Error('containerPath must be a non-empty string');
   }
@@ -63,29 +290,23 @@ function createSessionEnvFile(options) {
     throw new Error('credentials must be an object');
   }
 
-  const filename = `session-${sessionId}.env`;
+  const filename = `session-${sessionId}.env${encrypt ? '.enc' : ''}`;
   const fullContainerPath = path.join(containerPath, filename);
   const fullHostPath = path.join(hostPath, filename);
 
-  // Build env file content
-  // Filter out empty/undefined values
-  const envContent = Object.entries(credentials)
-    .filter(([, value]) => value !== undefined && value !== null && value !== '')
-    .map(([key, value]) => `${key}=${value}`)
-    .join('\n') + '\n';
+  // Build env file content before touching disk so invalid credentials
+  // never leave a partial file behind (empty/undefined values are skipped)
+  const envContent = serializeEnvFile(credentials);
 
-  // Ensure directory exists
-  try {
-    fs.mkdirSync(containerPath, { recursive: true });
-  } catch (err) {
-    if (err.code !== 'EEXIST') {
-      throw new Error(`Failed to create env directory: ${err.message}`);
-    }
-  }
+  // Ensure directory exists and nobody else can plant files in it
+  ensureSecureDirectory(containerPath);
+
+  const dataKey = encrypt ? crypto.randomBytes(32) : null;
+  const helperFilename = encrypt ? installDecryptHelper(containerPath) : null;
 
   // Write file with secure permissions (0600 = owner read/write only)
   try {
-    fs.writeFileSync(fullContainerPath, envContent, { mode: 0o600 });
+    writeFileAtomic(fullContainerPath, encrypt ? sealEnvContent(envContent, dataKey) : envContent);
   } catch (err) {
     throw new Error(`Failed to write env file: ${err.message}`);
   }
@@ -93,7 +314,7 @@ function createSessionEnvFile(options) {
   // Create cleanup function
   const cleanup = () => {
     try {
-      fs.unlinkSync(fullContainerPath);
+      secureUnlink(fullContainerPath);
     } catch (err) {
       if (err.code !== 'ENOENT') {
         console.error(`Failed to cleanup env file ${fullContainerPath}: ${err.message}`);
@@ -101,9 +322,22 @@ function createSessionEnvFile(options) {
     }
   };
 
+  if (!encrypt) {
+    return {
+      containerPath: fullContainerPath,
+      hostPath: fullHostPath,
+      encrypted: false,
+      cleanup
+    };
+  }
+
   return {
     containerPath: fullContainerPath,
     hostPath: fullHostPath,
+    encrypted: true,
+    key: dataKey.toString('base64'),
+    helperContainerPath: path.join(containerPath, helperFilename),
+    helperHostPath: path.join(hostPath, helperFilename),
     cleanup
   };
 }
@@ -111,15 +345,49 @@ function createSessionEnvFile(options) {
 /**
  * Create an env file manager that tracks multiple session files.
  *
+ * Each manager records its files in its own manifest
+ * (.session-env-manifest-<instance>.json) in containerPath, along with its
+ * owner (hostname and pid) and a heartbeat the reaper refreshes. Several
+ * managers can share a directory, e.g. the old and new containers during a
+ * rolling deploy. On startup the sweep securely removes, and reports
+ * through onOrphan:
+ * - files listed by a manager that is gone: an earlier process with this
+ *   hostname and pid (a restarted container), or a manager whose heartbeat
+ *   is STALE_HEARTBEATS reaper intervals old ('crashed')
+ * - files listed by any manager that are past their expiresAt ('expired')
+ * - unlisted session files older than ttlMs ('unknown') and temp files from
+ *   interrupted writes older than a minute ('partial')
+ * Files listed by a live manager are left alone until they expire.
+ *
+ * Files expire after ttlMs; a background reaper (unref'd, so it never
+ * keeps the process alive) removes them. Hooks receive an info object
+ * { sessionId, path, createdAt, expiresAt } plus reason for onCleanup
+ * ('manual', 'replaced', 'expired' or 'shutdown') and onOrphan. Hook
+ * errors are logged and ignored.
+ *
  * @param {Object} options - Manager options
  * @param {string} options.containerPath - Base path inside the queue manager container
  * @param {string} options.hostPath - Base path on the Docker host
+ * @param {boolean} [options.encrypt=false] - Seal env files (see createSessionEnvFile)
+ * @param {number|null} [options.ttlMs=3600000] - Default file lifetime (null to disable)
+ * @param {number} [options.reapIntervalMs=60000] - How often the reaper runs and refreshes
+ *   the heartbeat (0 disables both; other managers then only sweep expired files)
+ * @param {boolean} [options.sweepOnStart=true] - Remove orphaned files on creation
+ * @param {Function} [options.onCreate] - (info) => void
+ * @param {Function} [options.onCleanup] - (info) => void
+ * @param {Function} [options.onOrphan] - (info) => void
+ * @param {Object} [options.profile] - Credential profile for createFromProfile
+ *   (see createCredentialProfile)
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics); records
+ *   envFilesCreated, envFilesCleaned and envFilesOrphaned
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
  * @returns {Object} Env file manager
  *
  * @example
  * const manager = createEnvFileManager({
  *   containerPath: '/run/session-env',
- *   hostPath: '/tmp/session-env'
+ *   hostPath: '/tmp/session-env',
+ *   onOrphan: ({ path, reason }) => logger.warn({ path, reason }, 'Removed leaked env file')
  * });
  *
  * const envFile = manager.create('session-123', {
@@ -132,58 +400,407 @@ function createSessionEnvFile(options) {
  * manager.cleanupAll();
  */
 function createEnvFileManager(options) {
-  const { containerPath, hostPath } = options;
+  const {
+    containerPath,
+    hostPath,
+    encrypt = false,
+    ttlMs = 60 * 60 * 1000,
+    reapIntervalMs = 60 * 1000,
+    sweepOnStart = true,
+    onCreate,
+    onCleanup,
+    onOrphan,
+    profile,
+    metrics,
+    now = Date.now
+  } = options;
 
   if (!containerPath || !hostPath) {
     throw new Error('containerPath and hostPath are required');
   }
+  if (ttlMs !== null && !(ttlMs > 0)) {
+    throw new Error('ttlMs must be a positive number or null');
+  }
+
+  // Fail at startup rather than on the first session
+  if (profile) {
+    profile.validate();
+  }
 
-  // Track created env files: sessionId -> { containerPath, hostPath, cleanup }
+  const instance = crypto.randomBytes(8).toString('hex');
+  const owner = { hostname: os.hostname(), pid: process.pid, instance };
+  const manifestPath = path.join(containerPath, `.session-env-manifest-${instance}.json`);
+
+  // Track created env files: sessionId -> { containerPath, hostPath, createdAt, expiresAt, cleanup, ... }
   const files = new Map();
+  let reaper = null;
+
+  /**
+   * Call a lifecycle hook, logging instead of throwing on failure.
+   *
+   * @param {Function} [hook] - Hook to call
+   * @param {Object} info - Hook argument
+   */
+  function notify(hook, info) {
+    if (!hook) {
+      return;
+    }
+    try {
+      hook(info);
+    } catch (err) {
+      console.error(`Env file hook failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Persist the tracked files and a fresh heartbeat to the manifest.
+   */
+  function saveManifest() {
+    const entries = {};
+    for (const [sessionId, envFile] of files) {
+      entries[sessionId] = {
+        filename: path.basename(envFile.containerPath),
+        createdAt: envFile.createdAt,
+        expiresAt: envFile.expiresAt
+      };
+    }
+
+    const heartbeatAt = now();
+    const staleAt = reapIntervalMs > 0 ? heartbeatAt + STALE_HEARTBEATS * reapIntervalMs : null;
+    try {
+      writeFileAtomic(manifestPath, JSON.stringify({ version: 2, owner, heartbeatAt, staleAt, files: entries }));
+    } catch (err) {
+      console.error(`Failed to write env file manifest ${manifestPath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Read another manager's manifest.
+   *
+   * @param {string} filePath - Manifest path
+   * @returns {Object|null} { owner, staleAt, files }, or null if unreadable
+   */
+  function loadManifest(filePath) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return {
+        owner: manifest.owner || null,
+        staleAt: typeof manifest.staleAt === 'number' ? manifest.staleAt : null,
+        files: manifest.files && typeof manifest.files === 'object' ? manifest.files : {}
+      };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable env file manifest ${filePath}: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Decide whether the manager behind a manifest is gone.
+   *
+   * Pids can't be checked across containers, so only an earlier process
+   * with this hostname and pid is known dead; anything else is gone once
+   * its heartbeat is stale. Manifests from older versions have no owner
+   * and are never presumed gone.
+   *
+   * @param {Object} manifest - Manifest from loadManifest
+   * @param {number} nowMs - Current time
+   * @returns {boolean} True if the owner is gone
+   */
+  function isOwnerGone(manifest, nowMs) {
+    if (!manifest.owner) {
+      return false;
+    }
+    if (manifest.owner.hostname === owner.hostname && manifest.owner.pid === owner.pid) {
+      return !openManagers.has(manifest.owner.instance);
+    }
+    return manifest.staleAt !== null && nowMs >= manifest.staleAt;
+  }
+
+  /**
+   * Describe a tracked env file for hooks.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Object} envFile - Tracked env file
+   * @param {string} [reason] - Cleanup reason
+   * @returns {Object} Hook info
+   */
+  function describe(sessionId, envFile, reason) {
+    return {
+      sessionId,
+      path: envFile.containerPath,
+      createdAt: envFile.createdAt,
+      expiresAt: envFile.expiresAt,
+      ...(reason && { reason })
+    };
+  }
+
+  /**
+   * Remove a tracked env file.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {string} reason - Cleanup reason
+   * @param {boolean} [persist=true] - Update the manifest
+   * @returns {boolean} True if a file was tracked
+   */
+  function remove(sessionId, reason, persist = true) {
+    const envFile = files.get(sessionId);
+    if (!envFile) {
+      return false;
+    }
+    envFile.cleanup();
+    files.delete(sessionId);
+    if (persist) {
+      saveManifest();
+    }
+    if (metrics) {
+      metrics.envFilesCleaned.add(1, { reason });
+    }
+    notify(onCleanup, describe(sessionId, envFile, reason));
+    return true;
+  }
 
   /**
    * Create an env file for a session.
    *
    * @param {string} sessionId - Session identifier
    * @param {Object} credentials - Credentials to write
-   * @returns {Object} Env file info
+   * @param {Object} [createOptions] - Per-file options
+   * @param {number|null} [createOptions.ttlMs] - Lifetime for this file (default: manager ttlMs)
+   * @returns {Object} Env file info (includes createdAt and expiresAt)
    */
-  function create(sessionId, credentials) {
+  function create(sessionId, credentials, createOptions = {}) {
+    const { ttlMs: fileTtlMs = ttlMs } = createOptions;
+
     // Clean up existing file for this session if any
-    if (files.has(sessionId)) {
-      cleanup(sessionId);
-    }
+    remove(sessionId, 'replaced', false);
 
-    const envFile = createSessionEnvFile({
-      sessionId,
-      containerPath,
-      hostPath,
-      credentials
-    });
+    const createdAt = now();
+    const envFile = {
+      ...createSessionEnvFile({
+        sessionId,
+        containerPath,
+        hostPath,
+        credentials,
+        encrypt
+      }),
+      createdAt,
+      expiresAt: fileTtlMs === null ? null : createdAt + fileTtlMs
+    };
 
     files.set(sessionId, envFile);
+    saveManifest();
+    if (metrics) {
+      metrics.envFilesCreated.add(1, { encrypted: encrypt });
+    }
+    notify(onCreate, describe(sessionId, envFile));
     return envFile;
   }
 
+  /**
+   * Render the manager's credential profile for a session and write it.
+   *
+   * Fails before anything is written if a required credential is missing.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Object} [renderOptions] - Options
+   * @param {string} [renderOptions.scenario] - Scenario whose overrides apply
+   * @param {Object} [renderOptions.context] - Extra context for derive functions
+   * @param {number|null} [renderOptions.ttlMs] - Lifetime for this file
+   * @returns {Object} Env file info
+   * @throws {CredentialProfileError} If a required credential is missing
+   *
+   * @example
+   * const envFile = manager.createFromProfile(sessionId, { scenario: 'issues' });
+   */
+  function createFromProfile(sessionId, renderOptions = {}) {
+    if (!profile) {
+      throw new Error('createFromProfile requires a profile option');
+    }
+    const { scenario, context = {}, ttlMs: fileTtlMs } = renderOptions;
+    const credentials = profile.render({ ...context, sessionId, scenario });
+    return create(sessionId, credentials, fileTtlMs === undefined ? {} : { ttlMs: fileTtlMs });
+  }
+
   /**
    * Clean up env file for a session.
    *
    * @param {string} sessionId - Session identifier
    */
   function cleanup(sessionId) {
-    const envFile = files.get(sessionId);
-    if (envFile) {
-      envFile.cleanup();
-      files.delete(sessionId);
-    }
+    remove(sessionId, 'manual');
   }
 
   /**
    * Clean up all tracked env files.
+   *
+   * @param {string} [reason='manual'] - Cleanup reason passed to onCleanup
    */
-  function cleanupAll() {
+  function cleanupAll(reason = 'manual') {
     for (const [sessionId] of files) {
-      cleanup(sessionId);
+      remove(sessionId, reason, false);
+    }
+    saveManifest();
+  }
+
+  /**
+   * Remove expired env files.
+   *
+   * @returns {Array<string>} Session IDs whose files were removed
+   */
+  function reap() {
+    const nowMs = now();
+    const expired = Array.from(files.entries())
+      .filter(([, envFile]) => envFile.expiresAt !== null && nowMs >= envFile.expiresAt)
+      .map(([sessionId]) => sessionId);
+
+    for (const sessionId of expired) {
+      remove(sessionId, 'expired', false);
+    }
+    if (expired.length > 0) {
+      saveManifest();
+    }
+    return expired;
+  }
+
+  /**
+   * Remove session env files in containerPath that no live manager claims.
+   *
+   * @returns {Array<Object>} Orphan info { sessionId, path, createdAt, expiresAt, reason }
+   */
+  function sweep() {
+    let entries;
+    try {
+      entries = fs.readdirSync(containerPath);
+    } catch (err) {
+      console.error(`Failed to sweep env directory ${containerPath}: ${err.message}`);
+      return [];
+    }
+
+    const nowMs = now();
+    const tracked = new Set(Array.from(files.values()).map((envFile) => path.basename(envFile.containerPath)));
+    // Map: filename -> { listing, reason } for files other managers list; reason null to keep
+    const claims = new Map();
+    // Manifests of gone managers, removed once their files are
+    const goneManifests = [];
+
+    for (const filename of entries) {
+      const filePath = path.join(containerPath, filename);
+      if (!MANIFEST_PATTERN.test(filename) || filePath === manifestPath) {
+        continue;
+      }
+      const manifest = loadManifest(filePath);
+      if (!manifest) {
+        continue;
+      }
+      const gone = isOwnerGone(manifest, nowMs);
+      if (gone) {
+        goneManifests.push(filePath);
+      }
+      for (const listing of Object.values(manifest.files)) {
+        if (!listing || typeof listing.filename !== 'string') {
+          continue;
+        }
+        const expired = typeof listing.expiresAt === 'number' && nowMs >= listing.expiresAt;
+        const reason = gone ? 'crashed' : expired ? 'expired' : null;
+        // A live claim wins over a gone or expired one
+        const previous = claims.get(listing.filename);
+        if (!previous || (previous.reason !== null && reason === null)) {
+          claims.set(listing.filename, { listing, reason });
+        }
+      }
+    }
+
+    const orphans = [];
+    let failed = false;
+    for (const filename of entries) {
+      const partial = filename.match(SESSION_TEMP_PATTERN);
+      const match = partial || filename.match(SESSION_FILE_PATTERN);
+      if (!match || tracked.has(filename)) {
+        continue;
+      }
+
+      const filePath = path.join(containerPath, filename);
+      const claim = partial ? undefined : claims.get(filename);
+      let reason = claim ? claim.reason : null;
+      if (!claim) {
+        // Unlisted: old enough that no write in progress or live session can own it
+        const minAgeMs = partial ? TEMP_FILE_MIN_AGE_MS : ttlMs;
+        let stats;
+        try {
+          stats = fs.lstatSync(filePath);
+        } catch (_err) {
+          continue;
+        }
+        if (minAgeMs !== null && nowMs - stats.mtimeMs >= minAgeMs) {
+          reason = partial ? 'partial' : 'unknown';
+        }
+      }
+      if (reason === null) {
+        continue;
+      }
+
+      try {
+        secureUnlink(filePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.error(`Failed to remove orphaned env file ${filePath}: ${err.message}`);
+          failed = true;
+        }
+        continue;
+      }
+
+      const orphan = {
+        sessionId: match[1],
+        path: filePath,
+        createdAt: claim ? claim.listing.createdAt : null,
+        expiresAt: claim ? claim.listing.expiresAt : null,
+        reason
+      };
+      orphans.push(orphan);
+      if (metrics) {
+        metrics.envFilesOrphaned.add(1, { reason: orphan.reason });
+      }
+      notify(onOrphan, orphan);
+    }
+
+    // Keep a gone manager's manifest until its files are all removed
+    if (!failed) {
+      for (const filePath of goneManifests) {
+        try {
+          fs.unlinkSync(filePath);
+        } catch (_err) {
+          // Already removed by another manager's sweep
+        }
+      }
+    }
+
+    saveManifest();
+    return orphans;
+  }
+
+  /**
+   * Stop the background reaper.
+   *
+   * @param {Object} [closeOptions] - Options
+   * @param {boolean} [closeOptions.cleanup=false] - Also remove all tracked files
+   */
+  function close(closeOptions = {}) {
+    if (reaper) {
+      clearInterval(reaper);
+      reaper = null;
+    }
+    if (closeOptions.cleanup) {
+      cleanupAll('shutdown');
+    }
+    openManagers.delete(instance);
+    if (files.size === 0) {
+      try {
+        fs.unlinkSync(manifestPath);
+      } catch (_err) {
+        // Never written
+      }
     }
   }
 
@@ -206,19 +823,36 @@ function createEnvFileManager(options) {
     return files.size;
   }
 
-  // Ensure directory exists on creation
+  // Ensure directory exists and is safe on creation
   try {
-    fs.mkdirSync(containerPath, { recursive: true });
+    ensureSecureDirectory(containerPath);
   } catch (err) {
-    if (err.code !== 'EEXIST') {
-      console.error(`Warning: Could not create env directory: ${err.message}`);
-    }
+    console.error(`Warning: ${err.message}`);
+  }
+
+  openManagers.add(instance);
+  if (sweepOnStart) {
+    sweep();
+  }
+
+  if (reapIntervalMs > 0) {
+    // Each run also refreshes the heartbeat other managers check
+    reaper = setInterval(() => {
+      if (reap().length === 0) {
+        saveManifest();
+      }
+    }, reapIntervalMs);
+    reaper.unref();
   }
 
   return {
     create,
+    createFromProfile,
     cleanup,
     cleanupAll,
+    reap,
+    sweep,
+    close,
     get,
     size
   };
@@ -9,38 +9,101 @@
  * - splunk-demo
  *
  * Modules:
- * - session: Session token generation and validation (HMAC-SHA256)
- * - rate-limit: In-memory rate limiting with automatic cleanup
- * - env-file: Secure credential passing via temporary env files
- * - metrics: OpenTelemetry metrics with graceful fallback
- * - reconnection-lock: Atomic lock for reconnection race condition prevention
+ * - session: Session token generation and validation (HMAC-SHA256, Ed25519, ES256)
+ * - keyring: Rotating session signing keys identified by kid, with JWKS export
+ * - revocation: Session token revocation and single-use enforcement
+ * - rate-limit: Rate limiting with pluggable in-memory or Redis stores
+ * - rate-limit-middleware: HTTP and WebSocket upgrade rate limit guards
+ * - env-file: Secure credential passing via temporary, optionally encrypted env files
+ * - dotenv: Docker env-file serialization and parsing
+ * - credential-profile: Declarative per-session credential templates
+ * - metrics: OpenTelemetry metrics and tracing (W3C traceparent propagation) with graceful fallback
+ * - prometheus: In-process metrics registry with Prometheus text exposition
+ * - invites: Redis invite store sharing the invites.mk schema
+ * - queue: Bounded waiting queue with position, promotion and abandonment events
+ * - wait-estimator: Queue ETAs from rolling session durations and early-exit rates
+ * - session-lifecycle: Session state machine with idle, grace and hard timeouts
+ * - reconnection-lock: Reconnection locks (flag, async mutex with fencing tokens, per-key, Redis-backed)
+ * - redis: Redis client normalization and an in-process fake for tests
  */
 
 const session = require('./session');
+const keyring = require('./keyring');
+const revocation = require('./revocation');
 const rateLimit = require('./rate-limit');
+const rateLimitStore = require('./rate-limit-store');
+const rateLimitMiddleware = require('./rate-limit-middleware');
 const envFile = require('./env-file');
+const dotenv = require('./dotenv');
+const credentialProfile = require('./credential-profile');
 const metrics = require('./metrics');
+const prometheus = require('./prometheus');
+const invites = require('./invites');
+const queue = require('./queue');
+const waitEstimator = require('./wait-estimator');
+const sessionLifecycle = require('./session-lifecycle');
 const reconnectionLock = require('./reconnection-lock');
+const redis = require('./redis');
 
 module.exports = {
   // Session token utilities
   generateSessionToken: session.generateSessionToken,
   validateSessionToken: session.validateSessionToken,
   isSessionTokenExpired: session.isSessionTokenExpired,
+  inspectSessionToken: session.inspectSessionToken,
+  createKeyring: keyring.createKeyring,
+  loadKeyring: keyring.loadKeyring,
+  createKeyringFromJWKS: keyring.createKeyringFromJWKS,
+  generateSigningKey: keyring.generateSigningKey,
+  createRevocationList: revocation.createRevocationList,
+  createMemoryRevocationStore: revocation.createMemoryRevocationStore,
+  createRedisRevocationStore: revocation.createRedisRevocationStore,
 
   // Rate limiting
   createRateLimiter: rateLimit.createRateLimiter,
   createConnectionRateLimiter: rateLimit.createConnectionRateLimiter,
   createInviteRateLimiter: rateLimit.createInviteRateLimiter,
+  createMemoryRateLimitStore: rateLimitStore.createMemoryRateLimitStore,
+  createRedisRateLimitStore: rateLimitStore.createRedisRateLimitStore,
+  rateLimitMiddleware: rateLimitMiddleware.rateLimitMiddleware,
+  rateLimitUpgrade: rateLimitMiddleware.rateLimitUpgrade,
+  createClientIpResolver: rateLimitMiddleware.createClientIpResolver,
 
   // Env file management
   createSessionEnvFile: envFile.createSessionEnvFile,
   createEnvFileManager: envFile.createEnvFileManager,
+  serializeEnvFile: dotenv.serializeEnvFile,
+  parseEnvFile: dotenv.parseEnvFile,
+  EnvFileError: dotenv.EnvFileError,
+  createCredentialProfile: credentialProfile.createCredentialProfile,
+  CredentialProfileError: credentialProfile.CredentialProfileError,
 
   // Metrics
   createMetrics: metrics.createMetrics,
   createSpanUtils: metrics.createSpanUtils,
+  formatTraceparent: metrics.formatTraceparent,
+  parseTraceparent: metrics.parseTraceparent,
+  createPrometheusRegistry: prometheus.createPrometheusRegistry,
+  createMetricsHandler: prometheus.createMetricsHandler,
+
+  // Invites
+  createInviteStore: invites.createInviteStore,
+  generateInviteToken: invites.generateInviteToken,
+
+  // Session lifecycle
+  createSessionLifecycle: sessionLifecycle.createSessionLifecycle,
+
+  // Queue
+  createQueue: queue.createQueue,
+  createWaitEstimator: waitEstimator.createWaitEstimator,
 
   // Reconnection lock
-  createReconnectionLock: reconnectionLock.createReconnectionLock
+  createReconnectionLock: reconnectionLock.createReconnectionLock,
+  createKeyedLock: reconnectionLock.createKeyedLock,
+  createRedisLock: reconnectionLock.createRedisLock,
+  LockError: reconnectionLock.LockError,
+
+  // Redis helpers
+  wrapRedisClient: redis.wrapRedisClient,
+  createFakeRedis: redis.createFakeRedis
 };
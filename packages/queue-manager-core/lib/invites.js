@@ -0,0 +1,467 @@
+/**
+ * Invite store for demo platform queue managers.
+ *
+ * Invites live in Redis as JSON under invite:<token>, in the schema the
+ * invites.mk targets write and read:
+ *
+ *   { token, createdAt, expiresAt, maxUses, useCount, status, label, priority }
+ *
+ * Timestamps are ISO 8601 UTC without milliseconds (2026-03-02T14:00:00Z),
+ * so the consume script can compare them as strings. status is 'active'
+ * or 'revoked'; priority picks the queue lane (see createQueue).
+ */
+
+const crypto = require('crypto');
+const { defineScript, wrapRedisClient } = require('./redis');
+
+const TOKEN_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const TOKEN_LENGTH = 32;
+// Tokens are used in Redis keys and SCAN patterns, so keep them to safe characters
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Convert a JSON field to a number like Lua's tonumber.
+ *
+ * @param {*} value - Field value
+ * @param {number} fallback - Value when the field isn't numeric
+ * @returns {number} Number
+ */
+function toNumber(value, fallback) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  return Number.isNaN(number) ? fallback : number;
+}
+
+// Take a use if the invite is active, unexpired and not used up; keeps the key's TTL
+const CONSUME_SCRIPT = defineScript(`
+local raw = redis.call('GET', KEYS[1])
+if not raw then
+  return {'error', 'not_found'}
+end
+local ok, invite = pcall(cjson.decode, raw)
+if not ok or type(invite) ~= 'table' then
+  return {'error', 'malformed'}
+end
+if invite.status ~= 'active' then
+  return {'error', 'revoked'}
+end
+if type(invite.expiresAt) == 'string' and invite.expiresAt <= ARGV[1] then
+  return {'error', 'expired'}
+end
+local maxUses = tonumber(invite.maxUses) or 1
+local useCount = tonumber(invite.useCount) or 0
+if useCount >= maxUses then
+  return {'error', 'exhausted'}
+end
+invite.useCount = useCount + 1
+local encoded = cjson.encode(invite)
+redis.call('SET', KEYS[1], encoded, 'KEEPTTL')
+return {'ok', encoded}
+`, (redis, keys, argv) => {
+  const raw = redis.call('GET', keys[0]);
+  if (raw === null) {
+    return ['error', 'not_found'];
+  }
+  let invite;
+  try {
+    invite = JSON.parse(raw);
+  } catch (_err) {
+    return ['error', 'malformed'];
+  }
+  if (!invite || typeof invite !== 'object') {
+    return ['error', 'malformed'];
+  }
+  if (invite.status !== 'active') {
+    return ['error', 'revoked'];
+  }
+  if (typeof invite.expiresAt === 'string' && invite.expiresAt <= argv[0]) {
+    return ['error', 'expired'];
+  }
+  const maxUses = toNumber(invite.maxUses, 1);
+  const useCount = toNumber(invite.useCount, 0);
+  if (useCount >= maxUses) {
+    return ['error', 'exhausted'];
+  }
+  invite.useCount = useCount + 1;
+  const encoded = JSON.stringify(invite);
+  redis.call('SET', keys[0], encoded, 'KEEPTTL');
+  return ['ok', encoded];
+});
+
+// Mark an invite revoked, keeping the key's TTL
+const REVOKE_SCRIPT = defineScript(`
+local raw = redis.call('GET', KEYS[1])
+if not raw then
+  return 0
+end
+local ok, invite = pcall(cjson.decode, raw)
+if not ok or type(invite) ~= 'table' then
+  return 0
+end
+invite.status = 'revoked'
+redis.call('SET', KEYS[1], cjson.encode(invite), 'KEEPTTL')
+return 1
+`, (redis, keys) => {
+  const raw = redis.call('GET', keys[0]);
+  if (raw === null) {
+    return 0;
+  }
+  let invite;
+  try {
+    invite = JSON.parse(raw);
+  } catch (_err) {
+    return 0;
+  }
+  if (!invite || typeof invite !== 'object') {
+    return 0;
+  }
+  invite.status = 'revoked';
+  redis.call('SET', keys[0], JSON.stringify(invite), 'KEEPTTL');
+  return 1;
+});
+
+/**
+ * Format a time the way invites.mk does (date -u +%Y-%m-%dT%H:%M:%SZ).
+ *
+ * @param {number} ms - Milliseconds since the epoch
+ * @returns {string} ISO 8601 timestamp without milliseconds
+ */
+function formatTimestamp(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Generate an invite token like invites.mk (32 alphanumeric characters).
+ *
+ * @returns {string} Token
+ */
+function generateInviteToken() {
+  let token = '';
+  while (token.length < TOKEN_LENGTH) {
+    for (const byte of crypto.randomBytes(TOKEN_LENGTH)) {
+      // Skip bytes past the last multiple of the alphabet size to avoid bias
+      if (byte < 248 && token.length < TOKEN_LENGTH) {
+        token += TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length];
+      }
+    }
+  }
+  return token;
+}
+
+/**
+ * Parse a stored invite.
+ *
+ * @param {string|null} raw - JSON from Redis
+ * @returns {Object|null} Invite, or null if missing or not an object
+ */
+function parseInvite(raw) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  try {
+    const invite = JSON.parse(raw);
+    return invite && typeof invite === 'object' && !Array.isArray(invite) ? invite : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Why an invite can't be used right now.
+ *
+ * @param {Object} invite - Parsed invite
+ * @param {number} currentTime - Current time (ms)
+ * @returns {string|null} 'revoked', 'expired', 'exhausted', or null if usable
+ */
+function inviteProblem(invite, currentTime) {
+  if (invite.status !== 'active') {
+    return 'revoked';
+  }
+  if (typeof invite.expiresAt === 'string' && Date.parse(invite.expiresAt) <= currentTime) {
+    return 'expired';
+  }
+  if (toNumber(invite.useCount, 0) >= toNumber(invite.maxUses, 1)) {
+    return 'exhausted';
+  }
+  return null;
+}
+
+/**
+ * Create a Redis-backed invite store.
+ *
+ * validate() and consume() each record one invitesValidated
+ * ({ result: 'valid' | 'invalid', reason }). Given a rate limiter and a
+ * key (usually the client IP), they refuse with reason 'rate_limited'
+ * while the key is locked out and record every invalid attempt as a
+ * failure. Invalid reasons are 'malformed', 'not_found', 'revoked',
+ * 'expired', 'exhausted' and 'rate_limited'.
+ *
+ * @param {Object} client - Redis client (ioredis, node-redis v4 or createFakeRedis)
+ * @param {Object} [options] - Store options
+ * @param {string} [options.prefix='invite:'] - Key prefix (invites.mk uses invite:)
+ * @param {number} [options.ttlSeconds=604800] - Key TTL (invites.mk uses 7 days); longer
+ *   if the invite expires later
+ * @param {number} [options.expiresInMs=86400000] - Default invite lifetime (EXPIRES=24h)
+ * @param {number} [options.maxUses=1] - Default uses per invite (MAX_USES)
+ * @param {string} [options.label='Demo'] - Default label (LABEL)
+ * @param {string} [options.priority='normal'] - Default queue lane (PRIORITY)
+ * @param {Object} [options.rateLimiter] - Limiter from createInviteRateLimiter
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics or forDemo)
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Invite store
+ *
+ * @example
+ * const invites = createInviteStore(redis, {
+ *   rateLimiter: createInviteRateLimiter({ metrics }),
+ *   metrics
+ * });
+ *
+ * // Landing page: check without using it up
+ * const check = await invites.validate(req.query.invite, { key: clientIp });
+ *
+ * // Joining the queue takes a use atomically
+ * const result = await invites.consume(token, { key: clientIp });
+ * if (!result.valid) {
+ *   ws.send(JSON.stringify({ type: 'invite-invalid', reason: result.reason }));
+ * } else {
+ *   queue.enqueue(clientId, { ws }, { invite: result.invite });
+ * }
+ */
+function createInviteStore(client, options = {}) {
+  const {
+    prefix = 'invite:',
+    ttlSeconds = 604800,
+    expiresInMs: defaultExpiresInMs = 24 * 60 * 60 * 1000,
+    maxUses: defaultMaxUses = 1,
+    label: defaultLabel = 'Demo',
+    priority: defaultPriority = 'normal',
+    rateLimiter,
+    metrics,
+    now = Date.now
+  } = options;
+
+  if (!(ttlSeconds > 0)) {
+    throw new Error('ttlSeconds must be a positive number');
+  }
+  const redis = wrapRedisClient(client);
+
+  /**
+   * Record a validation outcome.
+   *
+   * @param {string|null} reason - Invalid reason, or null for a valid invite
+   */
+  function recordValidation(reason) {
+    if (metrics) {
+      metrics.invitesValidated.add(1, reason ? { result: 'invalid', reason } : { result: 'valid' });
+    }
+  }
+
+  /**
+   * Run a validation behind the rate limiter and report its outcome.
+   *
+   * @param {string} token - Invite token
+   * @param {Object} checkOptions - { key }
+   * @param {Function} fn - async () => { valid, reason, invite }
+   * @returns {Promise<Object>} { valid: true, invite } or { valid: false, reason, retryAfter? }
+   */
+  async function guarded(token, checkOptions, fn) {
+    const { key } = checkOptions;
+    const limited = Boolean(rateLimiter && key);
+    if (limited) {
+      const limit = await rateLimiter.check(key, false);
+      if (!limit.allowed) {
+        recordValidation('rate_limited');
+        return { valid: false, reason: 'rate_limited', retryAfter: limit.retryAfter };
+      }
+    }
+
+    const result = typeof token === 'string' && TOKEN_PATTERN.test(token)
+      ? await fn()
+      : { valid: false, reason: 'malformed' };
+    recordValidation(result.valid ? null : result.reason);
+    if (limited && !result.valid) {
+      await rateLimiter.recordFailure(key);
+    }
+    return result;
+  }
+
+  /**
+   * Create an invite.
+   *
+   * @param {Object} [createOptions] - Invite fields
+   * @param {number} [createOptions.expiresInMs] - Lifetime
+   * @param {number} [createOptions.maxUses] - Allowed uses
+   * @param {string} [createOptions.label] - Label shown in listings
+   * @param {string} [createOptions.priority] - Queue lane
+   * @param {string} [createOptions.token] - Token to use instead of a random one
+   * @returns {Promise<Object>} The stored invite
+   */
+  async function create(createOptions = {}) {
+    const {
+      expiresInMs = defaultExpiresInMs,
+      maxUses = defaultMaxUses,
+      label = defaultLabel,
+      priority = defaultPriority,
+      token = generateInviteToken()
+    } = createOptions;
+
+    if (!TOKEN_PATTERN.test(token)) {
+      throw new Error('token must be 1-128 letters, digits, - or _');
+    }
+    if (!(expiresInMs > 0)) {
+      throw new Error('expiresInMs must be a positive number');
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      throw new Error('maxUses must be a positive integer');
+    }
+
+    const currentTime = now();
+    const invite = {
+      token,
+      createdAt: formatTimestamp(currentTime),
+      expiresAt: formatTimestamp(currentTime + expiresInMs),
+      maxUses,
+      useCount: 0,
+      status: 'active',
+      label,
+      priority
+    };
+    const expirySeconds = Math.max(ttlSeconds, Math.ceil(expiresInMs / 1000));
+    const reply = await redis.call('SET', prefix + token, JSON.stringify(invite), 'EX', expirySeconds, 'NX');
+    if (reply !== 'OK') {
+      throw new Error(`Invite ${token} already exists`);
+    }
+    return invite;
+  }
+
+  /**
+   * Look up an invite without checking it.
+   *
+   * @param {string} token - Invite token
+   * @returns {Promise<Object|null>} Invite, or null if missing or unreadable
+   */
+  async function get(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+    return parseInvite(await redis.call('GET', prefix + token));
+  }
+
+  /**
+   * Check an invite without using it up.
+   *
+   * @param {string} token - Invite token
+   * @param {Object} [checkOptions] - { key } for the rate limiter (e.g. client IP)
+   * @returns {Promise<Object>} { valid: true, invite } or { valid: false, reason, retryAfter? }
+   */
+  function validate(token, checkOptions = {}) {
+    return guarded(token, checkOptions, async () => {
+      const raw = await redis.call('GET', prefix + token);
+      if (raw === null) {
+        return { valid: false, reason: 'not_found' };
+      }
+      const invite = parseInvite(raw);
+      if (!invite) {
+        return { valid: false, reason: 'malformed' };
+      }
+      const reason = inviteProblem(invite, now());
+      return reason ? { valid: false, reason } : { valid: true, invite };
+    });
+  }
+
+  /**
+   * Atomically check an invite and take one use.
+   *
+   * @param {string} token - Invite token
+   * @param {Object} [checkOptions] - { key } for the rate limiter (e.g. client IP)
+   * @returns {Promise<Object>} { valid: true, invite } with the updated useCount, or
+   *   { valid: false, reason, retryAfter? }
+   */
+  function consume(token, checkOptions = {}) {
+    return guarded(token, checkOptions, async () => {
+      const [outcome, value] = await redis.evalScript(CONSUME_SCRIPT, [prefix + token], [formatTimestamp(now())]);
+      return outcome === 'ok' ? { valid: true, invite: parseInvite(value) } : { valid: false, reason: value };
+    });
+  }
+
+  /**
+   * Revoke an invite (make invite-revoke). The key keeps its TTL.
+   *
+   * @param {string} token - Invite token
+   * @returns {Promise<boolean>} True if the invite existed
+   */
+  async function revoke(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return false;
+    }
+    return Number(await redis.evalScript(REVOKE_SCRIPT, [prefix + token])) === 1;
+  }
+
+  /**
+   * Iterate over stored invites with SCAN.
+   *
+   * @param {Function} fn - async (key, invite) => void; invite is null if unreadable
+   */
+  async function scan(fn) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await redis.call('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      for (const key of keys) {
+        await fn(key, parseInvite(await redis.call('GET', key)));
+      }
+      cursor = String(next);
+    } while (cursor !== '0');
+  }
+
+  /**
+   * List invites (make invite-list), oldest first.
+   *
+   * @param {Object} [listOptions] - Filters
+   * @param {boolean} [listOptions.usable=false] - Only invites that can still be used
+   * @returns {Promise<Array<Object>>} Invites
+   */
+  async function list(listOptions = {}) {
+    const { usable = false } = listOptions;
+    const currentTime = now();
+    const invites = [];
+    await scan(async (key, invite) => {
+      if (invite && (!usable || !inviteProblem(invite, currentTime))) {
+        invites.push(invite);
+      }
+    });
+    return invites.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * Delete expired invites (make invite-cleanup).
+   *
+   * @returns {Promise<number>} Number of invites deleted
+   */
+  async function cleanupExpired() {
+    const currentTime = now();
+    let removed = 0;
+    await scan(async (key, invite) => {
+      if (invite && typeof invite.expiresAt === 'string' && Date.parse(invite.expiresAt) < currentTime) {
+        removed += Number(await redis.call('DEL', key));
+      }
+    });
+    return removed;
+  }
+
+  return {
+    create,
+    get,
+    validate,
+    consume,
+    revoke,
+    list,
+    cleanupExpired
+  };
+}
+
+module.exports = {
+  createInviteStore,
+  generateInviteToken
+};
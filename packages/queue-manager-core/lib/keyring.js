@@ -0,0 +1,482 @@
+/**
+ * Signing keyring for session tokens.
+ *
+ * Holds several keys identified by key ID (kid) so SESSION_SECRET can be
+ * rotated without invalidating live sessions: new tokens are signed with
+ * the current key while older keys keep validating until they retire.
+ *
+ * Keys are HMAC secrets (HS256) or asymmetric key pairs (EdDSA with
+ * Ed25519, ES256 with P-256). Asymmetric keyrings can be published as a
+ * JWKS document so verifiers only ever hold public keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Key IDs are embedded in tokens, keep them URL- and header-safe
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Convert a Date, ISO string or millisecond timestamp to milliseconds.
+ *
+ * @param {Date|string|number|null|undefined} value - Time value
+ * @returns {number|null} Milliseconds since epoch, or null if unset
+ */
+function toMillis(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (isNaN(ms)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return ms;
+}
+
+/**
+ * Convert a KeyObject, PEM string or JWK object to a KeyObject.
+ *
+ * @param {Object|string} key - Key material
+ * @param {string} type - 'private' or 'public'
+ * @returns {crypto.KeyObject} Key object
+ */
+function toKeyObject(key, type) {
+  if (key instanceof crypto.KeyObject) {
+    if (key.type !== type) {
+      throw new Error(`Expected a ${type} key, got a ${key.type} key`);
+    }
+    return key;
+  }
+  const input = typeof key === 'string' ? key : { key, format: 'jwk' };
+  return type === 'private' ? crypto.createPrivateKey(input) : crypto.createPublicKey(input);
+}
+
+/**
+ * Determine the signing algorithm for an asymmetric key.
+ *
+ * @param {crypto.KeyObject} keyObject - Private or public key
+ * @returns {string|null} 'EdDSA', 'ES256' or null if unsupported
+ */
+function algorithmForKey(keyObject) {
+  if (keyObject.asymmetricKeyType === 'ed25519') {
+    return 'EdDSA';
+  }
+  if (keyObject.asymmetricKeyType === 'ec' &&
+      keyObject.asymmetricKeyDetails && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize a key definition.
+ *
+ * @param {Object} key - Key definition
+ * @returns {Object} Normalized key { kid, alg, secret, privateKey, publicKey, retireAt }
+ */
+function normalizeKey(key) {
+  if (!key || typeof key !== 'object') {
+    throw new Error('key must be an object');
+  }
+  if (typeof key.kid !== 'string' || !KID_PATTERN.test(key.kid)) {
+    throw new Error('kid must be 1-64 characters of A-Z, a-z, 0-9, _ or -');
+  }
+
+  const retireAt = toMillis(key.retireAt);
+
+  if (key.secret !== undefined || key.alg === 'HS256') {
+    if (!key.secret || typeof key.secret !== 'string') {
+      throw new Error(`secret for key ${key.kid} must be a non-empty string`);
+    }
+    return { kid: key.kid, alg: 'HS256', secret: key.secret, privateKey: null, publicKey: null, retireAt };
+  }
+
+  if (!key.privateKey && !key.publicKey) {
+    throw new Error(`key ${key.kid} needs a secret, privateKey or publicKey`);
+  }
+
+  let privateKey = null;
+  let publicKey;
+  try {
+    privateKey = key.privateKey ? toKeyObject(key.privateKey, 'private') : null;
+    publicKey = key.publicKey ? toKeyObject(key.publicKey, 'public') : crypto.createPublicKey(privateKey);
+  } catch (err) {
+    throw new Error(`Invalid key material for ${key.kid}: ${err.message}`);
+  }
+
+  const alg = algorithmForKey(publicKey);
+  if (!alg) {
+    throw new Error(`Key ${key.kid} must be an Ed25519 or P-256 key`);
+  }
+  if (key.alg !== undefined && key.alg !== alg) {
+    throw new Error(`Key ${key.kid} does not match alg ${key.alg}`);
+  }
+
+  return { kid: key.kid, alg, secret: null, privateKey, publicKey, retireAt };
+}
+
+/**
+ * Strip scheduling fields and unset key material from a normalized key.
+ *
+ * @param {Object} key - Normalized key
+ * @returns {Object} Key material: { kid, alg, secret } or { kid, alg, privateKey?, publicKey }
+ */
+function toKeyMaterial(key) {
+  const material = { kid: key.kid, alg: key.alg };
+  for (const field of ['secret', 'privateKey', 'publicKey']) {
+    if (key[field]) {
+      material[field] = key[field];
+    }
+  }
+  return material;
+}
+
+/**
+ * Generate a new asymmetric signing key.
+ *
+ * Persist the private key with `privateKey.export({ type: 'pkcs8', format: 'pem' })`.
+ *
+ * @param {string} kid - Key ID
+ * @param {string} [alg='EdDSA'] - 'EdDSA' (Ed25519) or 'ES256' (P-256)
+ * @returns {Object} Key { kid, alg, privateKey, publicKey } with KeyObjects
+ *
+ * @example
+ * keyring.rotate(generateSigningKey('2024-07'), { retireAfterMs: 3600000 });
+ */
+function generateSigningKey(kid, alg = 'EdDSA') {
+  let pair;
+  if (alg === 'EdDSA') {
+    pair = crypto.generateKeyPairSync('ed25519');
+  } else if (alg === 'ES256') {
+    pair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  } else {
+    throw new Error(`Unsupported alg for key generation: ${alg}`);
+  }
+  return { kid, alg, privateKey: pair.privateKey, publicKey: pair.publicKey };
+}
+
+/**
+ * Create a keyring of session signing secrets.
+ *
+ * Key definitions: { kid, secret } for HMAC, or { kid, privateKey, publicKey? }
+ * for signing with Ed25519/P-256, or { kid, publicKey } for verify-only keys.
+ * Key material can be a KeyObject, a PEM string or a JWK object. Any key
+ * may carry retireAt (Date, ISO string or milliseconds).
+ *
+ * @param {Array<Object>} keys - Key definitions
+ * @param {Object} [options] - Keyring options
+ * @param {string} [options.current] - kid used for signing (default: first key)
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Keyring instance
+ *
+ * @example
+ * const keyring = createKeyring([
+ *   { kid: '2024-06', secret: process.env.SESSION_SECRET_NEW },
+ *   { kid: '2024-01', secret: process.env.SESSION_SECRET, retireAt: '2024-06-02T00:00:00Z' }
+ * ]);
+ *
+ * const token = generateSessionToken(sessionId, keyring, { expiresInMs: 3600000 });
+ * const result = validateSessionToken(token, keyring);
+ */
+function createKeyring(keys, options = {}) {
+  const { now = Date.now } = options;
+
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error('keys must be a non-empty array');
+  }
+
+  // Map: kid -> { kid, alg, secret, privateKey, publicKey, retireAt }
+  const ring = new Map();
+  for (const key of keys.map(normalizeKey)) {
+    if (ring.has(key.kid)) {
+      throw new Error(`Duplicate kid: ${key.kid}`);
+    }
+    ring.set(key.kid, key);
+  }
+
+  let currentKid = options.current || keys[0].kid;
+  if (!ring.has(currentKid)) {
+    throw new Error(`Unknown current kid: ${currentKid}`);
+  }
+
+  function isActive(key) {
+    return key.retireAt === null || now() < key.retireAt;
+  }
+
+  /**
+   * Get the key used for signing new tokens.
+   *
+   * @returns {Object} Signing key (see toKeyMaterial)
+   */
+  function current() {
+    const key = ring.get(currentKid);
+    if (!isActive(key)) {
+      throw new Error(`Current signing key ${currentKid} is retired`);
+    }
+    if (!key.secret && !key.privateKey) {
+      throw new Error(`Current key ${currentKid} is verify-only and cannot sign`);
+    }
+    return toKeyMaterial(key);
+  }
+
+  /**
+   * Get an active key by kid.
+   *
+   * @param {string} kid - Key ID
+   * @returns {Object|null} Key (see toKeyMaterial) or null if unknown or retired
+   */
+  function get(kid) {
+    const key = ring.get(kid);
+    return key && isActive(key) ? toKeyMaterial(key) : null;
+  }
+
+  /**
+   * List keys that can still validate tokens, current key first.
+   *
+   * @returns {Array<Object>} Active keys (see toKeyMaterial)
+   */
+  function activeKeys() {
+    return Array.from(ring.values())
+      .filter(isActive)
+      .sort((a, b) => (a.kid === currentKid ? -1 : b.kid === currentKid ? 1 : 0))
+      .map(toKeyMaterial);
+  }
+
+  /**
+   * Export the active asymmetric public keys as a JWKS document.
+   *
+   * HMAC secrets are never included.
+   *
+   * @returns {Object} JWKS { keys: [...] }
+   *
+   * @example
+   * app.get('/.well-known/jwks.json', (req, res) => res.json(keyring.toJWKS()));
+   */
+  function toJWKS() {
+    return {
+      keys: activeKeys()
+        .filter((key) => key.publicKey)
+        .map((key) => ({
+          ...key.publicKey.export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.alg,
+          use: 'sig'
+        }))
+    };
+  }
+
+  /**
+   * Add a key to the ring.
+   *
+   * @param {Object} key - Key definition (see createKeyring)
+   * @param {Object} [addOptions] - Options
+   * @param {boolean} [addOptions.makeCurrent=false] - Sign new tokens with this key
+   */
+  function add(key, addOptions = {}) {
+    const normalized = normalizeKey(key);
+    if (ring.has(normalized.kid)) {
+      throw new Error(`Duplicate kid: ${normalized.kid}`);
+    }
+    ring.set(normalized.kid, normalized);
+    if (addOptions.makeCurrent) {
+      currentKid = normalized.kid;
+    }
+  }
+
+  /**
+   * Schedule a key's retirement.
+   *
+   * @param {string} kid - Key ID
+   * @param {Date|string|number} [at=now] - Retirement time
+   */
+  function retire(kid, at = now()) {
+    const key = ring.get(kid);
+    if (!key) {
+      throw new Error(`Unknown kid: ${kid}`);
+    }
+    key.retireAt = toMillis(at);
+  }
+
+  /**
+   * Make a new key current and schedule the previous one to retire.
+   *
+   * Use the longest session lifetime as retireAfterMs so tokens signed
+   * with the previous key stay valid until they would expire anyway.
+   *
+   * @param {Object} key - New key definition (see createKeyring)
+   * @param {Object} [rotateOptions] - Options
+   * @param {number} [rotateOptions.retireAfterMs=0] - Grace period for the previous key
+   */
+  function rotate(key, rotateOptions = {}) {
+    const { retireAfterMs = 0 } = rotateOptions;
+    const previousKid = currentKid;
+    add(key, { makeCurrent: true });
+    retire(previousKid, now() + retireAfterMs);
+  }
+
+  /**
+   * Remove retired keys.
+   *
+   * @returns {Array<string>} Removed kids
+   */
+  function prune() {
+    const removed = [];
+    for (const [kid, key] of ring) {
+      if (kid !== currentKid && !isActive(key)) {
+        ring.delete(kid);
+        removed.push(kid);
+      }
+    }
+    return removed;
+  }
+
+  return {
+    current,
+    get,
+    activeKeys,
+    add,
+    retire,
+    rotate,
+    prune,
+    toJWKS
+  };
+}
+
+/**
+ * Create a verify-only keyring from a JWKS document.
+ *
+ * @param {Object} jwks - JWKS document ({ keys: [...] })
+ * @param {Object} [options] - Keyring options (see createKeyring)
+ * @returns {Object} Keyring instance that can validate but not sign
+ *
+ * @example
+ * // In the nginx auth handler or demo container
+ * const keyring = createKeyringFromJWKS(JSON.parse(fs.readFileSync('/run/jwks.json', 'utf8')));
+ * const result = validateSessionToken(token, keyring, { audience: 'jira-demo' });
+ */
+function createKeyringFromJWKS(jwks, options = {}) {
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('jwks must have a keys array');
+  }
+  const keys = jwks.keys.map((jwk) => {
+    const material = { ...jwk };
+    delete material.kid;
+    delete material.alg;
+    delete material.use;
+    return { kid: jwk.kid, alg: jwk.alg, publicKey: material };
+  });
+  return createKeyring(keys, options);
+}
+
+/**
+ * Parse a keyring definition.
+ *
+ * Accepted formats:
+ * - JSON: { "current": "k2", "keys": [{ "kid": "k2", "secret": "...", "retireAt": "..." }] }
+ *   or a JSON array of keys; asymmetric keys use "privateKey"/"publicKey" PEM strings
+ *   or JWK objects instead of "secret"
+ * - Text: "kid:secret" entries separated by commas or newlines; first is current
+ *
+ * @param {string} text - Keyring definition
+ * @returns {Object} { keys, current }
+ */
+function parseKeyring(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw new Error('Keyring definition is empty');
+  }
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`Invalid keyring JSON: ${err.message}`);
+    }
+    return Array.isArray(parsed)
+      ? { keys: parsed, current: undefined }
+      : { keys: parsed.keys, current: parsed.current };
+  }
+
+  const keys = trimmed.split(/[\n,]+/)
+    .map((entry) => entry.trim())
+    .filter((entry) => entry && !entry.startsWith('#'))
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('Keyring entries must be in kid:secret format');
+      }
+      return { kid: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    });
+
+  return { keys, current: undefined };
+}
+
+/**
+ * Load a keyring from a file or environment variables.
+ *
+ * Sources, in order: options.file, env[envVar], then env[legacyEnvVar] as
+ * a single key with kid 'default' (so existing SESSION_SECRET deployments
+ * keep working).
+ *
+ * @param {Object} [options] - Load options
+ * @param {string} [options.file] - Path to a keyring file (JSON or kid:secret lines)
+ * @param {Object} [options.env=process.env] - Environment
+ * @param {string} [options.envVar='SESSION_SECRETS'] - Variable holding the keyring
+ * @param {string} [options.legacyEnvVar='SESSION_SECRET'] - Single-secret fallback
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Keyring instance
+ *
+ * @example
+ * // SESSION_SECRETS="2024-06:new-secret,2024-01:old-secret"
+ * const keyring = loadKeyring();
+ *
+ * // Or from a Docker secret
+ * const keyring = loadKeyring({ file: '/run/secrets/session-keyring.json' });
+ */
+function loadKeyring(options = {}) {
+  const {
+    file,
+    env = process.env,
+    envVar = 'SESSION_SECRETS',
+    legacyEnvVar = 'SESSION_SECRET',
+    now
+  } = options;
+
+  let definition;
+  if (file) {
+    try {
+      definition = parseKeyring(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load keyring from ${file}: ${err.message}`);
+    }
+  } else if (env[envVar]) {
+    definition = parseKeyring(env[envVar]);
+  } else if (env[legacyEnvVar]) {
+    definition = { keys: [{ kid: 'default', secret: env[legacyEnvVar] }], current: undefined };
+  } else {
+    throw new Error(`No keyring found: set ${envVar} or ${legacyEnvVar}`);
+  }
+
+  return createKeyring(definition.keys, { current: definition.current, now });
+}
+
+/**
+ * Check whether a value is a keyring.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value looks like a keyring
+ */
+function isKeyring(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    typeof value.current === 'function' && typeof value.activeKeys === 'function';
+}
+
+module.exports = {
+  createKeyring,
+  createKeyringFromJWKS,
+  generateSigningKey,
+  parseKeyring,
+  loadKeyring,
+  isKeyring
+};
@@ -0,0 +1,36 @@
+/**
+ * Helpers for APIs that are synchronous with in-memory stores and
+ * asynchronous with remote stores such as Redis.
+ */
+
+/**
+ * Check whether a value is a promise (thenable).
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if thenable
+ */
+function isPromise(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Apply fn to a value that may be a promise.
+ *
+ * Keeps callers synchronous for in-memory stores while returning
+ * promises when an asynchronous store is used.
+ *
+ * @param {*} value - Plain value or promise
+ * @param {Function} fn - Mapping function
+ * @returns {*} Mapped value, or a promise of it
+ */
+function whenResolved(value, fn) {
+  if (isPromise(value)) {
+    return value.then(fn);
+  }
+  return fn(value);
+}
+
+module.exports = {
+  isPromise,
+  whenResolved
+};
@@ -2,26 +2,163 @@
  * OpenTelemetry metrics utilities for demo platform queue managers.
  *
  * Provides a standardized set of metrics for queue and session management.
- * Gracefully handles cases where OpenTelemetry is not available.
+ * When OpenTelemetry is not available, metrics are kept in an in-process
+ * registry that can be scraped in Prometheus text format.
  */
 
-let metrics, trace;
+const { createPrometheusRegistry, createMetricsHandler } = require('./prometheus');
+
+let metrics, trace, context, SpanStatusCode, ROOT_CONTEXT, createTraceState;
 try {
   const api = require('@opentelemetry/api');
   metrics = api.metrics;
   trace = api.trace;
+  context = api.context;
+  SpanStatusCode = api.SpanStatusCode;
+  ROOT_CONTEXT = api.ROOT_CONTEXT;
+  createTraceState = api.createTraceState;
 } catch (_e) {
   // OTel not available, will use no-op implementations
 }
 
+// W3C Trace Context: version-traceid-parentid-flags
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * Format a span context as a W3C traceparent value.
+ *
+ * @param {Object} spanContext - { traceId, spanId, traceFlags }
+ * @returns {string} traceparent (e.g. '00-<trace id>-<span id>-01')
+ */
+function formatTraceparent(spanContext) {
+  const flags = (spanContext.traceFlags & 0xff).toString(16).padStart(2, '0');
+  return `00-${spanContext.traceId}-${spanContext.spanId}-${flags}`;
+}
+
+/**
+ * Parse a W3C traceparent value.
+ *
+ * @param {string} value - traceparent value
+ * @returns {Object|null} { traceId, spanId, traceFlags } or null if invalid
+ */
+function parseTraceparent(value) {
+  const match = typeof value === 'string' ? TRACEPARENT_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  const [, version, traceId, spanId, flags, rest] = match;
+  // Version ff is forbidden; version 00 has exactly four fields
+  if (version === 'ff' || (version === '00' && rest !== undefined)) {
+    return null;
+  }
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+  // Only the sampled flag is defined
+  return { traceId, spanId, traceFlags: parseInt(flags, 16) & 0x01 };
+}
+
+/**
+ * Read a field from a carrier, accepting lower case (WebSocket messages,
+ * HTTP headers) and upper case (environment variables) names.
+ *
+ * @param {Object} carrier - Carrier object
+ * @param {string} name - Lower case field name
+ * @returns {string|undefined} Field value
+ */
+function readCarrierField(carrier, name) {
+  const value = carrier[name] !== undefined ? carrier[name] : carrier[name.toUpperCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Attribute names instruments may carry. Anything else (a session ID, a
+// client IP) is dropped before recording to keep label cardinality bounded.
+const DEFAULT_ALLOWED_ATTRIBUTES = [
+  'demo',
+  'pool',
+  'lane',
+  'result',
+  'reason',
+  'limiter',
+  'decision',
+  'lock',
+  'encrypted'
+];
+
+// Value recorded in place of attribute values past the cap or outside an
+// attribute's value allow-list
+const OTHER_VALUE = 'other';
+
+/**
+ * Validate a gauge provider map.
+ *
+ * @param {string} label - Owner for error messages (e.g. 'demos.jira')
+ * @param {Object} providers - { getQueueLength, getActiveSessionCount }
+ */
+function validateProviders(label, providers) {
+  for (const name of ['getQueueLength', 'getActiveSessionCount']) {
+    if (providers[name] !== undefined && typeof providers[name] !== 'function') {
+      throw new Error(`${label}.${name} must be a function`);
+    }
+  }
+}
+
+/**
+ * Normalize the multi-tenant demo configuration.
+ *
+ * @param {Object} demos - Demo name -> { getQueueLength, getActiveSessionCount, pools }
+ * @returns {Map} Demo name -> { providers, pools: Map(pool name -> providers) }
+ */
+function normalizeDemos(demos) {
+  if (typeof demos !== 'object' || demos === null) {
+    throw new Error('demos must be an object');
+  }
+
+  const normalized = new Map();
+  for (const [demo, config] of Object.entries(demos)) {
+    if (!config || typeof config !== 'object') {
+      throw new Error(`demos.${demo} must be an object`);
+    }
+    validateProviders(`demos.${demo}`, config);
+
+    const pools = new Map();
+    for (const [pool, providers] of Object.entries(config.pools || {})) {
+      if (!providers || typeof providers !== 'object') {
+        throw new Error(`demos.${demo}.pools.${pool} must be an object`);
+      }
+      validateProviders(`demos.${demo}.pools.${pool}`, providers);
+      pools.set(pool, providers);
+    }
+    normalized.set(demo, { providers: config, pools });
+  }
+  return normalized;
+}
+
 /**
  * Create a metrics manager for a demo platform queue manager.
  *
  * @param {Object} options - Metrics options
  * @param {string} options.serviceName - Service name (e.g., 'jira-demo-queue-manager')
- * @param {Function} options.getQueueLength - Function returning current queue length
- * @param {Function} options.getActiveSessionCount - Function returning active session count (0 or 1)
- * @returns {Object} Metrics manager with all metric instances
+ * @param {Function} [options.getQueueLength] - Function returning current queue length
+ *   (not needed when a createQueue instance is given this manager)
+ * @param {Function} [options.getActiveSessionCount] - Function returning active session count
+ *   (required unless options.demos is set)
+ * @param {Object} [options.demos] - Multi-tenant mode: demo name -> { getQueueLength,
+ *   getActiveSessionCount, pools: { pool name -> { getQueueLength, getActiveSessionCount } } }.
+ *   Gauges are observed per demo and pool with demo/pool attributes.
+ * @param {Array<string>} [options.allowedAttributes] - Attribute names allowed in
+ *   addition to the defaults (demo, pool, lane, result, reason, limiter, decision, lock,
+ *   encrypted); other attributes are dropped with a one-time warning
+ * @param {Object} [options.attributeValues] - Attribute name -> allowed values; other
+ *   values are recorded as 'other'
+ * @param {number} [options.maxAttributeValues=50] - Distinct values recorded per attribute
+ *   without a value allow-list; later new values are recorded as 'other' with a one-time
+ *   warning
+ * @param {string} [options.backend='auto'] - 'otel', 'prometheus' (in-process registry),
+ *   'noop', or 'auto' (otel if @opentelemetry/api is installed, prometheus otherwise)
+ * @returns {Object} Metrics manager with all metric instances, forDemo(demo, pool),
+ *   observeQueueLength(fn), renderPrometheus() and metricsHandler (req, res) for a
+ *   /metrics route
  *
  * @example
  * const metrics = createMetrics({
@@ -33,34 +170,86 @@ try {
  * // Record metrics
  * metrics.sessionsStarted.add(1);
  * metrics.sessionDuration.record(300, { reason: 'timeout' });
+ * metrics.invitesValidated.add(1, { result: 'invalid', reason: 'expired' });
+ *
+ * // Core modules record their own instruments
+ * const limiter = createConnectionRateLimiter({ metrics });
+ *
+ * // Without an OTel collector, expose the in-process registry
+ * app.get('/metrics', metrics.metricsHandler);
+ *
+ * @example
+ * // One process serving several demos, each with a pool of sandboxes
+ * const metrics = createMetrics({
+ *   serviceName: 'demo-queue-manager',
+ *   demos: {
+ *     jira: { getQueueLength: () => jiraQueue.length, pools: { default: { getActiveSessionCount: () => jiraPool.active } } },
+ *     confluence: { getQueueLength: () => confluenceQueue.length, getActiveSessionCount: () => confluencePool.active }
+ *   }
+ * });
+ *
+ * // Every instrument of a scoped manager carries { demo, pool }
+ * const jiraMetrics = metrics.forDemo('jira', 'default');
+ * const limiter = createConnectionRateLimiter({ metrics: jiraMetrics });
+ * jiraMetrics.sessionsStarted.add(1);
  */
 function createMetrics(options) {
   const {
     serviceName,
     getQueueLength,
-    getActiveSessionCount
+    getActiveSessionCount,
+    demos,
+    allowedAttributes = [],
+    attributeValues = {},
+    maxAttributeValues = 50,
+    backend = 'auto'
   } = options;
 
   if (!serviceName || typeof serviceName !== 'string') {
     throw new Error('serviceName must be a non-empty string');
   }
-  if (typeof getQueueLength !== 'function') {
-    throw new Error('getQueueLength must be a function');
-  }
-  if (typeof getActiveSessionCount !== 'function') {
+  const tenants = demos === undefined ? null : normalizeDemos(demos);
+  if (!tenants && typeof getActiveSessionCount !== 'function') {
     throw new Error('getActiveSessionCount must be a function');
   }
+  validateProviders('options', { getQueueLength, getActiveSessionCount });
+  if (!Array.isArray(allowedAttributes)) {
+    throw new Error('allowedAttributes must be an array');
+  }
+  if (typeof attributeValues !== 'object' || attributeValues === null) {
+    throw new Error('attributeValues must be an object');
+  }
+  for (const [name, values] of Object.entries(attributeValues)) {
+    if (!Array.isArray(values)) {
+      throw new Error(`attributeValues.${name} must be an array`);
+    }
+  }
+  if (!Number.isInteger(maxAttributeValues) || maxAttributeValues < 1) {
+    throw new Error('maxAttributeValues must be a positive integer');
+  }
+  if (!['auto', 'otel', 'prometheus', 'noop'].includes(backend)) {
+    throw new Error(`Unknown metrics backend: ${backend}`);
+  }
+  if (backend === 'otel' && !metrics) {
+    throw new Error('backend "otel" requires @opentelemetry/api');
+  }
+
+  const resolvedBackend = backend === 'auto' ? (metrics ? 'otel' : 'prometheus') : backend;
 
   // No-op metric that ignores all calls
   const noopMetric = {
     add: () => {},
     record: () => {},
-    addCallback: () => {}
+    addCallback: () => {},
+    removeCallback: () => {}
   };
 
-  // Return no-op metrics if OTel not available
-  if (!metrics) {
-    return {
+  // Nothing to scrape unless the in-process registry is used
+  const renderEmpty = () => '';
+
+  // Return no-op metrics when explicitly disabled
+  if (resolvedBackend === 'noop') {
+    const noopManager = {
       // Gauges
       queueSize: noopMetric,
       sessionsActive: noopMetric,
@@ -73,12 +262,27 @@ function createMetrics(options) {
       queueWait: noopMetric,
       ttydSpawn: noopMetric,
       sandboxCleanup: noopMetric,
+      // Core module instruments
+      rateLimitDecisions: noopMetric,
+      reconnectionLockAttempts: noopMetric,
+      reconnectionLockHold: noopMetric,
+      envFilesCreated: noopMetric,
+      envFilesCleaned: noopMetric,
+      envFilesOrphaned: noopMetric,
+      queueAbandoned: noopMetric,
+      observeQueueLength: () => () => {},
       // Tracer
-      getTracer: () => null
+      getTracer: () => null,
+      // Prometheus exposition
+      renderPrometheus: renderEmpty,
+      metricsHandler: createMetricsHandler(renderEmpty)
     };
+    noopManager.forDemo = () => noopManager;
+    return noopManager;
   }
 
-  const meter = metrics.getMeter(serviceName);
+  const registry = resolvedBackend === 'prometheus' ? createPrometheusRegistry() : null;
+  const meter = registry || metrics.getMeter(serviceName);
 
   // Gauges (observable)
   const queueSize = meter.createObservableGauge('demo_queue_size', {
@@ -89,13 +293,43 @@ function createMetrics(options) {
     description: 'Number of currently active sessions',
   });
 
+  // Queue length providers registered at runtime: { getLength, scope }
+  const queueProviders = new Set();
+
+  /**
+   * Observe a gauge provider for every configured scope.
+   *
+   * @param {Object} result - Observable result
+   * @param {string} provider - Provider name (getQueueLength or getActiveSessionCount)
+   */
+  function observeProviders(result, provider) {
+    if (typeof options[provider] === 'function') {
+      result.observe(options[provider]());
+    }
+    if (provider === 'getQueueLength') {
+      for (const { getLength, scope } of queueProviders) {
+        result.observe(getLength(), scope);
+      }
+    }
+    for (const [demo, { providers, pools }] of tenants || []) {
+      if (providers[provider]) {
+        result.observe(providers[provider](), { demo });
+      }
+      for (const [pool, poolProviders] of pools) {
+        if (poolProviders[provider]) {
+          result.observe(poolProviders[provider](), { demo, pool });
+        }
+      }
+    }
+  }
+
   // Register observable callbacks
   queueSize.addCallback((result) => {
-    result.observe(getQueueLength());
+    observeProviders(result, 'getQueueLength');
   });
 
   sessionsActive.addCallback((result) => {
-    result.observe(getActiveSessionCount());
+    observeProviders(result, 'getActiveSessionCount');
   });
 
   // Counters
@@ -107,6 +341,7 @@ function createMetrics(options) {
     description: 'Total number of sessions ended',
   });
 
+  // Attributes: result ('valid' or 'invalid') and reason (e.g. 'expired', 'rate_limited')
   const invitesValidated = meter.createCounter('demo_invites_validated_total', {
     description: 'Total number of invite validations',
   });
@@ -115,21 +350,57 @@ function createMetrics(options) {
   const sessionDuration = meter.createHistogram('demo_session_duration_seconds', {
     description: 'Session duration in seconds',
     unit: 's',
+    advice: { explicitBucketBoundaries: [30, 60, 120, 300, 600, 900, 1200, 1800, 2700, 3600] },
   });
 
   const queueWait = meter.createHistogram('demo_queue_wait_seconds', {
     description: 'Time spent waiting in queue',
     unit: 's',
+    advice: { explicitBucketBoundaries: [1, 5, 10, 30, 60, 120, 300, 600, 1200, 1800] },
   });
 
   const ttydSpawn = meter.createHistogram('demo_ttyd_spawn_seconds', {
     description: 'Time to spawn ttyd process',
     unit: 's',
+    advice: { explicitBucketBoundaries: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] },
   });
 
   const sandboxCleanup = meter.createHistogram('demo_sandbox_cleanup_seconds', {
     description: 'Sandbox cleanup duration',
     unit: 's',
+    advice: { explicitBucketBoundaries: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] },
+  });
+
+  // Core module instruments, recorded automatically when a module is
+  // given this manager as its `metrics` option
+  const rateLimitDecisions = meter.createCounter('demo_rate_limit_decisions_total', {
+    description: 'Rate limit checks by limiter and decision (allowed, blocked, banned)',
+  });
+
+  const reconnectionLockAttempts = meter.createCounter('demo_reconnection_lock_attempts_total', {
+    description: 'Reconnection lock acquire attempts by result (acquired, contended, waited, timeout)',
+  });
+
+  const reconnectionLockHold = meter.createHistogram('demo_reconnection_lock_hold_seconds', {
+    description: 'Time the reconnection lock was held',
+    unit: 's',
+    advice: { explicitBucketBoundaries: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] },
+  });
+
+  const envFilesCreated = meter.createCounter('demo_env_files_created_total', {
+    description: 'Session env files created',
+  });
+
+  const envFilesCleaned = meter.createCounter('demo_env_files_cleaned_total', {
+    description: 'Session env files removed by reason (manual, replaced, expired, shutdown)',
+  });
+
+  const envFilesOrphaned = meter.createCounter('demo_env_files_orphaned_total', {
+    description: 'Leaked session env files swept by reason (crashed, partial, unknown)',
+  });
+
+  const queueAbandoned = meter.createCounter('demo_queue_abandoned_total', {
+    description: 'Clients that left the queue before getting a session',
   });
 
   // Tracer getter
@@ -137,26 +408,207 @@ function createMetrics(options) {
     return trace ? trace.getTracer(serviceName) : null;
   };
 
-  return {
-    // Gauges
-    queueSize,
-    sessionsActive,
-    // Counters
+  // Render the in-process registry (empty when exporting through OTel)
+  const renderPrometheus = registry ? registry.render : renderEmpty;
+  const metricsHandler = createMetricsHandler(renderPrometheus);
+
+  const allowed = new Set([...DEFAULT_ALLOWED_ATTRIBUTES, ...allowedAttributes]);
+  const allowedValues = new Map(Object.entries(attributeValues).map(([name, values]) => [name, new Set(values)]));
+  // Map: attribute name -> Set of values recorded so far
+  const seenValues = new Map();
+  const warned = new Set();
+  const warnedValues = new Set();
+
+  /**
+   * Bound an attribute's values: its value allow-list, or the first
+   * maxAttributeValues distinct values. A caller passing through free-form
+   * input (e.g. a remove() reason) then can't grow the series without limit.
+   *
+   * @param {string} name - Attribute name
+   * @param {*} value - Attribute value
+   * @returns {*} The value, or 'other'
+   */
+  function capValue(name, value) {
+    if (allowedValues.has(name)) {
+      return allowedValues.get(name).has(value) ? value : OTHER_VALUE;
+    }
+    if (!seenValues.has(name)) {
+      seenValues.set(name, new Set());
+    }
+    const seen = seenValues.get(name);
+    if (seen.has(value)) {
+      return value;
+    }
+    if (seen.size < maxAttributeValues) {
+      seen.add(value);
+      return value;
+    }
+    if (!warnedValues.has(name)) {
+      warnedValues.add(name);
+      console.warn(`Recording metric attribute "${name}" as "${OTHER_VALUE}": more than ${maxAttributeValues} distinct values`);
+    }
+    return OTHER_VALUE;
+  }
+
+  /**
+   * Drop attributes outside the allow-list, cap their values and merge
+   * scope attributes.
+   *
+   * @param {Object} [attributes] - Attributes passed by the caller
+   * @param {Object} scope - { demo, pool } of a scoped manager (wins over attributes)
+   * @returns {Object} Attributes safe to record
+   */
+  function filterAttributes(attributes, scope) {
+    const filtered = {};
+    for (const [name, value] of Object.entries(attributes || {})) {
+      if (allowed.has(name)) {
+        filtered[name] = capValue(name, value);
+      } else if (!warned.has(name)) {
+        warned.add(name);
+        console.warn(`Dropping metric attribute "${name}": not in the allow-list`);
+      }
+    }
+    return { ...filtered, ...scope };
+  }
+
+  /**
+   * Wrap an observable gauge so callbacks observe through filterAttributes.
+   *
+   * @param {Object} gauge - Observable gauge
+   * @param {Object} scope - Attributes added to every observation
+   * @returns {Object} { addCallback(cb), removeCallback(cb) }
+   */
+  function scopeGauge(gauge, scope) {
+    // Map: caller's callback -> registered wrapper
+    const wrappers = new Map();
+    return {
+      addCallback(callback) {
+        if (wrappers.has(callback)) {
+          return;
+        }
+        const wrapper = (result) => callback({
+          observe: (value, attributes) => result.observe(value, filterAttributes(attributes, scope))
+        });
+        wrappers.set(callback, wrapper);
+        gauge.addCallback(wrapper);
+      },
+      removeCallback(callback) {
+        if (wrappers.has(callback)) {
+          gauge.removeCallback(wrappers.get(callback));
+          wrappers.delete(callback);
+        }
+      }
+    };
+  }
+
+  // Synchronous instruments, recorded through filterAttributes
+  const counters = {
     sessionsStarted,
     sessionsEnded,
     invitesValidated,
-    // Histograms
+    rateLimitDecisions,
+    reconnectionLockAttempts,
+    envFilesCreated,
+    envFilesCleaned,
+    envFilesOrphaned,
+    queueAbandoned
+  };
+  const histograms = {
     sessionDuration,
     queueWait,
     ttydSpawn,
     sandboxCleanup,
-    // Tracer
-    getTracer
+    reconnectionLockHold
   };
+
+  /**
+   * Build the instrument set for a scope.
+   *
+   * @param {Object} scope - Attributes added to every recording ({} or { demo, pool })
+   * @returns {Object} Metrics manager
+   */
+  function buildManager(scope) {
+    const manager = {
+      // Gauges are observed through the configured providers; callbacks
+      // added here observe with the scope's attributes
+      queueSize: scopeGauge(queueSize, scope),
+      sessionsActive: scopeGauge(sessionsActive, scope),
+      // Tracer
+      getTracer,
+      // Prometheus exposition
+      renderPrometheus,
+      metricsHandler,
+      forDemo,
+      observeQueueLength: (getLength) => observeQueueLength(getLength, scope)
+    };
+    for (const [name, counter] of Object.entries(counters)) {
+      manager[name] = { add: (value, attributes) => counter.add(value, filterAttributes(attributes, scope)) };
+    }
+    for (const [name, histogram] of Object.entries(histograms)) {
+      manager[name] = { record: (value, attributes) => histogram.record(value, filterAttributes(attributes, scope)) };
+    }
+    return manager;
+  }
+
+  /**
+   * Report a queue's length through the demo_queue_size gauge.
+   *
+   * createQueue calls this for the manager it's given, so a scoped
+   * manager's queue is observed with its demo/pool attributes.
+   *
+   * @param {Function} getLength - () => current queue length
+   * @param {Object} scope - Attributes of the registering manager
+   * @returns {Function} Unregister function
+   */
+  function observeQueueLength(getLength, scope) {
+    if (typeof getLength !== 'function') {
+      throw new Error('getLength must be a function');
+    }
+    const provider = { getLength, scope };
+    queueProviders.add(provider);
+    return () => queueProviders.delete(provider);
+  }
+
+  /**
+   * Get a manager whose instruments all carry demo (and pool) attributes.
+   *
+   * Pass it as the `metrics` option of core modules serving that demo.
+   *
+   * @param {string} demo - Demo name (must be configured when options.demos is set)
+   * @param {string} [pool] - Pool name (must be configured when the demo lists pools)
+   * @returns {Object} Scoped metrics manager
+   */
+  function forDemo(demo, pool) {
+    if (!demo || typeof demo !== 'string') {
+      throw new Error('demo must be a non-empty string');
+    }
+    if (tenants && !tenants.has(demo)) {
+      throw new Error(`Unknown demo: ${demo}`);
+    }
+    if (pool !== undefined) {
+      const pools = tenants ? tenants.get(demo).pools : null;
+      if (typeof pool !== 'string' || !pool || (pools && pools.size > 0 && !pools.has(pool))) {
+        throw new Error(`Unknown pool for demo ${demo}: ${pool}`);
+      }
+    }
+    return buildManager(pool === undefined ? { demo } : { demo, pool });
+  }
+
+  return buildManager({});
 }
 
 /**
- * Create a tracing span wrapper for common operations.
+ * Create tracing span helpers for common operations.
+ *
+ * wrap() runs its callback with the span active, so spans started inside
+ * it (including by instrumented libraries) become children, and sets the
+ * span status to OK or ERROR. inject()/extract() carry the W3C traceparent
+ * and tracestate across process boundaries: WebSocket messages use lower
+ * case fields, the session env file uses TRACEPARENT/TRACESTATE so the
+ * demo container can continue the trace.
+ *
+ * Without @opentelemetry/api (or with the noop backend) the helpers still
+ * run callbacks but record and propagate nothing.
  *
  * @param {Object} metricsManager - Metrics manager from createMetrics
  * @returns {Object} Span utilities
@@ -164,62 +616,266 @@ function createMetrics(options) {
  * @example
  * const spans = createSpanUtils(metrics);
  *
- * async function startSession() {
+ * async function startSession(sessionId, message) {
+ *   // Continue the trace the browser started, if it sent one
  *   return spans.wrap('session.start', { 'session.id': sessionId }, async (span) => {
- *     // ... session start logic
- *     span.setAttribute('session.duration', duration);
- *   });
+ *     const credentials = spans.injectEnv(profile.render({ sessionId }));
+ *     const envFile = createSessionEnvFile({ sessionId, credentials, ...paths });
+ *     await spans.wrap('ttyd.spawn', {}, () => spawnTtyd(envFile));
+ *     ws.send(JSON.stringify(spans.inject({ type: 'session-started', sessionId })));
+ *   }, { parent: message });
  * }
  */
 function createSpanUtils(metricsManager) {
   const tracer = metricsManager.getTracer();
+  const enabled = Boolean(tracer && context);
+
+  /**
+   * Extract a remote span context from a carrier.
+   *
+   * @param {Object} carrier - Object with traceparent/tracestate (WebSocket
+   *   message, HTTP headers) or TRACEPARENT/TRACESTATE (process.env)
+   * @returns {Object|null} OTel context with the remote parent, or null if the
+   *   carrier has no valid traceparent or tracing is unavailable
+   */
+  function extract(carrier) {
+    if (!enabled || !carrier || typeof carrier !== 'object') {
+      return null;
+    }
+    const parsed = parseTraceparent(readCarrierField(carrier, 'traceparent'));
+    if (!parsed) {
+      return null;
+    }
+
+    const spanContext = { ...parsed, isRemote: true };
+    const tracestate = readCarrierField(carrier, 'tracestate');
+    if (typeof tracestate === 'string' && tracestate && createTraceState) {
+      spanContext.traceState = createTraceState(tracestate);
+    }
+    return trace.setSpanContext(context.active(), spanContext);
+  }
+
+  /**
+   * Write the current trace context into a carrier.
+   *
+   * @param {Object} [carrier={}] - Object to add traceparent/tracestate to (mutated)
+   * @param {Object} [ctx] - OTel context (default: the active context)
+   * @returns {Object} The carrier
+   */
+  function inject(carrier = {}, ctx) {
+    if (!enabled) {
+      return carrier;
+    }
+    const spanContext = trace.getSpanContext(ctx || context.active());
+    if (!spanContext || !trace.isSpanContextValid(spanContext)) {
+      return carrier;
+    }
+
+    carrier.traceparent = formatTraceparent(spanContext);
+    const tracestate = spanContext.traceState ? spanContext.traceState.serialize() : '';
+    if (tracestate) {
+      carrier.tracestate = tracestate;
+    }
+    return carrier;
+  }
+
+  /**
+   * Get the current traceparent value.
+   *
+   * Handy as a credential profile variable: TRACEPARENT: () => spans.traceparent()
+   *
+   * @param {Object} [ctx] - OTel context (default: the active context)
+   * @returns {string|undefined} traceparent, or undefined outside a trace
+   */
+  function traceparent(ctx) {
+    return inject({}, ctx).traceparent;
+  }
+
+  /**
+   * Add TRACEPARENT/TRACESTATE to env file credentials.
+   *
+   * @param {Object} [env={}] - Credentials for createSessionEnvFile (mutated)
+   * @param {Object} [ctx] - OTel context (default: the active context)
+   * @returns {Object} The credentials
+   */
+  function injectEnv(env = {}, ctx) {
+    const carrier = inject({}, ctx);
+    if (carrier.traceparent) {
+      env.TRACEPARENT = carrier.traceparent;
+    }
+    if (carrier.tracestate) {
+      env.TRACESTATE = carrier.tracestate;
+    }
+    return env;
+  }
+
+  /**
+   * Resolve the parent context for a new span.
+   *
+   * @param {*} parent - undefined (active context), null (new root), an OTel
+   *   context, a span, or a carrier with a traceparent
+   * @returns {Object} OTel context
+   */
+  function resolveParent(parent) {
+    if (parent === undefined) {
+      return context.active();
+    }
+    if (parent === null) {
+      return ROOT_CONTEXT;
+    }
+    if (typeof parent.getValue === 'function') {
+      return parent;
+    }
+    if (typeof parent.spanContext === 'function') {
+      return trace.setSpan(context.active(), parent);
+    }
+    // A carrier without a valid traceparent leaves the span under the active context
+    return extract(parent) || context.active();
+  }
+
+  /**
+   * Convert a link target to an OTel link.
+   *
+   * @param {Object} link - Span, span context, { context, attributes } or carrier
+   * @returns {Object|null} { context, attributes } or null if invalid
+   */
+  function toLink(link) {
+    if (!link || typeof link !== 'object') {
+      return null;
+    }
+    if (link.context && link.context.traceId) {
+      return link;
+    }
+    if (typeof link.spanContext === 'function') {
+      return { context: link.spanContext() };
+    }
+    if (link.traceId && link.spanId) {
+      return { context: link };
+    }
+    const linked = extract(link);
+    return linked ? { context: trace.getSpanContext(linked) } : null;
+  }
+
+  /**
+   * Build span start options.
+   *
+   * @param {Object} attributes - Initial span attributes
+   * @param {Object} options - { kind, links }
+   * @returns {Object} OTel SpanOptions
+   */
+  function spanOptions(attributes, options) {
+    const spanOpts = { attributes };
+    if (options.kind !== undefined) {
+      spanOpts.kind = options.kind;
+    }
+    if (options.links) {
+      spanOpts.links = options.links.map(toLink).filter(Boolean);
+    }
+    return spanOpts;
+  }
+
+  /**
+   * End a span, setting OK status or recording the error.
+   *
+   * @param {Object|null} span - Span from start()
+   * @param {Error} [err] - Error the operation failed with
+   */
+  function end(span, err) {
+    if (!span) {
+      return;
+    }
+    if (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+    } else {
+      span.setStatus({ code: SpanStatusCode.OK });
+    }
+    span.end();
+  }
 
   /**
    * Wrap an async operation in a tracing span.
    *
+   * The callback runs with the span as the active span. The span ends with
+   * OK status when the callback resolves and ERROR status when it throws.
+   *
    * @param {string} name - Span name
    * @param {Object} attributes - Initial span attributes
    * @param {Function} fn - Async function to execute (receives span as argument)
+   * @param {Object} [options] - Span options
+   * @param {*} [options.parent] - Parent: OTel context, span, carrier with a
+   *   traceparent (e.g. a WebSocket message), or null for a new root
+   *   (default: the active context)
+   * @param {Array} [options.links] - Spans, span contexts or carriers to link to
+   * @param {number} [options.kind] - SpanKind
    * @returns {Promise<*>} Result of the wrapped function
    */
-  async function wrap(name, attributes, fn) {
-    if (!tracer) {
+  async function wrap(name, attributes, fn, options = {}) {
+    if (!enabled) {
       return fn(null);
     }
 
-    const span = tracer.startSpan(name, { attributes });
-    try {
-      const result = await fn(span);
-      span.end();
-      return result;
-    } catch (err) {
-      span.recordException(err);
-      span.end();
-      throw err;
-    }
+    const parentContext = resolveParent(options.parent);
+    const span = tracer.startSpan(name, spanOptions(attributes, options), parentContext);
+    return context.with(trace.setSpan(parentContext, span), async () => {
+      try {
+        const result = await fn(span);
+        end(span);
+        return result;
+      } catch (err) {
+        end(span, err);
+        throw err;
+      }
+    });
   }
 
   /**
    * Start a span manually (for operations that need manual end).
    *
+   * The span isn't made active; use withSpan() to run code under it and
+   * end() to finish it with a status.
+   *
    * @param {string} name - Span name
    * @param {Object} [attributes] - Initial span attributes
+   * @param {Object} [options] - { parent, links, kind } as for wrap()
    * @returns {Object|null} Span or null if tracer not available
    */
-  function start(name, attributes = {}) {
-    if (!tracer) {
+  function start(name, attributes = {}, options = {}) {
+    if (!enabled) {
       return null;
     }
-    return tracer.startSpan(name, { attributes });
+    return tracer.startSpan(name, spanOptions(attributes, options), resolveParent(options.parent));
+  }
+
+  /**
+   * Run a function with a span as the active span.
+   *
+   * @param {Object|null} span - Span from start()
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of fn
+   */
+  function withSpan(span, fn) {
+    if (!enabled || !span) {
+      return fn();
+    }
+    return context.with(trace.setSpan(context.active(), span), fn);
   }
 
   return {
     wrap,
-    start
+    start,
+    end,
+    withSpan,
+    inject,
+    extract,
+    injectEnv,
+    traceparent
   };
 }
 
 module.exports = {
   createMetrics,
-  createSpanUtils
+  createSpanUtils,
+  formatTraceparent,
+  parseTraceparent
 };
@@ -0,0 +1,363 @@
+/**
+ * In-process metrics registry with Prometheus text exposition.
+ *
+ * Implements the subset of the OpenTelemetry Meter API used by
+ * createMetrics (counters, up/down counters, histograms and observable
+ * gauges) so deployments without an OTel collector can still be scraped.
+ */
+
+// OpenTelemetry's default explicit bucket boundaries
+const DEFAULT_BOUNDARIES = [0, 5, 10, 25, 50, 75, 100, 250, 500, 750, 1000, 2500, 5000, 7500, 10000];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Make a string a valid Prometheus metric or label name.
+ *
+ * @param {string} name - Raw name (e.g. 'session.id')
+ * @returns {string} Sanitized name (e.g. 'session_id')
+ */
+function sanitizeName(name) {
+  const sanitized = String(name).replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+/**
+ * Escape a label value.
+ *
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text.
+ *
+ * @param {string} text - Help text
+ * @returns {string} Escaped text
+ */
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value.
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Normalize attributes to sorted [name, value] pairs.
+ *
+ * @param {Object} [attributes] - Metric attributes
+ * @returns {Array<Array<string>>} Sorted label pairs
+ */
+function toLabels(attributes) {
+  return Object.entries(attributes || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [sanitizeName(name), String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Render a label set.
+ *
+ * @param {Array<Array<string>>} labels - Label pairs
+ * @returns {string} {a="1",b="2"} or ''
+ */
+function formatLabels(labels) {
+  if (labels.length === 0) {
+    return '';
+  }
+  return `{${labels.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Create an in-process metrics registry.
+ *
+ * @returns {Object} Registry with Meter-compatible instrument factories and render()
+ *
+ * @example
+ * const registry = createPrometheusRegistry();
+ * const requests = registry.createCounter('http_requests_total', { description: 'HTTP requests' });
+ * requests.add(1, { route: '/queue' });
+ *
+ * registry.render();
+ * // # HELP http_requests_total HTTP requests
+ * // # TYPE http_requests_total counter
+ * // http_requests_total{route="/queue"} 1
+ */
+function createPrometheusRegistry() {
+  // Map: name -> { type, description, series | callbacks, boundaries }
+  const instruments = new Map();
+
+  /**
+   * Register an instrument, rejecting conflicting redefinitions.
+   *
+   * @param {string} name - Metric name
+   * @param {string} type - Prometheus type
+   * @param {Object} [options] - { description, advice }
+   * @returns {Object} Instrument record
+   */
+  function register(name, type, options = {}) {
+    const metricName = sanitizeName(name);
+    const existing = instruments.get(metricName);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${metricName} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const advice = options.advice || {};
+    const record = {
+      type,
+      description: options.description || '',
+      boundaries: (advice.explicitBucketBoundaries || DEFAULT_BOUNDARIES).slice().sort((a, b) => a - b),
+      // Map: serialized labels -> { labels, value } or histogram state
+      series: new Map(),
+      callbacks: []
+    };
+    instruments.set(metricName, record);
+    return record;
+  }
+
+  /**
+   * Get or create the series for a label set.
+   *
+   * @param {Object} record - Instrument record
+   * @param {Object} [attributes] - Metric attributes
+   * @param {Function} init - () => initial series state
+   * @returns {Object} Series state
+   */
+  function seriesFor(record, attributes, init) {
+    const labels = toLabels(attributes);
+    const key = JSON.stringify(labels);
+    let series = record.series.get(key);
+    if (!series) {
+      series = { labels, ...init() };
+      record.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Create a monotonic counter.
+   *
+   * @param {string} name - Metric name
+   * @param {Object} [options] - { description, unit }
+   * @returns {Object} Counter { add(value, attributes) }
+   */
+  function createCounter(name, options) {
+    const record = register(name, 'counter', options);
+    return {
+      add(value, attributes) {
+        // Counters are monotonic; OTel drops negative increments too
+        if (!(value >= 0)) {
+          return;
+        }
+        seriesFor(record, attributes, () => ({ value: 0 })).value += value;
+      }
+    };
+  }
+
+  /**
+   * Create a counter that can go up and down (rendered as a gauge).
+   *
+   * @param {string} name - Metric name
+   * @param {Object} [options] - { description, unit }
+   * @returns {Object} Counter { add(value, attributes) }
+   */
+  function createUpDownCounter(name, options) {
+    const record = register(name, 'gauge', options);
+    return {
+      add(value, attributes) {
+        if (Number.isFinite(value)) {
+          seriesFor(record, attributes, () => ({ value: 0 })).value += value;
+        }
+      }
+    };
+  }
+
+  /**
+   * Create a histogram.
+   *
+   * Bucket boundaries come from options.advice.explicitBucketBoundaries,
+   * as in the OTel API, or the OTel defaults.
+   *
+   * @param {string} name - Metric name
+   * @param {Object} [options] - { description, unit, advice }
+   * @returns {Object} Histogram { record(value, attributes) }
+   */
+  function createHistogram(name, options) {
+    const record = register(name, 'histogram', options);
+    return {
+      record(value, attributes) {
+        if (!Number.isFinite(value)) {
+          return;
+        }
+        const series = seriesFor(record, attributes, () => ({
+          buckets: new Array(record.boundaries.length).fill(0),
+          sum: 0,
+          count: 0
+        }));
+        const index = record.boundaries.findIndex((boundary) => value <= boundary);
+        if (index !== -1) {
+          series.buckets[index] += 1;
+        }
+        series.sum += value;
+        series.count += 1;
+      }
+    };
+  }
+
+  /**
+   * Create a gauge whose values are observed by callbacks at render time.
+   *
+   * @param {string} name - Metric name
+   * @param {Object} [options] - { description, unit }
+   * @returns {Object} Gauge { addCallback(cb), removeCallback(cb) }; cb receives
+   *   an observer with observe(value, attributes)
+   */
+  function createObservableGauge(name, options) {
+    const record = register(name, 'gauge', options);
+    return {
+      addCallback(callback) {
+        record.callbacks.push(callback);
+      },
+      removeCallback(callback) {
+        record.callbacks = record.callbacks.filter((registered) => registered !== callback);
+      }
+    };
+  }
+
+  /**
+   * Run observable callbacks for an instrument.
+   *
+   * @param {string} name - Metric name
+   * @param {Object} record - Instrument record
+   * @returns {Array<Object>} Observed series { labels, value }
+   */
+  function observe(name, record) {
+    const observed = new Map();
+    const result = {
+      observe(value, attributes) {
+        if (typeof value === 'number') {
+          const labels = toLabels(attributes);
+          observed.set(JSON.stringify(labels), { labels, value });
+        }
+      }
+    };
+    for (const callback of record.callbacks) {
+      try {
+        callback(result);
+      } catch (err) {
+        console.error(`Metric callback for ${name} failed: ${err.message}`);
+      }
+    }
+    return Array.from(observed.values());
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format (0.0.4).
+   *
+   * @returns {string} Exposition text
+   */
+  function render() {
+    const lines = [];
+    for (const [name, record] of instruments) {
+      const samples = [];
+
+      if (record.type === 'histogram') {
+        for (const series of record.series.values()) {
+          let cumulative = 0;
+          record.boundaries.forEach((boundary, i) => {
+            cumulative += series.buckets[i];
+            const labels = formatLabels([...series.labels, ['le', formatValue(boundary)]]);
+            samples.push(`${name}_bucket${labels} ${cumulative}`);
+          });
+          samples.push(`${name}_bucket${formatLabels([...series.labels, ['le', '+Inf']])} ${series.count}`);
+          samples.push(`${name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+          samples.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+      } else {
+        const series = record.callbacks.length > 0 ? observe(name, record) : Array.from(record.series.values());
+        for (const { labels, value } of series) {
+          samples.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+      }
+
+      if (record.description) {
+        lines.push(`# HELP ${name} ${escapeHelp(record.description)}`);
+      }
+      lines.push(`# TYPE ${name} ${record.type}`);
+      lines.push(...samples);
+    }
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
+  return {
+    createCounter,
+    createUpDownCounter,
+    createHistogram,
+    createObservableGauge,
+    render
+  };
+}
+
+/**
+ * Create an HTTP handler serving Prometheus metrics.
+ *
+ * Works with node:http and Express/Connect. Only GET and HEAD are allowed.
+ *
+ * @param {Function} render - () => exposition text (e.g. metrics.renderPrometheus)
+ * @returns {Function} Handler (req, res)
+ *
+ * @example
+ * app.get('/metrics', createMetricsHandler(metrics.renderPrometheus));
+ */
+function createMetricsHandler(render) {
+  if (typeof render !== 'function') {
+    throw new Error('render must be a function');
+  }
+
+  return function metricsHandler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'GET, HEAD');
+      res.end();
+      return;
+    }
+
+    let body;
+    try {
+      body = render();
+    } catch (err) {
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(`Failed to render metrics: ${err.message}\n`);
+      return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', CONTENT_TYPE);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+}
+
+module.exports = {
+  createPrometheusRegistry,
+  createMetricsHandler
+};
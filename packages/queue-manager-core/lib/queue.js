@@ -0,0 +1,693 @@
+/**
+ * Shared waiting queue for demo platform queue managers.
+ *
+ * Replaces each demo's services/queue.js: a bounded queue of clients
+ * waiting for the sandbox, with one set of events for position updates,
+ * promotion and abandonment. Everything is synchronous and the clock is
+ * injectable, so queue behavior is deterministic under test.
+ *
+ * Clients can be split into priority lanes (e.g. from an invite's
+ * `priority` field). Lanes are served by smooth weighted round robin, a
+ * lane head passed over maxSkips times is served first, and time-boxed
+ * reservations hold the next slot for a specific invite.
+ *
+ * With a wait estimator (see wait-estimator.js), position updates carry an
+ * ETA and promotions and removals feed the estimator's early-exit rate.
+ */
+
+const QUEUE_EVENTS = ['position-changed', 'promoted', 'abandoned'];
+
+const DEFAULT_LANE = 'normal';
+
+/**
+ * Default lane resolver: the invite's priority field.
+ *
+ * @param {Object} [invite] - Invite metadata
+ * @returns {string|undefined} Lane name
+ */
+function priorityLane(invite) {
+  return invite ? invite.priority : undefined;
+}
+
+/**
+ * Normalize lane configuration.
+ *
+ * @param {Object} lanes - Lane name -> { weight, maxSize }
+ * @param {string} defaultLane - Lane for clients without a (known) lane
+ * @returns {Map} Lane name -> { weight, maxSize }
+ */
+function normalizeLanes(lanes, defaultLane) {
+  const normalized = new Map();
+  for (const [name, config] of Object.entries(lanes)) {
+    const { weight = 1, maxSize = Infinity } = config || {};
+    if (!(weight >= 0) || !Number.isFinite(weight)) {
+      throw new Error(`Weight for lane ${name} must be a non-negative number`);
+    }
+    if (!(maxSize > 0)) {
+      throw new Error(`maxSize for lane ${name} must be a positive number`);
+    }
+    normalized.set(name, { weight, maxSize });
+  }
+  if (!normalized.has(defaultLane)) {
+    throw new Error(`Default lane ${defaultLane} is not configured`);
+  }
+  return normalized;
+}
+
+/**
+ * Create a waiting queue.
+ *
+ * Events (listen with queue.on(event, listener)):
+ * - position-changed: { id, data, lane, position, previousPosition, size, eta }, for
+ *   new entries (previousPosition null) and entries whose place changed; eta
+ *   ({ etaMs, lowMs, highMs, confidence }) only with an estimator
+ * - promoted: { id, data, lane, waitMs, reservation }, when dequeue() hands out a client
+ * - abandoned: { id, data, lane, reason, waitMs }, when remove() or clear() drops a client
+ *
+ * With a metrics manager, the queue length feeds demo_queue_size,
+ * promotions record queueWait and removals record queueAbandoned by reason
+ * (both with a lane attribute when more than one lane is configured).
+ *
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.maxSize=10] - Maximum queued clients (MAX_QUEUE_SIZE); clients
+ *   with an active reservation are always admitted
+ * @param {Object} [options.lanes] - Lane name -> { weight = 1, maxSize }; default a single
+ *   'normal' lane (plain FIFO)
+ * @param {string} [options.defaultLane='normal'] - Lane for clients without a known lane
+ * @param {Function} [options.laneFor] - (invite) => lane name; default invite.priority
+ * @param {number|null} [options.maxSkips=10] - Serve a lane head that other clients have
+ *   been promoted ahead of this many times before anything else; null disables. Keep it
+ *   above the ratio between lane weights, or it overrides the weighting
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics or forDemo)
+ * @param {Object} [options.estimator] - Wait estimator (from createWaitEstimator)
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Queue instance
+ *
+ * @example
+ * const metrics = createMetrics({ serviceName, getActiveSessionCount: () => (session ? 1 : 0) });
+ * const queue = createQueue({ maxSize: config.MAX_QUEUE_SIZE, metrics });
+ *
+ * queue.on('position-changed', ({ data, position, size }) => {
+ *   data.ws.send(JSON.stringify({ type: 'queue-position', position, size }));
+ * });
+ *
+ * ws.on('message', () => {
+ *   const result = queue.enqueue(clientId, { ws });
+ *   if (!result.queued) {
+ *     ws.send(JSON.stringify({ type: 'queue-full' }));
+ *   }
+ * });
+ * ws.on('close', () => queue.remove(clientId, 'disconnected'));
+ *
+ * // When the sandbox frees up
+ * const next = queue.dequeue();
+ * if (next) {
+ *   startSession(next.id, next.data.ws);
+ * }
+ *
+ * @example
+ * // Customer invites (priority: 'customer') get three slots for every normal one
+ * const queue = createQueue({
+ *   lanes: { customer: { weight: 3 }, normal: { weight: 1 } },
+ *   maxSkips: 6
+ * });
+ * queue.enqueue(clientId, { ws }, { invite });
+ *
+ * // Hold the sandbox for one invite from 14:00 to 14:15
+ * queue.reserve(invite.token, { startsAt: Date.parse('2026-03-02T14:00:00Z'), durationMs: 15 * 60 * 1000 });
+ */
+function createQueue(options = {}) {
+  const {
+    maxSize = 10,
+    lanes: laneConfig = { [DEFAULT_LANE]: { weight: 1 } },
+    defaultLane = DEFAULT_LANE,
+    laneFor = priorityLane,
+    maxSkips = 10,
+    metrics,
+    estimator,
+    now = Date.now
+  } = options;
+
+  if (!(maxSize > 0)) {
+    throw new Error('maxSize must be a positive number');
+  }
+  if (typeof laneFor !== 'function') {
+    throw new Error('laneFor must be a function');
+  }
+  if (maxSkips !== null && !(Number.isInteger(maxSkips) && maxSkips > 0)) {
+    throw new Error('maxSkips must be a positive integer or null');
+  }
+  const lanes = normalizeLanes(laneConfig, defaultLane);
+  const multiLane = lanes.size > 1;
+
+  // Arrival order; entries are { id, data, lane, reservation, enqueuedAt, position }
+  const entries = [];
+  // Map: id -> entry
+  const byId = new Map();
+  // Map: lane -> smooth weighted round robin current weight
+  const currentWeights = new Map(Array.from(lanes.keys(), (lane) => [lane, 0]));
+  // Map: entry -> times passed over while at the head of its lane
+  const skipCounts = new Map();
+  // Map: reservation key -> { key, startsAt, endsAt }
+  const reservationsByKey = new Map();
+  // Map: event -> Set(listener)
+  const listeners = new Map(QUEUE_EVENTS.map((event) => [event, new Set()]));
+
+  /**
+   * Get the current queue length.
+   *
+   * @returns {number} Number of queued clients
+   */
+  function size() {
+    return entries.length;
+  }
+
+  if (metrics && typeof metrics.observeQueueLength === 'function') {
+    metrics.observeQueueLength(size);
+  }
+
+  /**
+   * Call the listeners for an event.
+   *
+   * A throwing listener is logged and doesn't stop the others, so one
+   * closed socket can't leave the queue half-updated.
+   *
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  function emit(event, payload) {
+    for (const listener of listeners.get(event)) {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`Queue ${event} listener failed: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Metric attributes for an entry.
+   *
+   * @param {Object} entry - Queue entry
+   * @param {Object} [attributes] - Extra attributes
+   * @returns {Object} Attributes, with lane only when lanes are configured
+   */
+  function metricAttributes(entry, attributes = {}) {
+    return multiLane ? { ...attributes, lane: entry.lane } : attributes;
+  }
+
+  /**
+   * Drop reservations whose window has passed.
+   *
+   * @param {number} currentTime - Current time
+   */
+  function pruneReservations(currentTime) {
+    for (const [key, reservation] of reservationsByKey) {
+      if (reservation.endsAt <= currentTime) {
+        reservationsByKey.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check whether a reservation is in its window.
+   *
+   * @param {string} key - Reservation key
+   * @param {number} currentTime - Current time
+   * @returns {boolean} True if active
+   */
+  function isReservationActive(key, currentTime) {
+    const reservation = key ? reservationsByKey.get(key) : undefined;
+    return Boolean(reservation) && reservation.startsAt <= currentTime && currentTime < reservation.endsAt;
+  }
+
+  /**
+   * Pick the next entry to serve.
+   *
+   * Order: a queued client with an active reservation; nothing while an
+   * active reservation's client is absent (the slot is held); the oldest
+   * lane head passed over maxSkips times; then weighted round robin.
+   *
+   * Starvation counts skips rather than time waited: once sessions run
+   * longer than any time threshold every head would be starved, and the
+   * lanes would collapse into arrival order.
+   *
+   * @param {Array<Object>} pending - Entries in arrival order (not mutated)
+   * @param {Map} weights - Current round robin weights (updated for round robin picks)
+   * @param {Map} skips - Skip counts per entry (updated for the lane heads passed over)
+   * @param {number} currentTime - Current time
+   * @param {boolean} [holdSlots=true] - Return null for a held slot; false skips it
+   * @returns {Object|null} Entry, or null if empty or held
+   */
+  function pickNext(pending, weights, skips, currentTime, holdSlots = true) {
+    if (pending.length === 0) {
+      return null;
+    }
+
+    // Lane heads in lane configuration order
+    const heads = [];
+    for (const lane of lanes.keys()) {
+      const head = pending.find((entry) => entry.lane === lane);
+      if (head) {
+        heads.push(head);
+      }
+    }
+
+    const next = chooseNext(pending, heads, weights, skips, currentTime, holdSlots);
+    if (next) {
+      for (const head of heads) {
+        if (head !== next) {
+          skips.set(head, (skips.get(head) || 0) + 1);
+        }
+      }
+      skips.delete(next);
+    }
+    return next;
+  }
+
+  /**
+   * Choose among the reserved client and the lane heads (see pickNext).
+   *
+   * @param {Array<Object>} pending - Entries in arrival order
+   * @param {Array<Object>} heads - Lane heads in lane configuration order
+   * @param {Map} weights - Current round robin weights (updated for round robin picks)
+   * @param {Map} skips - Skip counts per entry
+   * @param {number} currentTime - Current time
+   * @param {boolean} holdSlots - Return null for a held slot; false skips it
+   * @returns {Object|null} Entry, or null if held
+   */
+  function chooseNext(pending, heads, weights, skips, currentTime, holdSlots) {
+    const reserved = pending.find((entry) => isReservationActive(entry.reservation, currentTime));
+    if (reserved) {
+      return reserved;
+    }
+    if (holdSlots && Array.from(reservationsByKey.keys()).some((key) => isReservationActive(key, currentTime))) {
+      return null;
+    }
+
+    if (maxSkips !== null) {
+      const starved = heads
+        .filter((head) => (skips.get(head) || 0) >= maxSkips)
+        .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+      if (starved.length > 0) {
+        return starved[0];
+      }
+    }
+
+    const weighted = heads.filter((head) => lanes.get(head.lane).weight > 0);
+    if (weighted.length === 0) {
+      // Only zero-weight lanes are waiting: serve the oldest
+      return heads.slice().sort((a, b) => a.enqueuedAt - b.enqueuedAt)[0];
+    }
+
+    let totalWeight = 0;
+    let best = null;
+    for (const head of weighted) {
+      const weight = lanes.get(head.lane).weight;
+      totalWeight += weight;
+      weights.set(head.lane, weights.get(head.lane) + weight);
+      if (!best || weights.get(head.lane) > weights.get(best.lane)) {
+        best = head;
+      }
+    }
+    weights.set(best.lane, weights.get(best.lane) - totalWeight);
+    return best;
+  }
+
+  /**
+   * Compute the order clients will be served in, as of now.
+   *
+   * @param {number} currentTime - Current time
+   * @returns {Array<Object>} Entries in service order
+   */
+  function serviceOrder(currentTime) {
+    const pending = entries.slice();
+    const weights = new Map(currentWeights);
+    const skips = new Map(skipCounts);
+    const order = [];
+    while (pending.length > 0) {
+      // A held slot doesn't change the order of the clients behind it
+      const next = pickNext(pending, weights, skips, currentTime, false);
+      order.push(next);
+      pending.splice(pending.indexOf(next), 1);
+    }
+    return order;
+  }
+
+  /**
+   * Renumber entries in service order and emit position-changed for those that moved.
+   */
+  function updatePositions() {
+    const currentTime = now();
+    pruneReservations(currentTime);
+    const order = serviceOrder(currentTime);
+    order.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position !== position) {
+        const previousPosition = entry.position;
+        entry.position = position;
+        emit('position-changed', {
+          id: entry.id,
+          data: entry.data,
+          lane: entry.lane,
+          position,
+          previousPosition,
+          size: entries.length,
+          ...(estimator && { eta: estimator.estimate(position) })
+        });
+      }
+    });
+  }
+
+  /**
+   * Take an entry out of the queue.
+   *
+   * @param {Object} entry - Queue entry
+   */
+  function detach(entry) {
+    entries.splice(entries.indexOf(entry), 1);
+    byId.delete(entry.id);
+    skipCounts.delete(entry);
+  }
+
+  /**
+   * Add a client to the queue.
+   *
+   * Enqueuing an ID that's already queued keeps its place (e.g. a client
+   * that reconnects while waiting) and replaces its data.
+   *
+   * @param {string} id - Client identifier
+   * @param {Object} [data={}] - Data passed back in events (e.g. { ws })
+   * @param {Object} [enqueueOptions] - Placement options
+   * @param {Object} [enqueueOptions.invite] - Invite metadata; picks the lane (laneFor) and
+   *   matches reservations by invite.token
+   * @param {string} [enqueueOptions.lane] - Lane, overriding the invite
+   * @param {string} [enqueueOptions.reservation] - Reservation key, overriding invite.token
+   * @returns {Object} { queued: true, position, lane, existing } or
+   *   { queued: false, reason: 'full' | 'lane-full' }
+   */
+  function enqueue(id, data = {}, enqueueOptions = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('id must be a non-empty string');
+    }
+
+    const existing = byId.get(id);
+    if (existing) {
+      existing.data = data;
+      return { queued: true, position: existing.position, lane: existing.lane, existing: true };
+    }
+
+    const { invite, reservation = invite ? invite.token : undefined } = enqueueOptions;
+    const requestedLane = enqueueOptions.lane !== undefined ? enqueueOptions.lane : laneFor(invite);
+    const lane = lanes.has(requestedLane) ? requestedLane : defaultLane;
+
+    const currentTime = now();
+    if (!isReservationActive(reservation, currentTime)) {
+      if (entries.length >= maxSize) {
+        return { queued: false, reason: 'full' };
+      }
+      if (entries.filter((entry) => entry.lane === lane).length >= lanes.get(lane).maxSize) {
+        return { queued: false, reason: 'lane-full' };
+      }
+    }
+
+    const entry = { id, data, lane, reservation, enqueuedAt: currentTime, position: null };
+    entries.push(entry);
+    byId.set(id, entry);
+    updatePositions();
+    return { queued: true, position: entry.position, lane, existing: false };
+  }
+
+  /**
+   * Take the next client to serve.
+   *
+   * @returns {Object|null} { id, data, lane, waitMs, reservation }, or null if the
+   *   queue is empty or the slot is held for a reservation (see heldUntil())
+   */
+  function dequeue() {
+    const currentTime = now();
+    pruneReservations(currentTime);
+    const entry = pickNext(entries, currentWeights, skipCounts, currentTime);
+    if (!entry) {
+      return null;
+    }
+    detach(entry);
+
+    const usedReservation = isReservationActive(entry.reservation, currentTime) ? entry.reservation : null;
+    if (usedReservation) {
+      reservationsByKey.delete(usedReservation);
+    }
+
+    const waitMs = currentTime - entry.enqueuedAt;
+    if (metrics) {
+      metrics.queueWait.record(waitMs / 1000, metricAttributes(entry));
+    }
+    if (estimator) {
+      estimator.recordQueueExit('promoted');
+    }
+    const promoted = { id: entry.id, data: entry.data, lane: entry.lane, waitMs, reservation: usedReservation };
+    emit('promoted', promoted);
+    updatePositions();
+    return promoted;
+  }
+
+  /**
+   * Drop a client from the queue.
+   *
+   * @param {string} id - Client identifier
+   * @param {string} [reason='left'] - Why the client left (e.g. 'disconnected', 'left', 'timeout')
+   * @returns {boolean} True if the client was queued
+   */
+  function remove(id, reason = 'left') {
+    const entry = byId.get(id);
+    if (!entry) {
+      return false;
+    }
+    detach(entry);
+
+    if (metrics) {
+      metrics.queueAbandoned.add(1, metricAttributes(entry, { reason }));
+    }
+    if (estimator) {
+      estimator.recordQueueExit('abandoned');
+    }
+    emit('abandoned', { id, data: entry.data, lane: entry.lane, reason, waitMs: now() - entry.enqueuedAt });
+    updatePositions();
+    return true;
+  }
+
+  /**
+   * Hold the next free slot for a specific invite during a time window.
+   *
+   * While the window is open, the reserved client is served before
+   * everyone else, and dequeue() returns null if it isn't queued yet. The
+   * reservation is used up when its client is promoted.
+   *
+   * @param {string} key - Reservation key (usually the invite token)
+   * @param {Object} reserveOptions - Reservation window
+   * @param {number} reserveOptions.durationMs - Window length
+   * @param {number} [reserveOptions.startsAt=now()] - Window start (ms)
+   * @returns {Object} { key, startsAt, endsAt }
+   */
+  function reserve(key, reserveOptions = {}) {
+    const { durationMs, startsAt = now() } = reserveOptions;
+    if (!key || typeof key !== 'string') {
+      throw new Error('key must be a non-empty string');
+    }
+    if (!(durationMs > 0)) {
+      throw new Error('durationMs must be a positive number');
+    }
+
+    const reservation = { key, startsAt, endsAt: startsAt + durationMs };
+    reservationsByKey.set(key, reservation);
+    updatePositions();
+    return { ...reservation };
+  }
+
+  /**
+   * Cancel a reservation.
+   *
+   * @param {string} key - Reservation key
+   * @returns {boolean} True if a reservation was removed
+   */
+  function cancelReservation(key) {
+    const removed = reservationsByKey.delete(key);
+    if (removed) {
+      updatePositions();
+    }
+    return removed;
+  }
+
+  /**
+   * List reservations that haven't ended.
+   *
+   * @returns {Array<Object>} { key, startsAt, endsAt, active } per reservation
+   */
+  function reservations() {
+    const currentTime = now();
+    pruneReservations(currentTime);
+    return Array.from(reservationsByKey.values(), (reservation) => ({
+      ...reservation,
+      active: reservation.startsAt <= currentTime
+    }));
+  }
+
+  /**
+   * When the slot held for an absent reserved client frees up.
+   *
+   * Schedule a dequeue() retry for then (or when the client enqueues).
+   *
+   * @returns {number|null} End of the holding reservation window, or null if not held
+   */
+  function heldUntil() {
+    const currentTime = now();
+    pruneReservations(currentTime);
+    let until = null;
+    for (const reservation of reservationsByKey.values()) {
+      const queued = entries.some((entry) => entry.reservation === reservation.key);
+      if (!queued && isReservationActive(reservation.key, currentTime)) {
+        until = until === null ? reservation.endsAt : Math.min(until, reservation.endsAt);
+      }
+    }
+    return until;
+  }
+
+  /**
+   * Get a client's 1-based position in service order.
+   *
+   * @param {string} id - Client identifier
+   * @returns {number|null} Position, or null if not queued
+   */
+  function position(id) {
+    const entry = byId.get(id);
+    return entry ? entry.position : null;
+  }
+
+  /**
+   * Estimate the wait for a queued client, or for a client joining now.
+   *
+   * Without an id this is the ETA for the back of the queue, e.g. for the
+   * landing page before the visitor joins.
+   *
+   * @param {string} [id] - Client identifier
+   * @returns {Object|null} { etaMs, lowMs, highMs, confidence }, or null without an
+   *   estimator or for a client that isn't queued
+   */
+  function estimate(id) {
+    if (!estimator) {
+      return null;
+    }
+    if (id === undefined) {
+      return estimator.estimate(entries.length + 1);
+    }
+    const entry = byId.get(id);
+    return entry ? estimator.estimate(entry.position) : null;
+  }
+
+  /**
+   * Check whether a client is queued.
+   *
+   * @param {string} id - Client identifier
+   * @returns {boolean} True if queued
+   */
+  function has(id) {
+    return byId.has(id);
+  }
+
+  /**
+   * Look at the next client to serve without removing it.
+   *
+   * @returns {Object|null} { id, data, lane, waitMs } or null if empty or held
+   */
+  function peek() {
+    const currentTime = now();
+    const entry = pickNext(entries, new Map(currentWeights), new Map(skipCounts), currentTime);
+    return entry ? { id: entry.id, data: entry.data, lane: entry.lane, waitMs: currentTime - entry.enqueuedAt } : null;
+  }
+
+  /**
+   * List queued clients in service order.
+   *
+   * @returns {Array<Object>} { id, lane, position, waitMs } per client
+   */
+  function list() {
+    const currentTime = now();
+    return entries
+      .slice()
+      .sort((a, b) => a.position - b.position)
+      .map((entry) => ({ id: entry.id, lane: entry.lane, position: entry.position, waitMs: currentTime - entry.enqueuedAt }));
+  }
+
+  /**
+   * Drop every client (e.g. on shutdown).
+   *
+   * @param {string} [reason='shutdown'] - Reason passed to abandoned events
+   * @returns {number} Number of clients removed
+   */
+  function clear(reason = 'shutdown') {
+    const removed = entries.splice(0, entries.length);
+    byId.clear();
+    skipCounts.clear();
+    const currentTime = now();
+    for (const entry of removed) {
+      if (metrics) {
+        metrics.queueAbandoned.add(1, metricAttributes(entry, { reason }));
+      }
+      emit('abandoned', { id: entry.id, data: entry.data, lane: entry.lane, reason, waitMs: currentTime - entry.enqueuedAt });
+    }
+    return removed.length;
+  }
+
+  /**
+   * Subscribe to a queue event.
+   *
+   * @param {string} event - 'position-changed', 'promoted' or 'abandoned'
+   * @param {Function} listener - (payload) => void
+   * @returns {Function} Unsubscribe function
+   */
+  function on(event, listener) {
+    if (!listeners.has(event)) {
+      throw new Error(`Unknown queue event: ${event}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('listener must be a function');
+    }
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from a queue event.
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  function off(event, listener) {
+    if (listeners.has(event)) {
+      listeners.get(event).delete(listener);
+    }
+  }
+
+  return {
+    enqueue,
+    dequeue,
+    remove,
+    position,
+    estimate,
+    has,
+    peek,
+    list,
+    size,
+    clear,
+    reserve,
+    cancelReservation,
+    reservations,
+    heldUntil,
+    on,
+    off
+  };
+}
+
+module.exports = {
+  createQueue
+};
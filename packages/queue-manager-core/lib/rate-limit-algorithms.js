@@ -0,0 +1,517 @@
+/**
+ * Rate limiting algorithms.
+ *
+ * Each algorithm is a pure function over a small per-key state object,
+ * paired with an equivalent Lua script so the Redis store can apply it
+ * atomically. Both implementations must stay in lockstep.
+ *
+ * Algorithm run(state, ctx) contract:
+ * - state: previously stored state for the key, or null
+ * - ctx.now: current time in milliseconds
+ * - ctx.cost: 1 to consume an attempt, 0 to only peek
+ * - ctx.force: consume even when blocked (used by recordFailure)
+ * - any other ctx fields: limiter configuration (limit, windowMs, ...)
+ * Returns { state, ttlMs, allowed, remaining, retryAfterMs, resetMs, details },
+ * where a null state means nothing needs to be stored for the key, a null
+ * ttlMs keeps the state until it is explicitly changed, a negative
+ * retryAfterMs means the key is blocked indefinitely, resetMs is the time
+ * until the current window (or lockout) resets and is negative when none is
+ * running, and the optional details object is merged into the limiter's
+ * check result.
+ */
+
+const { defineScript } = require('./redis');
+
+// Shared Lua prelude: decode state and arguments
+const LUA_PRELUDE = `
+local raw = redis.call('GET', KEYS[1])
+local state = false
+if raw then state = cjson.decode(raw) end
+local now = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local force = ARGV[3] == '1'
+local params = cjson.decode(ARGV[4])
+local limit = params.limit
+local windowMs = params.windowMs
+local refillRate = params.refillRate
+local allowed, remaining, retryAfterMs, resetMs, ttl, details
+`;
+
+// Shared Lua epilogue: persist state and return {allowed, remaining, retryAfterMs, resetMs, details}
+const LUA_EPILOGUE = `
+if state and ttl then
+  redis.call('SET', KEYS[1], cjson.encode(state), 'PX', math.max(1, math.ceil(ttl)))
+elseif state then
+  redis.call('SET', KEYS[1], cjson.encode(state))
+else
+  redis.call('DEL', KEYS[1])
+end
+return {allowed and 1 or 0, math.max(0, math.floor(remaining)), math.ceil(retryAfterMs), math.ceil(resetMs), details and cjson.encode(details) or ''}
+`;
+
+/**
+ * Build the Redis script for an algorithm.
+ *
+ * The JavaScript twin decodes the same arguments and runs the algorithm's
+ * run() function, so the fake Redis client exercises the shared logic.
+ *
+ * @param {string} body - Lua body operating on the prelude's locals
+ * @param {Function} run - JavaScript implementation of the algorithm
+ * @returns {Object} Script definition
+ */
+function defineAlgorithmScript(body, run) {
+  return defineScript(LUA_PRELUDE + body + LUA_EPILOGUE, (redis, keys, argv) => {
+    const raw = redis.call('GET', keys[0]);
+    const result = run(raw ? JSON.parse(raw) : null, {
+      ...JSON.parse(argv[3]),
+      now: Number(argv[0]),
+      cost: Number(argv[1]),
+      force: argv[2] === '1'
+    });
+
+    if (result.state && result.ttlMs !== null) {
+      redis.call('SET', keys[0], JSON.stringify(result.state), 'PX', Math.max(1, Math.ceil(result.ttlMs)));
+    } else if (result.state) {
+      redis.call('SET', keys[0], JSON.stringify(result.state));
+    } else {
+      redis.call('DEL', keys[0]);
+    }
+    return [
+      result.allowed ? 1 : 0,
+      Math.max(0, Math.floor(result.remaining)),
+      Math.ceil(result.retryAfterMs),
+      Math.ceil(result.resetMs),
+      result.details ? JSON.stringify(result.details) : ''
+    ];
+  });
+}
+
+/**
+ * Fixed window: count attempts in windows starting at the first attempt.
+ *
+ * State: { count, resetAt }
+ */
+function runFixedWindow(state, { now, cost, force, limit, windowMs }) {
+  if (state && now > state.resetAt) {
+    state = null;
+  }
+
+  if (!state && cost === 0) {
+    return { state: null, ttlMs: 0, allowed: true, remaining: limit - 1, retryAfterMs: 0, resetMs: -1 };
+  }
+  if (!state) {
+    state = { count: 0, resetAt: now + windowMs };
+  }
+
+  const ttlMs = state.resetAt - now;
+
+  if (state.count >= limit) {
+    if (force) {
+      state.count += cost;
+    }
+    return { state, ttlMs, allowed: false, remaining: 0, retryAfterMs: ttlMs, resetMs: ttlMs };
+  }
+
+  state.count += cost;
+  return { state, ttlMs, allowed: true, remaining: limit - state.count, retryAfterMs: 0, resetMs: ttlMs };
+}
+
+const FIXED_WINDOW_LUA = `
+if state and now > state.resetAt then state = false end
+if not state and cost == 0 then
+  allowed = true
+  remaining = limit - 1
+  retryAfterMs = 0
+  resetMs = -1
+else
+  if not state then state = {count = 0, resetAt = now + windowMs} end
+  ttl = state.resetAt - now
+  resetMs = ttl
+  if state.count >= limit then
+    if force then state.count = state.count + cost end
+    allowed = false
+    remaining = 0
+    retryAfterMs = state.resetAt - now
+  else
+    state.count = state.count + cost
+    allowed = true
+    remaining = limit - state.count
+    retryAfterMs = 0
+  end
+end
+`;
+
+/**
+ * Sliding log: keep the timestamps of the most recent attempts and allow
+ * at most `limit` of them within any `windowMs` span.
+ *
+ * State: { hits: [timestamp, ...] } (at most `limit` entries)
+ */
+function runSlidingLog(state, { now, cost, force, limit, windowMs }) {
+  const hits = state ? state.hits.filter((time) => time > now - windowMs) : [];
+  const allowed = hits.length < limit;
+
+  if (cost > 0 && (allowed || force)) {
+    hits.push(now);
+    if (hits.length > limit) {
+      hits.splice(0, hits.length - limit);
+    }
+  }
+
+  return {
+    state: hits.length > 0 ? { hits } : null,
+    ttlMs: hits.length > 0 ? hits[hits.length - 1] + windowMs - now : 0,
+    allowed,
+    remaining: allowed ? limit - hits.length : 0,
+    retryAfterMs: allowed ? 0 : hits[0] + windowMs - now,
+    resetMs: hits.length > 0 ? hits[hits.length - 1] + windowMs - now : -1
+  };
+}
+
+const SLIDING_LOG_LUA = `
+local hits = {}
+if state then
+  for _, time in ipairs(state.hits) do
+    if time > now - windowMs then table.insert(hits, time) end
+  end
+end
+allowed = #hits < limit
+if cost > 0 and (allowed or force) then
+  table.insert(hits, now)
+  while #hits > limit do table.remove(hits, 1) end
+end
+if allowed then
+  remaining = limit - #hits
+  retryAfterMs = 0
+else
+  remaining = 0
+  retryAfterMs = hits[1] + windowMs - now
+end
+if #hits > 0 then
+  state = {hits = hits}
+  ttl = hits[#hits] + windowMs - now
+  resetMs = ttl
+else
+  state = false
+  resetMs = -1
+end
+`;
+
+/**
+ * Sliding window counter: approximate a sliding window by weighting the
+ * previous aligned window's count by how much of it still overlaps.
+ *
+ * State: { windowStart, previous, current }
+ */
+function runSlidingWindowCounter(state, { now, cost, force, limit, windowMs }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let previous = 0;
+  let current = 0;
+
+  if (state && state.windowStart === windowStart) {
+    previous = state.previous;
+    current = state.current;
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const weight = (windowMs - (now - windowStart)) / windowMs;
+  const allowed = previous * weight + current + 1 <= limit;
+
+  if (cost > 0 && (allowed || force)) {
+    current += cost;
+  }
+
+  let retryAfterMs = 0;
+  if (!allowed && current + 1 > limit) {
+    retryAfterMs = windowStart + windowMs - now;
+  } else if (!allowed) {
+    retryAfterMs = windowStart + windowMs * (1 - (limit - current - 1) / previous) - now;
+  }
+
+  const active = previous > 0 || current > 0;
+  return {
+    state: active ? { windowStart, previous, current } : null,
+    ttlMs: windowStart + 2 * windowMs - now,
+    allowed,
+    remaining: allowed ? limit - (previous * weight + current) : 0,
+    retryAfterMs,
+    resetMs: active ? windowStart + windowMs - now : -1
+  };
+}
+
+const SLIDING_WINDOW_COUNTER_LUA = `
+local windowStart = math.floor(now / windowMs) * windowMs
+local previous = 0
+local current = 0
+if state and state.windowStart == windowStart then
+  previous = state.previous
+  current = state.current
+elseif state and state.windowStart == windowStart - windowMs then
+  previous = state.current
+end
+local weight = (windowMs - (now - windowStart)) / windowMs
+allowed = previous * weight + current + 1 <= limit
+if cost > 0 and (allowed or force) then current = current + cost end
+retryAfterMs = 0
+if not allowed and current + 1 > limit then
+  retryAfterMs = windowStart + windowMs - now
+elseif not allowed then
+  retryAfterMs = windowStart + windowMs * (1 - (limit - current - 1) / previous) - now
+end
+if allowed then
+  remaining = limit - (previous * weight + current)
+else
+  remaining = 0
+end
+if previous > 0 or current > 0 then
+  state = {windowStart = windowStart, previous = previous, current = current}
+  ttl = windowStart + 2 * windowMs - now
+  resetMs = windowStart + windowMs - now
+else
+  state = false
+  resetMs = -1
+end
+`;
+
+/**
+ * Token bucket: a bucket of `limit` (burst) tokens refilled continuously
+ * at `refillRate` tokens per second; each attempt takes one token.
+ *
+ * State: { tokens, updatedAt } (absent when the bucket is full)
+ */
+function runTokenBucket(state, { now, cost, force, limit, refillRate }) {
+  let tokens = limit;
+  if (state) {
+    tokens = Math.min(limit, state.tokens + (now - state.updatedAt) * refillRate / 1000);
+  }
+
+  const allowed = tokens >= 1;
+  if (cost > 0 && (allowed || force)) {
+    tokens = Math.max(0, tokens - cost);
+  }
+
+  return {
+    state: tokens < limit ? { tokens, updatedAt: now } : null,
+    ttlMs: (limit - tokens) * 1000 / refillRate,
+    allowed,
+    remaining: allowed ? tokens : 0,
+    retryAfterMs: allowed ? 0 : (1 - tokens) * 1000 / refillRate,
+    resetMs: tokens < limit ? (limit - tokens) * 1000 / refillRate : -1
+  };
+}
+
+const TOKEN_BUCKET_LUA = `
+local tokens = limit
+if state then
+  tokens = math.min(limit, state.tokens + (now - state.updatedAt) * refillRate / 1000)
+end
+allowed = tokens >= 1
+if cost > 0 and (allowed or force) then tokens = math.max(0, tokens - cost) end
+if allowed then
+  remaining = tokens
+  retryAfterMs = 0
+else
+  remaining = 0
+  retryAfterMs = (1 - tokens) * 1000 / refillRate
+end
+if tokens < limit then
+  state = {tokens = tokens, updatedAt = now}
+  ttl = (limit - tokens) * 1000 / refillRate
+  resetMs = ttl
+else
+  state = false
+  resetMs = -1
+end
+`;
+
+// resetAt -1 so the first attempt opens a window even on a clock starting at 0
+const EMPTY_LOCKOUT = { count: 0, resetAt: -1, tier: 0, lockedUntil: 0, banned: false };
+
+/**
+ * Progressive lockout: after `limit` attempts within `windowMs` the key is
+ * locked out for baseLockoutMs * lockoutMultiplier^(tier - 1), capped at
+ * maxLockoutMs. Each lockout raises the tier; tiers decay by one for every
+ * decayMs after a lockout ends. Reaching banAfterTier (if set) bans the key
+ * permanently. Forced attempts (recordFailure) still count during a lockout,
+ * so a key that keeps failing moves to the next tier, with a new lockout
+ * starting then. ctx.op 'ban' / 'unban' manage the denylist explicitly.
+ *
+ * State: { count, resetAt, tier, lockedUntil, banned: false | { reason, at } }
+ */
+function runProgressiveLockout(state, ctx) {
+  const { now, cost, force, limit, windowMs, baseLockoutMs, lockoutMultiplier, maxLockoutMs, decayMs, banAfterTier } = ctx;
+  state = state ? { ...state } : { ...EMPTY_LOCKOUT };
+
+  if (ctx.op === 'ban') {
+    state.banned = { reason: ctx.reason || 'manual', at: now };
+  } else if (ctx.op === 'unban') {
+    state = { ...EMPTY_LOCKOUT };
+  }
+
+  let tier = state.tier;
+  if (tier > 0 && decayMs > 0 && now > state.lockedUntil) {
+    tier = Math.max(0, tier - Math.floor((now - state.lockedUntil) / decayMs));
+  }
+
+  if (now > state.resetAt) {
+    state.count = 0;
+    state.resetAt = now + windowMs;
+  }
+
+  let allowed = true;
+  let remaining = 0;
+  let retryAfterMs = 0;
+
+  if (state.banned) {
+    allowed = false;
+    retryAfterMs = -1;
+  } else {
+    const locked = now < state.lockedUntil;
+    if (!locked || force) {
+      state.count += cost;
+      remaining = limit - state.count;
+      if (state.count >= limit) {
+        tier += 1;
+        state.tier = tier;
+        state.lockedUntil = now + Math.min(baseLockoutMs * Math.pow(lockoutMultiplier, tier - 1), maxLockoutMs);
+        state.count = 0;
+        remaining = 0;
+        if (banAfterTier > 0 && tier >= banAfterTier) {
+          state.banned = { reason: 'escalation', at: now };
+        }
+      }
+    }
+    if (locked) {
+      allowed = false;
+      remaining = 0;
+      retryAfterMs = state.banned ? -1 : state.lockedUntil - now;
+    }
+  }
+
+  const details = { tier, banned: state.banned };
+
+  // The lockout if one is running, otherwise the attempt window
+  let resetMs = -1;
+  if (!state.banned && now < state.lockedUntil) {
+    resetMs = state.lockedUntil - now;
+  } else if (!state.banned && state.count > 0) {
+    resetMs = state.resetAt - now;
+  }
+
+  if (!state.banned && tier === 0 && state.count === 0 && now >= state.lockedUntil) {
+    return { state: null, ttlMs: 0, allowed, remaining, retryAfterMs, resetMs, details };
+  }
+
+  let ttlMs = null;
+  if (!state.banned && (state.tier === 0 || decayMs > 0)) {
+    ttlMs = Math.max(state.resetAt - now, state.lockedUntil - now + state.tier * decayMs);
+  }
+
+  return { state, ttlMs, allowed, remaining, retryAfterMs, resetMs, details };
+}
+
+const PROGRESSIVE_LOCKOUT_LUA = `
+local decayMs = params.decayMs
+if not state then state = {count = 0, resetAt = -1, tier = 0, lockedUntil = 0, banned = false} end
+if params.op == 'ban' then
+  state.banned = {reason = params.reason or 'manual', at = now}
+elseif params.op == 'unban' then
+  state = {count = 0, resetAt = -1, tier = 0, lockedUntil = 0, banned = false}
+end
+local tier = state.tier
+if tier > 0 and decayMs > 0 and now > state.lockedUntil then
+  tier = math.max(0, tier - math.floor((now - state.lockedUntil) / decayMs))
+end
+if now > state.resetAt then
+  state.count = 0
+  state.resetAt = now + windowMs
+end
+allowed = true
+remaining = 0
+retryAfterMs = 0
+if state.banned then
+  allowed = false
+  retryAfterMs = -1
+else
+  local locked = now < state.lockedUntil
+  if not locked or force then
+    state.count = state.count + cost
+    remaining = limit - state.count
+    if state.count >= limit then
+      tier = tier + 1
+      state.tier = tier
+      state.lockedUntil = now + math.min(params.baseLockoutMs * params.lockoutMultiplier ^ (tier - 1), params.maxLockoutMs)
+      state.count = 0
+      remaining = 0
+      if params.banAfterTier > 0 and tier >= params.banAfterTier then
+        state.banned = {reason = 'escalation', at = now}
+      end
+    end
+  end
+  if locked then
+    allowed = false
+    remaining = 0
+    if state.banned then retryAfterMs = -1 else retryAfterMs = state.lockedUntil - now end
+  end
+end
+details = {tier = tier, banned = state.banned}
+resetMs = -1
+if not state.banned and now < state.lockedUntil then
+  resetMs = state.lockedUntil - now
+elseif not state.banned and state.count > 0 then
+  resetMs = state.resetAt - now
+end
+if not state.banned and tier == 0 and state.count == 0 and now >= state.lockedUntil then
+  state = false
+elseif not state.banned and (state.tier == 0 or decayMs > 0) then
+  ttl = math.max(state.resetAt - now, state.lockedUntil - now + state.tier * decayMs)
+end
+`;
+
+const ALGORITHMS = {
+  'fixed-window': {
+    name: 'fixed-window',
+    run: runFixedWindow,
+    script: defineAlgorithmScript(FIXED_WINDOW_LUA, runFixedWindow)
+  },
+  'sliding-log': {
+    name: 'sliding-log',
+    run: runSlidingLog,
+    script: defineAlgorithmScript(SLIDING_LOG_LUA, runSlidingLog)
+  },
+  'sliding-window-counter': {
+    name: 'sliding-window-counter',
+    run: runSlidingWindowCounter,
+    script: defineAlgorithmScript(SLIDING_WINDOW_COUNTER_LUA, runSlidingWindowCounter)
+  },
+  'token-bucket': {
+    name: 'token-bucket',
+    run: runTokenBucket,
+    script: defineAlgorithmScript(TOKEN_BUCKET_LUA, runTokenBucket)
+  },
+  'progressive-lockout': {
+    name: 'progressive-lockout',
+    run: runProgressiveLockout,
+    script: defineAlgorithmScript(PROGRESSIVE_LOCKOUT_LUA, runProgressiveLockout)
+  }
+};
+
+/**
+ * Look up a rate limiting algorithm by name.
+ *
+ * @param {string} name - Algorithm name
+ * @returns {Object} Algorithm definition { name, run, script }
+ */
+function getAlgorithm(name) {
+  const algorithm = ALGORITHMS[name];
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm: ${name} (expected one of ${Object.keys(ALGORITHMS).join(', ')})`);
+  }
+  return algorithm;
+}
+
+module.exports = {
+  ALGORITHMS,
+  getAlgorithm
+};
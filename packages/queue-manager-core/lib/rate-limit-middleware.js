@@ -0,0 +1,323 @@
+/**
+ * HTTP and WebSocket upgrade integration for rate limiters.
+ *
+ * Resolves the client IP (honoring trusted proxies in X-Forwarded-For),
+ * checks the limiter, emits standard RateLimit-* headers and rejects
+ * blocked requests with 429 (or 403 for banned keys).
+ */
+
+const net = require('net');
+
+/**
+ * Normalize an address from a socket or X-Forwarded-For entry.
+ *
+ * Strips IPv4 ports, IPv6 brackets and the IPv4-mapped IPv6 prefix.
+ *
+ * @param {string} address - Raw address
+ * @returns {string} Normalized IP address ('' if empty)
+ */
+function normalizeIp(address) {
+  let ip = String(address || '').trim();
+
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    ip = bracketed[1];
+  } else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(ip)) {
+    ip = ip.slice(0, ip.lastIndexOf(':'));
+  }
+
+  if (ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+    ip = ip.slice(7);
+  }
+  return ip;
+}
+
+/**
+ * Build a predicate deciding whether a proxy address is trusted.
+ *
+ * @param {string|Array<string>|Function} trustProxy - IPs/CIDRs or predicate
+ * @returns {Function} (ip, hop) => boolean
+ */
+function createTrustPredicate(trustProxy) {
+  if (typeof trustProxy === 'function') {
+    return trustProxy;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of [].concat(trustProxy)) {
+    const [address, prefix] = String(entry).split('/');
+    const ip = normalizeIp(address);
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(ip)) {
+      throw new Error(`Invalid trusted proxy address: ${entry}`);
+    }
+    if (prefix !== undefined) {
+      blockList.addSubnet(ip, parseInt(prefix, 10), type);
+    } else {
+      blockList.addAddress(ip, type);
+    }
+  }
+
+  return (ip) => net.isIP(ip) !== 0 && blockList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Create a client IP resolver.
+ *
+ * trustProxy controls how X-Forwarded-For is used:
+ * - false (default): ignore it and use the socket address
+ * - true: trust every hop and use the left-most address
+ * - number: trust that many proxy hops in front of the server
+ * - string or array of IPs/CIDRs: skip trusted proxies from the right
+ * - function(ip, hop): custom trust predicate
+ *
+ * @param {Object} [options] - Resolver options
+ * @param {boolean|number|string|Array<string>|Function} [options.trustProxy=false] - Proxy trust
+ * @returns {Function} (req) => client IP string
+ *
+ * @example
+ * // nginx in front of the queue manager on the Docker network
+ * const getClientIp = createClientIpResolver({ trustProxy: ['127.0.0.1', '172.16.0.0/12'] });
+ * const ip = getClientIp(req);
+ */
+function createClientIpResolver(options = {}) {
+  const { trustProxy = false } = options;
+
+  if (trustProxy !== false && trustProxy !== true && typeof trustProxy !== 'number' &&
+      typeof trustProxy !== 'string' && typeof trustProxy !== 'function' && !Array.isArray(trustProxy)) {
+    throw new Error('trustProxy must be a boolean, number, address list or function');
+  }
+
+  const isTrusted = typeof trustProxy === 'boolean' || typeof trustProxy === 'number'
+    ? null
+    : createTrustPredicate(trustProxy);
+
+  return function getClientIp(req) {
+    const remote = normalizeIp(req.socket && req.socket.remoteAddress);
+    if (trustProxy === false) {
+      return remote;
+    }
+
+    const header = req.headers && req.headers['x-forwarded-for'];
+    const forwarded = [].concat(header || [])
+      .join(',')
+      .split(',')
+      .map(normalizeIp)
+      .filter(Boolean);
+
+    // Closest hop last: [client, proxy1, ..., remote]
+    const chain = [...forwarded, remote];
+
+    if (trustProxy === true) {
+      return chain[0];
+    }
+    if (typeof trustProxy === 'number') {
+      return chain[Math.max(0, chain.length - 1 - trustProxy)];
+    }
+
+    for (let i = chain.length - 1; i > 0; i--) {
+      if (!isTrusted(chain[i], chain.length - 1 - i)) {
+        return chain[i];
+      }
+    }
+    return chain[0];
+  };
+}
+
+/**
+ * Build RateLimit-* and Retry-After headers for a check result.
+ *
+ * @param {Object} limiter - Rate limiter instance
+ * @param {Object} result - Rate limiter check result
+ * @returns {Object} Header name -> value
+ */
+function buildHeaders(limiter, result) {
+  const headers = {};
+  if (limiter.limit !== undefined) {
+    headers['RateLimit-Limit'] = String(limiter.limit);
+  }
+  headers['RateLimit-Remaining'] = String(result.remaining);
+  const hasRetryAfter = !result.allowed && result.retryAfter !== null && result.retryAfter !== undefined;
+  if (result.reset !== null && result.reset !== undefined) {
+    headers['RateLimit-Reset'] = String(result.reset);
+  } else if (hasRetryAfter) {
+    headers['RateLimit-Reset'] = String(result.retryAfter);
+  }
+  if (hasRetryAfter) {
+    headers['Retry-After'] = String(result.retryAfter);
+  }
+  return headers;
+}
+
+/**
+ * Resolve the shared middleware options.
+ *
+ * @param {Object} limiter - Rate limiter instance
+ * @param {Object} options - Middleware options
+ * @returns {Function} async (req) => { key, result, headers } or null when skipped
+ */
+function createEvaluator(limiter, options) {
+  if (!limiter || typeof limiter.check !== 'function') {
+    throw new Error('limiter must be a rate limiter instance');
+  }
+
+  const {
+    keyGenerator,
+    skip,
+    increment = true
+  } = options;
+  const getClientIp = createClientIpResolver(options);
+
+  return async function evaluate(req) {
+    if (skip && await skip(req)) {
+      return null;
+    }
+
+    const ip = getClientIp(req);
+    const key = keyGenerator ? await keyGenerator(req, ip) : ip;
+    const result = await limiter.check(key, increment);
+
+    return { key, result, headers: buildHeaders(limiter, result) };
+  };
+}
+
+/**
+ * Create Express/Connect middleware enforcing a rate limiter.
+ *
+ * @param {Object} limiter - Rate limiter instance (sync or async store)
+ * @param {Object} [options] - Middleware options
+ * @param {boolean|number|string|Array<string>|Function} [options.trustProxy=false] - Proxy trust
+ *   (see createClientIpResolver)
+ * @param {Function} [options.keyGenerator] - (req, ip) => key (may be async); default: client IP
+ * @param {Function} [options.skip] - (req) => boolean (may be async); skip limiting when true
+ * @param {boolean} [options.increment=true] - Count the request (false to only check)
+ * @param {boolean} [options.headers=true] - Send RateLimit-* headers on allowed requests
+ * @param {Function} [options.onLimited] - (req, res, result) => void (may be async); custom
+ *   blocked response; errors it throws are passed to next
+ * @returns {Function} Middleware (req, res, next)
+ *
+ * @example
+ * app.use('/api/invite', rateLimitMiddleware(inviteLimiter, {
+ *   trustProxy: ['172.16.0.0/12'],
+ *   increment: false
+ * }));
+ */
+function rateLimitMiddleware(limiter, options = {}) {
+  const { headers: sendHeaders = true, onLimited } = options;
+  const evaluate = createEvaluator(limiter, options);
+
+  return function rateLimit(req, res, next) {
+    evaluate(req).then((evaluation) => {
+      if (!evaluation) {
+        return next();
+      }
+
+      const { result, headers } = evaluation;
+      if (result.allowed) {
+        if (sendHeaders) {
+          for (const [name, value] of Object.entries(headers)) {
+            res.setHeader(name, value);
+          }
+        }
+        return next();
+      }
+
+      for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+      }
+      if (onLimited) {
+        return onLimited(req, res, result);
+      }
+
+      const banned = Boolean(result.banned);
+      res.statusCode = banned ? 403 : 429;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(banned
+        ? { error: 'Forbidden' }
+        : { error: 'Too many requests', retryAfter: result.retryAfter }));
+    }).catch(next);
+  };
+}
+
+/**
+ * Write a bodiless HTTP response to a raw socket.
+ *
+ * @param {Object} socket - Upgrade socket
+ * @param {string} status - Status code and reason phrase
+ * @param {Object} headers - Header name -> value
+ */
+function writeRawResponse(socket, status, headers) {
+  const lines = [
+    `HTTP/1.1 ${status}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'Connection: close',
+    'Content-Length: 0'
+  ];
+  socket.write(lines.join('\r\n') + '\r\n\r\n');
+}
+
+/**
+ * Create a guard for `server.on('upgrade')` enforcing a rate limiter.
+ *
+ * When the request is blocked, the guard writes a raw HTTP 429 (or 403 for
+ * banned keys) response with RateLimit-* headers and destroys the socket.
+ * When the limiter or onLimited fails (e.g. Redis is unreachable), the guard
+ * writes a 500 response, or calls onError, and destroys the socket.
+ *
+ * @param {Object} limiter - Rate limiter instance (sync or async store)
+ * @param {Object} [options] - Guard options (same as rateLimitMiddleware,
+ *   except onLimited receives (req, socket, result), may be async and has
+ *   the socket destroyed after it, and headers is unused)
+ * @param {Function} [options.onError] - (err, req, socket) => void; custom error response
+ * @returns {Function} async (req, socket) => boolean, true if the upgrade may proceed
+ *
+ * @example
+ * const guard = rateLimitUpgrade(connectionLimiter, { trustProxy: 1 });
+ *
+ * server.on('upgrade', async (req, socket, head) => {
+ *   if (!(await guard(req, socket))) {
+ *     return;
+ *   }
+ *   wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+ * });
+ */
+function rateLimitUpgrade(limiter, options = {}) {
+  const { onLimited, onError } = options;
+  const evaluate = createEvaluator(limiter, options);
+
+  return async function guardUpgrade(req, socket) {
+    let allowed = false;
+    try {
+      const evaluation = await evaluate(req);
+      allowed = !evaluation || evaluation.result.allowed;
+      if (allowed) {
+        return true;
+      }
+
+      const { result, headers } = evaluation;
+      if (onLimited) {
+        await onLimited(req, socket, result);
+      } else {
+        writeRawResponse(socket, result.banned ? '403 Forbidden' : '429 Too Many Requests', headers);
+      }
+      return false;
+    } catch (err) {
+      if (onError) {
+        onError(err, req, socket);
+      } else {
+        writeRawResponse(socket, '500 Internal Server Error', {});
+      }
+      return false;
+    } finally {
+      if (!allowed) {
+        socket.destroy();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createClientIpResolver,
+  rateLimitMiddleware,
+  rateLimitUpgrade
+};
@@ -0,0 +1,192 @@
+/**
+ * Storage backends for the rate limiter.
+ *
+ * A store keeps per-key algorithm state (see rate-limit-algorithms.js).
+ * The in-memory store is synchronous and is the default. The Redis
+ * store shares state between queue manager replicas and survives
+ * restarts; its methods return promises.
+ *
+ * Store interface:
+ * - apply(key, algorithm, ctx) => { allowed, remaining, retryAfterMs, resetMs, details }
+ * - reset(key)
+ * - cleanup(now)
+ * - size() => number
+ * - keys() => string[]
+ */
+
+const { wrapRedisClient } = require('./redis');
+
+/**
+ * Create an in-memory rate limit store.
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.cleanupThreshold=1000] - Cleanup when map exceeds this size
+ * @returns {Object} Synchronous rate limit store
+ */
+function createMemoryRateLimitStore(options = {}) {
+  const { cleanupThreshold = 1000 } = options;
+
+  // Map: key -> { state, expiresAt }
+  const records = new Map();
+
+  /**
+   * Run an algorithm against the stored state for a key.
+   *
+   * @param {string} key - Rate limit key
+   * @param {Object} algorithm - Algorithm definition
+   * @param {Object} ctx - Algorithm context (see rate-limit-algorithms.js)
+   * @returns {Object} Algorithm result
+   */
+  function apply(key, algorithm, ctx) {
+    // Periodic cleanup when map gets too large
+    if (records.size > cleanupThreshold) {
+      cleanup(ctx.now);
+    }
+
+    const record = records.get(key);
+    const state = record && ctx.now <= record.expiresAt ? record.state : null;
+    const result = algorithm.run(state, ctx);
+
+    if (result.state) {
+      const expiresAt = result.ttlMs === null ? Infinity : ctx.now + result.ttlMs;
+      records.set(key, { state: result.state, expiresAt });
+    } else {
+      records.delete(key);
+    }
+
+    return {
+      allowed: result.allowed,
+      remaining: Math.max(0, Math.floor(result.remaining)),
+      retryAfterMs: Math.ceil(result.retryAfterMs),
+      resetMs: Math.ceil(result.resetMs),
+      details: result.details || null
+    };
+  }
+
+  /**
+   * Clean up expired records.
+   *
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  function cleanup(now = Date.now()) {
+    for (const [key, record] of records.entries()) {
+      if (now > record.expiresAt) {
+        records.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove the record for a key.
+   *
+   * @param {string} key - Rate limit key
+   */
+  function reset(key) {
+    records.delete(key);
+  }
+
+  /**
+   * Get the current number of tracked keys.
+   *
+   * @returns {number} Number of tracked keys
+   */
+  function size() {
+    return records.size;
+  }
+
+  /**
+   * List tracked keys that have not expired.
+   *
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Array<string>} Tracked keys
+   */
+  function keys(now = Date.now()) {
+    return Array.from(records.entries())
+      .filter(([, record]) => now <= record.expiresAt)
+      .map(([key]) => key);
+  }
+
+  return {
+    apply,
+    reset,
+    cleanup,
+    size,
+    keys
+  };
+}
+
+/**
+ * Create a Redis-backed rate limit store.
+ *
+ * State is stored as JSON under `<prefix><key>` and updated atomically by
+ * the algorithm's Lua script, so all replicas sharing the Redis instance
+ * share one limit. Timestamps come from the caller's clock, which should
+ * be roughly in sync across replicas.
+ *
+ * @param {Object} client - Redis client (ioredis, node-redis v4, or createFakeRedis)
+ * @param {Object} [options] - Store options
+ * @param {string} [options.prefix='ratelimit:'] - Key prefix
+ * @returns {Object} Asynchronous rate limit store
+ *
+ * @example
+ * const store = createRedisRateLimitStore(redisClient, { prefix: 'jira:ratelimit:' });
+ * const limiter = createInviteRateLimiter({ store });
+ *
+ * const result = await limiter.check(ip, false);
+ */
+function createRedisRateLimitStore(client, options = {}) {
+  const { prefix = 'ratelimit:' } = options;
+  const redis = wrapRedisClient(client);
+
+  async function apply(key, algorithm, ctx) {
+    const { now, cost, force, ...params } = ctx;
+    const [allowed, remaining, retryAfterMs, resetMs, details] = await redis.evalScript(algorithm.script, [prefix + key], [
+      now,
+      cost,
+      force ? 1 : 0,
+      JSON.stringify(params)
+    ]);
+    return {
+      allowed: Number(allowed) === 1,
+      remaining: Number(remaining),
+      retryAfterMs: Number(retryAfterMs),
+      resetMs: Number(resetMs),
+      details: details ? JSON.parse(details) : null
+    };
+  }
+
+  async function reset(key) {
+    await redis.call('DEL', prefix + key);
+  }
+
+  // Redis expires state on its own
+  async function cleanup() {}
+
+  async function keys() {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redis.call('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      found.push(...batch.map((key) => key.slice(prefix.length)));
+      cursor = String(next);
+    } while (cursor !== '0');
+    return found;
+  }
+
+  async function size() {
+    return (await keys()).length;
+  }
+
+  return {
+    apply,
+    reset,
+    cleanup,
+    size,
+    keys
+  };
+}
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore
+};
@@ -1,16 +1,46 @@
 /**
  * Rate limiting utilities for demo platform queue managers.
  *
- * Provides in-memory rate limiting with automatic cleanup.
+ * Provides rate limiting with automatic cleanup, backed by an in-memory
+ * store by default or a shared store such as Redis.
  */
 
+const { isPromise, whenResolved } = require('./maybe-async');
+const { getAlgorithm } = require('./rate-limit-algorithms');
+const { createMemoryRateLimitStore } = require('./rate-limit-store');
+
 /**
  * Create a rate limiter instance.
  *
+ * With the default in-memory store all methods are synchronous. With an
+ * asynchronous store (e.g. createRedisRateLimitStore) `check`,
+ * `recordFailure`, `cleanup`, `reset` and `size` return promises.
+ *
+ * Algorithms:
+ * - fixed-window: `maxAttempts` per `windowMs`, counted from the first attempt
+ * - sliding-log: at most `maxAttempts` within any `windowMs` span (exact)
+ * - sliding-window-counter: sliding window approximated from two aligned windows
+ * - token-bucket: `burst` tokens refilled at `refillRate` tokens per second
+ * - progressive-lockout: `maxAttempts` per `windowMs`, then lockouts that grow
+ *   by `lockoutMultiplier` for repeat offenders (adds ban/unban/listBanned)
+ *
  * @param {Object} options - Rate limiter options
- * @param {number} options.windowMs - Time window in milliseconds
- * @param {number} options.maxAttempts - Maximum attempts allowed per window
+ * @param {string} [options.algorithm='fixed-window'] - Rate limiting algorithm
+ * @param {number} [options.windowMs] - Time window in milliseconds
+ * @param {number} [options.maxAttempts] - Maximum attempts allowed per window
+ * @param {number} [options.burst=maxAttempts] - Token bucket capacity
+ * @param {number} [options.refillRate=maxAttempts per windowMs] - Tokens added per second
+ * @param {number} [options.baseLockoutMs=windowMs] - First lockout duration
+ * @param {number} [options.lockoutMultiplier=2] - Lockout growth per tier
+ * @param {number} [options.maxLockoutMs=86400000] - Lockout duration cap (default: 24 hours)
+ * @param {number} [options.decayMs=86400000] - Time after a lockout ends to drop one tier (0 = never)
+ * @param {number} [options.banAfterTier=0] - Ban permanently on reaching this tier (0 = never)
  * @param {number} [options.cleanupThreshold=1000] - Cleanup when map exceeds this size
+ * @param {Object} [options.store] - Rate limit store (default: in-memory)
+ * @param {string} [options.name='default'] - Limiter name for metrics
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics); records
+ *   rateLimitDecisions for every check
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
  * @returns {Object} Rate limiter instance
  *
  * @example
@@ -23,96 +53,133 @@
  * if (!result.allowed) {
  *   console.log(`Rate limited. Retry after ${result.retryAfter} seconds`);
  * }
+ *
+ * @example
+ * // Allow bursts of 5, then one attempt every 2 seconds
+ * const limiter = createRateLimiter({
+ *   algorithm: 'token-bucket',
+ *   burst: 5,
+ *   refillRate: 0.5
+ * });
+ *
+ * @example
+ * // Shared between replicas via Redis
+ * const limiter = createRateLimiter({
+ *   windowMs: 60 * 1000,
+ *   maxAttempts: 10,
+ *   store: createRedisRateLimitStore(redisClient)
+ * });
+ *
+ * const result = await limiter.check('192.168.1.1');
  */
 function createRateLimiter(options) {
   const {
+    algorithm: algorithmName = 'fixed-window',
     windowMs,
     maxAttempts,
-    cleanupThreshold = 1000
+    cleanupThreshold = 1000,
+    store = createMemoryRateLimitStore({ cleanupThreshold }),
+    name = 'default',
+    metrics,
+    now = Date.now
   } = options;
 
-  if (!windowMs || windowMs <= 0) {
-    throw new Error('windowMs must be a positive number');
+  const algorithm = getAlgorithm(algorithmName);
+  const params = { limit: maxAttempts, windowMs, refillRate: 0 };
+
+  if (algorithm.name === 'token-bucket') {
+    params.limit = options.burst || maxAttempts;
+    params.refillRate = options.refillRate || (maxAttempts && windowMs ? maxAttempts / (windowMs / 1000) : 0);
+
+    if (!params.limit || params.limit <= 0) {
+      throw new Error('burst (or maxAttempts) must be a positive number');
+    }
+    if (!params.refillRate || params.refillRate <= 0) {
+      throw new Error('refillRate (or maxAttempts and windowMs) must be a positive number');
+    }
+  } else {
+    if (!windowMs || windowMs <= 0) {
+      throw new Error('windowMs must be a positive number');
+    }
+    if (!maxAttempts || maxAttempts <= 0) {
+      throw new Error('maxAttempts must be a positive number');
+    }
   }
-  if (!maxAttempts || maxAttempts <= 0) {
-    throw new Error('maxAttempts must be a positive number');
+
+  if (algorithm.name === 'progressive-lockout') {
+    Object.assign(params, {
+      baseLockoutMs: options.baseLockoutMs || windowMs,
+      lockoutMultiplier: options.lockoutMultiplier || 2,
+      maxLockoutMs: options.maxLockoutMs || 24 * 60 * 60 * 1000,
+      decayMs: options.decayMs !== undefined ? options.decayMs : 24 * 60 * 60 * 1000,
+      banAfterTier: options.banAfterTier || 0
+    });
   }
 
-  // Map: key -> { count, resetAt }
-  const records = new Map();
+  /**
+   * Run the algorithm for a key and shape the result.
+   *
+   * @param {string} key - Rate limit key
+   * @param {number} cost - 1 to consume an attempt, 0 to peek
+   * @param {boolean} force - Consume even when blocked
+   * @param {Object} [extra] - Extra algorithm context (e.g. ban operations)
+   * @returns {Object|Promise<Object>} Rate limit check result
+   */
+  function evaluate(key, cost, force, extra) {
+    const ctx = { ...params, ...extra, now: now(), cost, force };
+
+    return whenResolved(store.apply(key, algorithm, ctx), (result) => {
+      const reset = result.resetMs < 0 ? null : Math.ceil(result.resetMs / 1000);
+      if (!result.allowed) {
+        const retryAfter = result.retryAfterMs < 0 ? null : Math.ceil(result.retryAfterMs / 1000);
+        return { allowed: false, remaining: 0, retryAfter, reset, ...result.details };
+      }
+      return { allowed: true, remaining: result.remaining, reset, ...result.details };
+    });
+  }
 
   /**
    * Check if an action is allowed for the given key.
    *
    * @param {string} key - Rate limit key (e.g., IP address)
    * @param {boolean} [increment=true] - Whether to increment the counter
-   * @returns {Object} Rate limit check result
+   * @returns {Object|Promise<Object>} Rate limit check result
    * @returns {boolean} result.allowed - Whether the action is allowed
    * @returns {number} result.remaining - Remaining attempts in current window
-   * @returns {number} [result.retryAfter] - Seconds until rate limit resets (if blocked)
+   * @returns {number|null} [result.retryAfter] - Seconds until rate limit resets
+   *   (if blocked; null when banned)
+   * @returns {number|null} result.reset - Seconds until the current window or
+   *   lockout resets (null when none is running or the key is banned)
+   * @returns {number} [result.tier] - Lockout tier (progressive-lockout only)
+   * @returns {Object|false} [result.banned] - Ban info { reason, at } (progressive-lockout only)
    */
   function check(key, increment = true) {
-    const now = Date.now();
-
-    // Clean up expired entry
-    const existing = records.get(key);
-    if (existing && now > existing.resetAt) {
-      records.delete(key);
-    }
-
-    // Periodic cleanup when map gets too large
-    if (records.size > cleanupThreshold) {
-      cleanup();
-    }
-
-    const record = records.get(key);
-
-    if (!record) {
-      if (increment) {
-        records.set(key, { count: 1, resetAt: now + windowMs });
+    return whenResolved(evaluate(key, increment ? 1 : 0, false), (result) => {
+      if (metrics) {
+        const decision = result.allowed ? 'allowed' : result.banned ? 'banned' : 'blocked';
+        metrics.rateLimitDecisions.add(1, { limiter: name, decision });
       }
-      return { allowed: true, remaining: maxAttempts - 1 };
-    }
-
-    if (record.count >= maxAttempts) {
-      const retryAfter = Math.ceil((record.resetAt - now) / 1000);
-      return { allowed: false, remaining: 0, retryAfter };
-    }
-
-    if (increment) {
-      record.count++;
-    }
-
-    return { allowed: true, remaining: maxAttempts - record.count };
+      return result;
+    });
   }
 
   /**
    * Record a failed attempt for the given key.
    * Useful for tracking failures separately from checks.
+   * Failures are counted even when the key is already blocked.
    *
    * @param {string} key - Rate limit key
+   * @returns {undefined|Promise<undefined>} Resolves once recorded (async stores)
    */
   function recordFailure(key) {
-    const now = Date.now();
-    const record = records.get(key);
-
-    if (!record || now > record.resetAt) {
-      records.set(key, { count: 1, resetAt: now + windowMs });
-    } else {
-      record.count++;
-    }
+    return whenResolved(evaluate(key, 1, true), () => undefined);
   }
 
   /**
    * Clean up expired rate limit entries.
    */
   function cleanup() {
-    const now = Date.now();
-    for (const [key, record] of records.entries()) {
-      if (now > record.resetAt) {
-        records.delete(key);
-      }
-    }
+    return store.cleanup(now());
   }
 
   /**
@@ -121,25 +188,76 @@ function createRateLimiter(options) {
    * @param {string} key - Rate limit key to reset
    */
   function reset(key) {
-    records.delete(key);
+    return store.reset(key);
   }
 
   /**
    * Get the current number of tracked keys.
    *
-   * @returns {number} Number of tracked keys
+   * @returns {number|Promise<number>} Number of tracked keys
    */
   function size() {
-    return records.size;
+    return store.size();
   }
 
-  return {
+  const limiter = {
+    // Attempts per window (burst for token-bucket), e.g. for RateLimit-Limit headers
+    limit: params.limit,
     check,
     recordFailure,
     cleanup,
     reset,
     size
   };
+
+  if (algorithm.name !== 'progressive-lockout') {
+    return limiter;
+  }
+
+  /**
+   * Permanently ban a key until it is unbanned.
+   *
+   * @param {string} key - Rate limit key
+   * @param {string} [reason='manual'] - Reason recorded with the ban
+   * @returns {undefined|Promise<undefined>} Resolves once recorded (async stores)
+   */
+  function ban(key, reason) {
+    return whenResolved(evaluate(key, 0, false, { op: 'ban', reason }), () => undefined);
+  }
+
+  /**
+   * Remove a ban and clear the key's lockout history.
+   *
+   * @param {string} key - Rate limit key
+   * @returns {undefined|Promise<undefined>} Resolves once recorded (async stores)
+   */
+  function unban(key) {
+    return whenResolved(evaluate(key, 0, false, { op: 'unban' }), () => undefined);
+  }
+
+  /**
+   * List banned keys.
+   *
+   * @returns {Array<Object>|Promise<Array<Object>>} Bans as { key, reason, bannedAt }
+   */
+  function listBanned() {
+    return whenResolved(store.keys(now()), (keys) => {
+      const checks = keys.map((key) => evaluate(key, 0, false));
+      const collect = (results) => results
+        .map((result, i) => ({ key: keys[i], banned: result.banned }))
+        .filter((entry) => entry.banned)
+        .map(({ key, banned }) => ({ key, reason: banned.reason, bannedAt: banned.at }));
+
+      return checks.some(isPromise) ? Promise.all(checks).then(collect) : collect(checks);
+    });
+  }
+
+  return {
+    ...limiter,
+    ban,
+    unban,
+    listBanned
+  };
 }
 
 /**
@@ -148,29 +266,79 @@ function createRateLimiter(options) {
  * @param {Object} [options] - Override default options
  * @param {number} [options.windowMs=60000] - Time window (default: 1 minute)
  * @param {number} [options.maxConnections=10] - Max connections per window
+ * @param {string} [options.algorithm='fixed-window'] - Rate limiting algorithm
+ * @param {number} [options.burst] - Token bucket capacity (default: maxConnections)
+ * @param {number} [options.refillRate] - Token bucket refill in tokens per second
+ * @param {Object} [options.store] - Rate limit store (default: in-memory)
+ * @param {string} [options.name='connection'] - Limiter name for metrics
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics)
  * @returns {Object} Rate limiter instance
+ *
+ * @example
+ * // Absorb a shared demo link being opened by everyone at once
+ * const limiter = createConnectionRateLimiter({ algorithm: 'sliding-log' });
  */
 function createConnectionRateLimiter(options = {}) {
   return createRateLimiter({
+    algorithm: options.algorithm,
     windowMs: options.windowMs || 60 * 1000,
     maxAttempts: options.maxConnections || 10,
-    cleanupThreshold: options.cleanupThreshold || 1000
+    burst: options.burst,
+    refillRate: options.refillRate,
+    cleanupThreshold: options.cleanupThreshold || 1000,
+    store: options.store,
+    name: options.name || 'connection',
+    metrics: options.metrics,
+    now: options.now
   });
 }
 
 /**
  * Create an invite brute-force protection rate limiter.
  *
+ * After `maxAttempts` failures within `windowMs` the key is locked out.
+ * Repeat offenders get exponentially longer lockouts (tiers), which decay
+ * over time; optionally they are banned permanently. `check()` reports the
+ * current `tier` and `banned` state so callers can explain the block.
+ *
  * @param {Object} [options] - Override default options
  * @param {number} [options.windowMs=3600000] - Time window (default: 1 hour)
  * @param {number} [options.maxAttempts=10] - Max failed attempts per window
- * @returns {Object} Rate limiter instance
+ * @param {number} [options.baseLockoutMs=windowMs] - First lockout duration
+ * @param {number} [options.lockoutMultiplier=2] - Lockout growth per tier
+ * @param {number} [options.maxLockoutMs=86400000] - Lockout duration cap (default: 24 hours)
+ * @param {number} [options.decayMs=86400000] - Time after a lockout ends to drop one tier (0 = never)
+ * @param {number} [options.banAfterTier=0] - Ban permanently on reaching this tier (0 = never)
+ * @param {Object} [options.store] - Rate limit store (default: in-memory)
+ * @param {string} [options.name='invite'] - Limiter name for metrics
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics)
+ * @returns {Object} Rate limiter instance with ban, unban and listBanned
+ *
+ * @example
+ * const inviteLimiter = createInviteRateLimiter({ banAfterTier: 5 });
+ *
+ * const result = inviteLimiter.check(ip, false);
+ * if (result.banned) {
+ *   ws.close(4003, 'Access denied');
+ * } else if (!result.allowed) {
+ *   ws.send(JSON.stringify({ type: 'error', message: `Too many attempts (level ${result.tier}). Retry in ${result.retryAfter}s` }));
+ * }
  */
 function createInviteRateLimiter(options = {}) {
   return createRateLimiter({
+    algorithm: 'progressive-lockout',
     windowMs: options.windowMs || 60 * 60 * 1000,
     maxAttempts: options.maxAttempts || 10,
-    cleanupThreshold: options.cleanupThreshold || 500
+    baseLockoutMs: options.baseLockoutMs,
+    lockoutMultiplier: options.lockoutMultiplier,
+    maxLockoutMs: options.maxLockoutMs,
+    decayMs: options.decayMs,
+    banAfterTier: options.banAfterTier,
+    cleanupThreshold: options.cleanupThreshold || 500,
+    store: options.store,
+    name: options.name || 'invite',
+    metrics: options.metrics,
+    now: options.now
   });
 }
 
@@ -5,6 +5,254 @@
  * WebSocket reconnection handling.
  */
 
+const crypto = require('crypto');
+const { defineScript, wrapRedisClient } = require('./redis');
+
+/**
+ * Error thrown by async locks.
+ *
+ * code is one of:
+ * - ACQUIRE_TIMEOUT: the lock wasn't granted within timeoutMs
+ */
+class LockError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'LockError';
+    this.code = code;
+  }
+}
+
+/**
+ * Call a lock callback from a timer, logging what it throws.
+ *
+ * Callbacks run outside any caller's promise chain, so a throw would
+ * otherwise crash the process.
+ *
+ * @param {string} name - Lock name, for the log
+ * @param {string} label - Callback option name, for the log
+ * @param {Function} [callback] - Callback, if configured
+ * @param {...*} args - Callback arguments
+ */
+function notify(name, label, callback, ...args) {
+  if (!callback) {
+    return;
+  }
+  try {
+    callback(...args);
+  } catch (err) {
+    console.error(`Lock ${name} ${label} callback failed: ${err.message}`);
+  }
+}
+
+/**
+ * Create an async mutex with a FIFO waiter queue and fencing tokens.
+ *
+ * @param {Object} options - Options from createReconnectionLock
+ * @returns {Object} Async lock instance
+ */
+function createAsyncLock(options) {
+  const {
+    metrics,
+    name = 'reconnection',
+    now = Date.now,
+    acquireTimeoutMs = 10000,
+    maxHoldMs = 30000,
+    onExpire,
+    onIdle
+  } = options;
+
+  // Keyed locks share one counter so tokens stay unique when a key's lock is recreated
+  let lastToken = 0;
+  const nextToken = options.nextToken || (() => ++lastToken);
+
+  let holder = null; // { token, acquiredAt, timer }
+  const queue = []; // FIFO of { resolve, reject, timer }
+
+  /**
+   * Record an acquire attempt.
+   *
+   * @param {string} result - 'acquired', 'waited' or 'timeout'
+   */
+  function recordAttempt(result) {
+    if (metrics) {
+      metrics.reconnectionLockAttempts.add(1, { lock: name, result });
+    }
+  }
+
+  /**
+   * Hand the lock to a new holder.
+   *
+   * @returns {number} Fencing token
+   */
+  function grant() {
+    const token = nextToken();
+    holder = { token, acquiredAt: now(), timer: null };
+    if (maxHoldMs) {
+      holder.timer = setTimeout(() => expire(token), maxHoldMs);
+      holder.timer.unref();
+    }
+    return token;
+  }
+
+  /**
+   * Release the lock and grant it to the next waiter, if any.
+   */
+  function releaseHolder() {
+    clearTimeout(holder.timer);
+    if (metrics) {
+      metrics.reconnectionLockHold.record((now() - holder.acquiredAt) / 1000, { lock: name });
+    }
+    holder = null;
+
+    const next = queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve(grant());
+    } else if (onIdle) {
+      onIdle();
+    }
+  }
+
+  /**
+   * Auto-release a lock held longer than maxHoldMs.
+   *
+   * @param {number} token - Token the timer was set for
+   */
+  function expire(token) {
+    if (!holder || holder.token !== token) {
+      return;
+    }
+    releaseHolder();
+    notify(name, 'onExpire', onExpire, token);
+  }
+
+  /**
+   * Check if the lock is currently held.
+   *
+   * @returns {boolean} True if locked
+   */
+  function isLocked() {
+    return holder !== null;
+  }
+
+  /**
+   * Check whether a fencing token still holds the lock.
+   *
+   * Handlers should check before side effects that must not overlap
+   * with the next holder (e.g. after a slow await).
+   *
+   * @param {number} token - Token from acquire()
+   * @returns {boolean} True if the token is the current holder
+   */
+  function isHeld(token) {
+    return holder !== null && holder.token === token;
+  }
+
+  /**
+   * Number of callers waiting for the lock.
+   *
+   * @returns {number} Waiter count
+   */
+  function waiters() {
+    return queue.length;
+  }
+
+  /**
+   * When the current holder acquired the lock.
+   *
+   * @returns {number|null} Acquire time (ms, from options.now) or null if not locked
+   */
+  function heldSince() {
+    return holder ? holder.acquiredAt : null;
+  }
+
+  /**
+   * Acquire the lock, waiting in FIFO order if it's held.
+   *
+   * @param {Object} [acquireOptions] - Acquire options
+   * @param {number} [acquireOptions.timeoutMs] - Wait limit (default: acquireTimeoutMs;
+   *   0 fails immediately when held, null waits forever)
+   * @returns {Promise<number>} Fencing token, increasing with every grant
+   * @throws {LockError} ACQUIRE_TIMEOUT if not granted in time
+   */
+  function acquire(acquireOptions = {}) {
+    const timeoutMs = acquireOptions.timeoutMs !== undefined ? acquireOptions.timeoutMs : acquireTimeoutMs;
+
+    if (!holder) {
+      recordAttempt('acquired');
+      return Promise.resolve(grant());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: (token) => {
+          recordAttempt('waited');
+          resolve(token);
+        },
+        reject,
+        timer: null
+      };
+      if (timeoutMs !== null && timeoutMs !== Infinity) {
+        waiter.timer = setTimeout(() => {
+          queue.splice(queue.indexOf(waiter), 1);
+          recordAttempt('timeout');
+          reject(new LockError(`Timed out after ${timeoutMs}ms waiting for lock ${name}`, 'ACQUIRE_TIMEOUT'));
+        }, timeoutMs);
+      }
+      queue.push(waiter);
+    });
+  }
+
+  /**
+   * Release the lock held by a token.
+   *
+   * Stale tokens (the lock already expired or was released) are ignored,
+   * so a handler that lost the lock can't release its successor's.
+   *
+   * @param {number} token - Token from acquire()
+   * @returns {boolean} True if the lock was released
+   */
+  function release(token) {
+    if (!isHeld(token)) {
+      return false;
+    }
+    releaseHolder();
+    return true;
+  }
+
+  /**
+   * Execute a function while holding the lock.
+   *
+   * @param {Function} fn - Function to execute (can be async); receives the fencing token
+   * @param {Object} [acquireOptions] - { timeoutMs } as for acquire()
+   * @returns {Promise<*>} Result of fn
+   * @throws {LockError} ACQUIRE_TIMEOUT if not granted in time
+   */
+  async function withLock(fn, acquireOptions) {
+    const token = await acquire(acquireOptions);
+    try {
+      return await fn(token);
+    } finally {
+      release(token);
+    }
+  }
+
+  return {
+    mode: 'async',
+    isLocked,
+    isHeld,
+    waiters,
+    heldSince,
+    acquire,
+    release,
+    withLock
+  };
+}
+
 /**
  * Create a reconnection lock instance.
  *
@@ -12,6 +260,23 @@
  * at a time, preventing race conditions when multiple reconnection
  * events occur in rapid succession.
  *
+ * The default 'flag' mode refuses contended acquires. The 'async' mode is
+ * a mutex: acquire() waits in a FIFO queue (up to acquireTimeoutMs) and
+ * resolves to a fencing token, and a holder that exceeds maxHoldMs loses
+ * the lock to the next waiter. release(token) ignores stale tokens.
+ *
+ * @param {Object} [options] - Lock options
+ * @param {string} [options.mode='flag'] - 'flag' (boolean, non-blocking) or 'async'
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics); records
+ *   reconnectionLockAttempts and reconnectionLockHold
+ * @param {string} [options.name='reconnection'] - Lock name for metrics
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @param {number|null} [options.acquireTimeoutMs=10000] - Async mode: default wait
+ *   limit for acquire(); null waits forever
+ * @param {number|null} [options.maxHoldMs=30000] - Async mode: auto-release after
+ *   this long; null disables
+ * @param {Function} [options.onExpire] - Async mode: (token) => void, called when a
+ *   holder is auto-released
  * @returns {Object} Reconnection lock instance
  *
  * @example
@@ -35,9 +300,31 @@
  * } finally {
  *   lock.release();
  * }
+ *
+ * @example
+ * const lock = createReconnectionLock({ mode: 'async', maxHoldMs: 15000 });
+ *
+ * // Waits for an in-flight reconnect instead of dropping this one
+ * await lock.withLock(async (token) => {
+ *   const session = await loadSession();
+ *   if (!lock.isHeld(token)) {
+ *     return; // took longer than maxHoldMs; the next reconnect owns the session now
+ *   }
+ *   await attachClient(session);
+ * }, { timeoutMs: 5000 });
  */
-function createReconnectionLock() {
+function createReconnectionLock(options = {}) {
+  const { mode = 'flag', metrics, name = 'reconnection', now = Date.now } = options;
+
+  if (mode === 'async') {
+    return createAsyncLock(options);
+  }
+  if (mode !== 'flag') {
+    throw new Error(`Unknown lock mode: ${mode}`);
+  }
+
   let locked = false;
+  let acquiredAt = null;
 
   /**
    * Check if the lock is currently held.
@@ -58,9 +345,16 @@ function createReconnectionLock() {
    */
   function acquire() {
     if (locked) {
+      if (metrics) {
+        metrics.reconnectionLockAttempts.add(1, { lock: name, result: 'contended' });
+      }
       return false;
     }
     locked = true;
+    acquiredAt = now();
+    if (metrics) {
+      metrics.reconnectionLockAttempts.add(1, { lock: name, result: 'acquired' });
+    }
     return true;
   }
 
@@ -70,7 +364,11 @@ function createReconnectionLock() {
    * This is idempotent - calling release when not locked is a no-op.
    */
   function release() {
+    if (locked && metrics) {
+      metrics.reconnectionLockHold.record((now() - acquiredAt) / 1000, { lock: name });
+    }
     locked = false;
+    acquiredAt = null;
   }
 
   /**
@@ -103,6 +401,7 @@ function createReconnectionLock() {
   }
 
   return {
+    mode: 'flag',
     isLocked,
     acquire,
     release,
@@ -110,6 +409,499 @@ function createReconnectionLock() {
   };
 }
 
+/**
+ * Create a set of independent async locks keyed by session or client ID.
+ *
+ * Each key gets its own FIFO mutex (as createReconnectionLock in async
+ * mode), so a slow reconnect for one session doesn't hold up the others.
+ * A key's lock is dropped as soon as it's released with nobody waiting,
+ * and fencing tokens are unique across all keys.
+ *
+ * @param {Object} [options] - Lock options
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics); records
+ *   reconnectionLockAttempts and reconnectionLockHold (keys are not labels)
+ * @param {string} [options.name='reconnection'] - Lock name for metrics
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @param {number|null} [options.acquireTimeoutMs=10000] - Default wait limit; null waits forever
+ * @param {number|null} [options.maxHoldMs=30000] - Auto-release after this long; null disables
+ * @param {Function} [options.onExpire] - (key, token) => void, called when a holder is auto-released
+ * @returns {Object} Keyed lock instance
+ *
+ * @example
+ * const locks = createKeyedLock({ maxHoldMs: 15000 });
+ *
+ * ws.on('reconnect', () => locks.withLock(sessionId, async (token) => {
+ *   await reattach(sessionId, token);
+ * }));
+ *
+ * // Health route: reconnects stuck for more than 10s
+ * app.get('/health', (req, res) => {
+ *   const stuck = locks.heldKeys({ olderThanMs: 10000 });
+ *   res.json({ status: stuck.length > 0 ? 'degraded' : 'ok', stuck });
+ * });
+ */
+function createKeyedLock(options = {}) {
+  const { now = Date.now, onExpire } = options;
+
+  // Map: key -> async lock
+  const locks = new Map();
+  let lastToken = 0;
+  const nextToken = () => ++lastToken;
+
+  /**
+   * Validate a lock key.
+   *
+   * @param {string} key - Lock key
+   */
+  function validateKey(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('key must be a non-empty string');
+    }
+  }
+
+  /**
+   * Get or create the lock for a key.
+   *
+   * @param {string} key - Lock key
+   * @returns {Object} Async lock
+   */
+  function lockFor(key) {
+    validateKey(key);
+    let lock = locks.get(key);
+    if (!lock) {
+      lock = createAsyncLock({
+        ...options,
+        nextToken,
+        onExpire: onExpire ? (token) => onExpire(key, token) : undefined,
+        onIdle: () => {
+          // Only drop the lock this callback belongs to
+          if (locks.get(key) === lock) {
+            locks.delete(key);
+          }
+        }
+      });
+      locks.set(key, lock);
+    }
+    return lock;
+  }
+
+  /**
+   * Acquire the lock for a key, waiting in FIFO order if it's held.
+   *
+   * @param {string} key - Lock key (e.g. session ID)
+   * @param {Object} [acquireOptions] - { timeoutMs } as for createReconnectionLock
+   * @returns {Promise<number>} Fencing token
+   * @throws {LockError} ACQUIRE_TIMEOUT if not granted in time
+   */
+  function acquire(key, acquireOptions) {
+    return lockFor(key).acquire(acquireOptions);
+  }
+
+  /**
+   * Release the lock for a key. Stale tokens are ignored.
+   *
+   * @param {string} key - Lock key
+   * @param {number} token - Token from acquire()
+   * @returns {boolean} True if the lock was released
+   */
+  function release(key, token) {
+    const lock = locks.get(key);
+    return lock ? lock.release(token) : false;
+  }
+
+  /**
+   * Execute a function while holding the lock for a key.
+   *
+   * @param {string} key - Lock key
+   * @param {Function} fn - Function to execute (can be async); receives the fencing token
+   * @param {Object} [acquireOptions] - { timeoutMs }
+   * @returns {Promise<*>} Result of fn
+   * @throws {LockError} ACQUIRE_TIMEOUT if not granted in time
+   */
+  async function withLock(key, fn, acquireOptions) {
+    const token = await acquire(key, acquireOptions);
+    try {
+      return await fn(token);
+    } finally {
+      release(key, token);
+    }
+  }
+
+  /**
+   * Check if a key's lock is held.
+   *
+   * @param {string} key - Lock key
+   * @returns {boolean} True if locked
+   */
+  function isLocked(key) {
+    const lock = locks.get(key);
+    return lock ? lock.isLocked() : false;
+  }
+
+  /**
+   * Check whether a fencing token still holds a key's lock.
+   *
+   * @param {string} key - Lock key
+   * @param {number} token - Token from acquire()
+   * @returns {boolean} True if the token is the current holder
+   */
+  function isHeld(key, token) {
+    const lock = locks.get(key);
+    return lock ? lock.isHeld(token) : false;
+  }
+
+  /**
+   * List keys whose lock is held.
+   *
+   * @param {Object} [filter] - Filter options
+   * @param {number} [filter.olderThanMs] - Only keys held at least this long
+   * @returns {Array<string>} Held keys, longest held first
+   */
+  function heldKeys(filter = {}) {
+    const currentTime = now();
+    return Array.from(locks.entries())
+      .filter(([, lock]) => lock.isLocked())
+      .filter(([, lock]) => !filter.olderThanMs || currentTime - lock.heldSince() >= filter.olderThanMs)
+      .sort(([, a], [, b]) => a.heldSince() - b.heldSince())
+      .map(([key]) => key);
+  }
+
+  /**
+   * Number of callers waiting for a key's lock.
+   *
+   * @param {string} key - Lock key
+   * @returns {number} Waiter count
+   */
+  function waiters(key) {
+    const lock = locks.get(key);
+    return lock ? lock.waiters() : 0;
+  }
+
+  /**
+   * Number of keys with a held lock.
+   *
+   * @returns {number} Key count
+   */
+  function size() {
+    return locks.size;
+  }
+
+  return {
+    acquire,
+    release,
+    withLock,
+    isLocked,
+    isHeld,
+    heldKeys,
+    waiters,
+    size
+  };
+}
+
+// Take the lease and mint a fencing token in one step
+const ACQUIRE_SCRIPT = defineScript(`
+if not redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+  return 0
+end
+return redis.call('INCR', KEYS[2])
+`, (redis, keys, argv) => {
+  if (!redis.call('SET', keys[0], argv[0], 'NX', 'PX', argv[1])) {
+    return 0;
+  }
+  return redis.call('INCR', keys[1]);
+});
+
+// Extend the lease only if we still own it
+const RENEW_SCRIPT = defineScript(`
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`, (redis, keys, argv) => {
+  if (redis.call('GET', keys[0]) === argv[0]) {
+    return redis.call('PEXPIRE', keys[0], argv[1]);
+  }
+  return 0;
+});
+
+// Compare-and-delete, so a holder whose lease expired can't release its successor
+const RELEASE_SCRIPT = defineScript(`
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`, (redis, keys, argv) => {
+  if (redis.call('GET', keys[0]) === argv[0]) {
+    return redis.call('DEL', keys[0]);
+  }
+  return 0;
+});
+
+/**
+ * Resolve after a delay.
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a reconnection lock shared through Redis.
+ *
+ * Same acquire/release/withLock API as createReconnectionLock in async
+ * mode, for queue managers that overlap during a rolling deploy. The lock
+ * is a key taken with SET NX PX and a random owner value. The holder renews
+ * the lease while it works, and release is a compare-and-delete. Fencing
+ * tokens come from an INCR counter, so they increase across processes.
+ *
+ * Waiters poll every retryDelayMs, so unlike the in-process lock the order
+ * between waiters isn't guaranteed. isHeld() reflects this process's view,
+ * which may lag a lost lease by up to renewIntervalMs.
+ *
+ * @param {Object} client - Redis client (ioredis, node-redis v4, or createFakeRedis)
+ * @param {Object} [options] - Lock options
+ * @param {string} [options.name='reconnection'] - Lock name (key suffix and metrics)
+ * @param {string} [options.prefix='lock:'] - Key prefix
+ * @param {number} [options.leaseMs=10000] - Lease length; a crashed holder blocks others at most this long
+ * @param {number} [options.renewIntervalMs=leaseMs/3] - How often the holder extends the lease
+ * @param {number} [options.retryDelayMs=50] - Poll interval while waiting
+ * @param {number|null} [options.acquireTimeoutMs=10000] - Default wait limit; null waits forever
+ * @param {number|null} [options.maxHoldMs=30000] - Auto-release after this long; null disables
+ * @param {Function} [options.onExpire] - (token) => void, called when a holder is auto-released
+ * @param {Function} [options.onLost] - (token) => void, called when a renewal finds the lease gone
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics)
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Distributed lock instance
+ *
+ * @example
+ * const lock = createRedisLock(redisClient, { prefix: 'jira:lock:', leaseMs: 5000 });
+ *
+ * await lock.withLock(async (token) => {
+ *   await reattach(session, token);
+ * });
+ *
+ * process.on('SIGTERM', () => lock.close());
+ */
+function createRedisLock(client, options = {}) {
+  const {
+    name = 'reconnection',
+    prefix = 'lock:',
+    leaseMs = 10000,
+    retryDelayMs = 50,
+    acquireTimeoutMs = 10000,
+    maxHoldMs = 30000,
+    onExpire,
+    onLost,
+    metrics,
+    now = Date.now
+  } = options;
+  const renewIntervalMs = options.renewIntervalMs || Math.max(1, Math.floor(leaseMs / 3));
+
+  if (!(leaseMs > 0)) {
+    throw new Error('leaseMs must be a positive number');
+  }
+  if (renewIntervalMs >= leaseMs) {
+    throw new Error('renewIntervalMs must be shorter than leaseMs');
+  }
+
+  const redis = wrapRedisClient(client);
+  const key = prefix + name;
+  const fenceKey = `${key}:fence`;
+
+  let holder = null; // { token, owner, acquiredAt, renewedAt, renewTimer, expireTimer }
+
+  /**
+   * Record an acquire attempt.
+   *
+   * @param {string} result - 'acquired', 'waited' or 'timeout'
+   */
+  function recordAttempt(result) {
+    if (metrics) {
+      metrics.reconnectionLockAttempts.add(1, { lock: name, result });
+    }
+  }
+
+  /**
+   * Forget the local holder, stopping its timers.
+   */
+  function dropHolder() {
+    clearInterval(holder.renewTimer);
+    clearTimeout(holder.expireTimer);
+    if (metrics) {
+      metrics.reconnectionLockHold.record((now() - holder.acquiredAt) / 1000, { lock: name });
+    }
+    holder = null;
+  }
+
+  /**
+   * Extend the lease, dropping the holder if it's gone.
+   *
+   * @param {Object} current - Holder the renewal was scheduled for
+   */
+  async function renew(current) {
+    let renewed;
+    try {
+      renewed = Number(await redis.evalScript(RENEW_SCRIPT, [key], [current.owner, leaseMs])) === 1;
+    } catch (_err) {
+      // A failed round trip doesn't mean the lease is gone; it is once leaseMs passes
+      renewed = now() - current.renewedAt < leaseMs ? null : false;
+    }
+    if (holder !== current || renewed === null) {
+      return;
+    }
+    if (renewed) {
+      current.renewedAt = now();
+      return;
+    }
+    dropHolder();
+    notify(name, 'onLost', onLost, current.token);
+  }
+
+  /**
+   * Try to take the lock once.
+   *
+   * @returns {Promise<number|null>} Fencing token or null if held elsewhere
+   */
+  async function tryAcquire() {
+    if (holder) {
+      return null;
+    }
+    const owner = crypto.randomBytes(16).toString('hex');
+    const token = Number(await redis.evalScript(ACQUIRE_SCRIPT, [key, fenceKey], [owner, leaseMs]));
+    // Another acquire in this process may have won while we awaited
+    if (token === 0 || holder) {
+      if (token !== 0) {
+        await redis.evalScript(RELEASE_SCRIPT, [key], [owner]);
+      }
+      return null;
+    }
+
+    const acquiredAt = now();
+    const current = { token, owner, acquiredAt, renewedAt: acquiredAt, renewTimer: null, expireTimer: null };
+    current.renewTimer = setInterval(() => {
+      renew(current).catch((err) => console.error(`Lock ${name} renewal failed: ${err.message}`));
+    }, renewIntervalMs);
+    current.renewTimer.unref();
+    if (maxHoldMs) {
+      current.expireTimer = setTimeout(() => {
+        if (holder === current) {
+          release(token).then(() => notify(name, 'onExpire', onExpire, token), () => {});
+        }
+      }, maxHoldMs);
+      current.expireTimer.unref();
+    }
+    holder = current;
+    return token;
+  }
+
+  /**
+   * Acquire the lock, polling until it's free.
+   *
+   * @param {Object} [acquireOptions] - Acquire options
+   * @param {number} [acquireOptions.timeoutMs] - Wait limit (default: acquireTimeoutMs;
+   *   0 tries once, null waits forever)
+   * @returns {Promise<number>} Fencing token
+   * @throws {LockError} ACQUIRE_TIMEOUT if not granted in time
+   */
+  async function acquire(acquireOptions = {}) {
+    const timeoutMs = acquireOptions.timeoutMs !== undefined ? acquireOptions.timeoutMs : acquireTimeoutMs;
+    const deadline = timeoutMs === null ? Infinity : now() + timeoutMs;
+
+    let token = await tryAcquire();
+    if (token !== null) {
+      recordAttempt('acquired');
+      return token;
+    }
+    while (now() < deadline) {
+      await delay(Math.min(retryDelayMs, Math.max(1, deadline - now())));
+      token = await tryAcquire();
+      if (token !== null) {
+        recordAttempt('waited');
+        return token;
+      }
+    }
+    recordAttempt('timeout');
+    throw new LockError(`Timed out after ${timeoutMs}ms waiting for lock ${name}`, 'ACQUIRE_TIMEOUT');
+  }
+
+  /**
+   * Release the lock held by a token. Stale tokens are ignored.
+   *
+   * @param {number} token - Token from acquire()
+   * @returns {Promise<boolean>} True if this call released the lock
+   */
+  async function release(token) {
+    if (!isHeld(token)) {
+      return false;
+    }
+    const { owner } = holder;
+    dropHolder();
+    return Number(await redis.evalScript(RELEASE_SCRIPT, [key], [owner])) === 1;
+  }
+
+  /**
+   * Execute a function while holding the lock.
+   *
+   * @param {Function} fn - Function to execute (can be async); receives the fencing token
+   * @param {Object} [acquireOptions] - { timeoutMs } as for acquire()
+   * @returns {Promise<*>} Result of fn
+   * @throws {LockError} ACQUIRE_TIMEOUT if not granted in time
+   */
+  async function withLock(fn, acquireOptions) {
+    const token = await acquire(acquireOptions);
+    try {
+      return await fn(token);
+    } finally {
+      await release(token);
+    }
+  }
+
+  /**
+   * Check whether a fencing token still holds the lock (this process's view).
+   *
+   * @param {number} token - Token from acquire()
+   * @returns {boolean} True if the token is the current local holder
+   */
+  function isHeld(token) {
+    return holder !== null && holder.token === token;
+  }
+
+  /**
+   * Check if any process holds the lock.
+   *
+   * @returns {Promise<boolean>} True if locked
+   */
+  async function isLocked() {
+    return Number(await redis.call('EXISTS', key)) === 1;
+  }
+
+  /**
+   * Release the lock if this process holds it (e.g. on SIGTERM).
+   *
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    if (holder) {
+      await release(holder.token);
+    }
+  }
+
+  return {
+    mode: 'redis',
+    isLocked,
+    isHeld,
+    acquire,
+    release,
+    withLock,
+    close
+  };
+}
+
 module.exports = {
-  createReconnectionLock
+  LockError,
+  createReconnectionLock,
+  createKeyedLock,
+  createRedisLock
 };
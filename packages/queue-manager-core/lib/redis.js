@@ -0,0 +1,323 @@
+/**
+ * Redis client helpers for demo platform queue managers.
+ *
+ * Normalizes the command interface of the common Node.js Redis clients
+ * (ioredis, node-redis v4) and provides an in-process fake that speaks
+ * the same command subset so Redis-backed modules can be unit tested.
+ */
+
+// Lua source -> JavaScript twin used by the fake client for EVAL
+const scriptTwins = new Map();
+
+/**
+ * Define a Lua script together with an equivalent JavaScript implementation.
+ *
+ * The Lua source is sent to Redis with EVAL. The JavaScript twin is only
+ * used by the fake client from createFakeRedis, and must mirror the Lua
+ * logic exactly (including Lua -> Redis reply conversions).
+ *
+ * @param {string} lua - Lua script source
+ * @param {Function} twin - JavaScript equivalent: (redis, keys, argv) => reply,
+ *   where redis.call(command, ...args) executes synchronously against the fake
+ * @returns {Object} Script definition for use with client.evalScript
+ */
+function defineScript(lua, twin) {
+  if (!lua || typeof lua !== 'string') {
+    throw new Error('lua must be a non-empty string');
+  }
+  if (typeof twin !== 'function') {
+    throw new Error('twin must be a function');
+  }
+
+  const script = Object.freeze({ lua: lua.trim(), twin });
+  scriptTwins.set(script.lua, twin);
+  return script;
+}
+
+/**
+ * Wrap a Redis client in a minimal promise-based command interface.
+ *
+ * Supports clients exposing `call(command, ...args)` (ioredis, the fake
+ * from createFakeRedis) or `sendCommand(args)` (node-redis v4).
+ *
+ * @param {Object} client - Redis client instance
+ * @returns {Object} Wrapped client
+ * @returns {Function} result.call - call(command, ...args) => Promise<*>
+ * @returns {Function} result.evalScript - evalScript(script, keys, args) => Promise<*>
+ *
+ * @example
+ * const Redis = require('ioredis');
+ * const redis = wrapRedisClient(new Redis(process.env.REDIS_URL));
+ * await redis.call('SET', 'key', 'value', 'PX', 1000);
+ */
+function wrapRedisClient(client) {
+  if (!client || typeof client !== 'object') {
+    throw new Error('client must be a Redis client object');
+  }
+
+  let send;
+  if (typeof client.call === 'function') {
+    send = (args) => client.call(...args);
+  } else if (typeof client.sendCommand === 'function') {
+    send = (args) => client.sendCommand(args);
+  } else {
+    throw new Error('client must implement call() or sendCommand()');
+  }
+
+  function call(command, ...args) {
+    return Promise.resolve(send([command, ...args.map(String)]));
+  }
+
+  function evalScript(script, keys = [], args = []) {
+    return call('EVAL', script.lua, keys.length, ...keys, ...args);
+  }
+
+  return {
+    call,
+    evalScript
+  };
+}
+
+/**
+ * Convert a Redis glob pattern (as used by SCAN MATCH) to a RegExp.
+ *
+ * @param {string} pattern - Glob pattern supporting * and ?
+ * @returns {RegExp} Equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (const char of pattern) {
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create an in-process fake Redis client.
+ *
+ * Implements the command subset used by this library: GET, SET (EX, PX,
+ * NX, XX, KEEPTTL), DEL, EXISTS, INCR, EXPIRE, PEXPIRE, TTL, PTTL,
+ * SCAN (MATCH, COUNT) and EVAL for scripts created with defineScript.
+ * Commands execute synchronously, so every call is atomic.
+ *
+ * @param {Object} [options] - Fake options
+ * @param {Function} [options.now=Date.now] - Clock used for key expiry
+ * @returns {Object} Fake client exposing call() and sendCommand()
+ *
+ * @example
+ * const redis = createFakeRedis();
+ * const limiter = createRateLimiter({
+ *   windowMs: 60000,
+ *   maxAttempts: 5,
+ *   store: createRedisRateLimitStore(redis)
+ * });
+ */
+function createFakeRedis(options = {}) {
+  const { now = Date.now } = options;
+
+  // Map: key -> { value, expiresAt }
+  const data = new Map();
+
+  function lookup(key) {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function toInteger(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    return number;
+  }
+
+  function setExpiry(key, ms) {
+    const entry = lookup(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = now() + ms;
+    return 1;
+  }
+
+  function remainingTtl(key) {
+    const entry = lookup(key);
+    if (!entry) {
+      return -2;
+    }
+    if (entry.expiresAt === null) {
+      return -1;
+    }
+    return entry.expiresAt - now();
+  }
+
+  const commands = {
+    GET(key) {
+      const entry = lookup(key);
+      return entry ? entry.value : null;
+    },
+
+    SET(key, value, ...args) {
+      let expiresAt = null;
+      let keepTtl = false;
+      let mode = null;
+
+      for (let i = 0; i < args.length; i++) {
+        const flag = args[i].toUpperCase();
+        if (flag === 'EX' || flag === 'PX') {
+          const amount = toInteger(args[++i]);
+          expiresAt = now() + (flag === 'EX' ? amount * 1000 : amount);
+        } else if (flag === 'NX' || flag === 'XX') {
+          mode = flag;
+        } else if (flag === 'KEEPTTL') {
+          keepTtl = true;
+        } else {
+          throw new Error('ERR syntax error');
+        }
+      }
+
+      const existing = lookup(key);
+      if ((mode === 'NX' && existing) || (mode === 'XX' && !existing)) {
+        return null;
+      }
+      if (keepTtl && existing) {
+        expiresAt = existing.expiresAt;
+      }
+
+      data.set(key, { value: String(value), expiresAt });
+      return 'OK';
+    },
+
+    DEL(...keys) {
+      let removed = 0;
+      for (const key of keys) {
+        if (lookup(key)) {
+          data.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    EXISTS(...keys) {
+      return keys.filter((key) => lookup(key)).length;
+    },
+
+    INCR(key) {
+      const entry = lookup(key);
+      const value = (entry ? toInteger(entry.value) : 0) + 1;
+      data.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+      return value;
+    },
+
+    EXPIRE(key, seconds) {
+      return setExpiry(key, toInteger(seconds) * 1000);
+    },
+
+    PEXPIRE(key, ms) {
+      return setExpiry(key, toInteger(ms));
+    },
+
+    TTL(key) {
+      const ttl = remainingTtl(key);
+      return ttl < 0 ? ttl : Math.ceil(ttl / 1000);
+    },
+
+    PTTL(key) {
+      return remainingTtl(key);
+    },
+
+    SCAN(cursor, ...args) {
+      let match = null;
+      let count = 10;
+      for (let i = 0; i < args.length; i++) {
+        const flag = args[i].toUpperCase();
+        if (flag === 'MATCH') {
+          match = globToRegExp(args[++i]);
+        } else if (flag === 'COUNT') {
+          count = toInteger(args[++i]);
+        } else {
+          throw new Error('ERR syntax error');
+        }
+      }
+
+      const keys = Array.from(data.keys()).filter((key) => lookup(key));
+      const start = toInteger(cursor);
+      const page = keys.slice(start, start + count);
+      const next = start + count >= keys.length ? 0 : start + count;
+      return [String(next), match ? page.filter((key) => match.test(key)) : page];
+    },
+
+    EVAL(lua, numKeys, ...rest) {
+      const twin = scriptTwins.get(lua.trim());
+      if (!twin) {
+        throw new Error('NOSCRIPT fake redis can only evaluate scripts created with defineScript');
+      }
+      const keyCount = toInteger(numKeys);
+      return twin(scriptApi, rest.slice(0, keyCount), rest.slice(keyCount));
+    }
+  };
+
+  function execute(command, args) {
+    const handler = commands[String(command).toUpperCase()];
+    if (!handler) {
+      throw new Error(`ERR unknown command '${command}'`);
+    }
+    return handler(...args.map(String));
+  }
+
+  // Synchronous interface handed to script twins, mirroring redis.call in Lua
+  const scriptApi = {
+    call: (command, ...args) => execute(command, args)
+  };
+
+  /**
+   * Execute a command (ioredis-style).
+   *
+   * @param {string} command - Command name
+   * @param {...*} args - Command arguments
+   * @returns {Promise<*>} Command reply
+   */
+  async function call(command, ...args) {
+    return execute(command, args);
+  }
+
+  /**
+   * Execute a command (node-redis v4 style).
+   *
+   * @param {Array<string>} args - Command name followed by arguments
+   * @returns {Promise<*>} Command reply
+   */
+  async function sendCommand(args) {
+    return execute(args[0], args.slice(1));
+  }
+
+  /**
+   * Remove all keys.
+   */
+  function flushAll() {
+    data.clear();
+  }
+
+  return {
+    call,
+    sendCommand,
+    flushAll
+  };
+}
+
+module.exports = {
+  defineScript,
+  wrapRedisClient,
+  createFakeRedis
+};
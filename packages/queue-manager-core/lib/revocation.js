@@ -0,0 +1,259 @@
+/**
+ * Session token revocation for demo platform queue managers.
+ *
+ * Tracks revoked token IDs (the jti claim, or a hash for tokens without
+ * one) until the token would have expired anyway. Also supports single-use
+ * tokens, which are revoked by their first successful validation.
+ *
+ * Store interface:
+ * - add(id, ttlMs)
+ * - has(id) => boolean
+ * - addIfAbsent(id, ttlMs) => boolean (true if added)
+ * - cleanup()
+ * - size() => number
+ */
+
+const { wrapRedisClient } = require('./redis');
+const { inspectSessionToken } = require('./session');
+
+/**
+ * Create an in-memory revocation store.
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.cleanupThreshold=1000] - Prune expired entries when map exceeds this size
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Synchronous revocation store
+ */
+function createMemoryRevocationStore(options = {}) {
+  const { cleanupThreshold = 1000, now = Date.now } = options;
+
+  // Map: id -> expiresAt
+  const entries = new Map();
+
+  function has(id) {
+    const expiresAt = entries.get(id);
+    if (expiresAt !== undefined && now() > expiresAt) {
+      entries.delete(id);
+      return false;
+    }
+    return expiresAt !== undefined;
+  }
+
+  function add(id, ttlMs) {
+    if (entries.size > cleanupThreshold) {
+      cleanup();
+    }
+    entries.set(id, now() + ttlMs);
+  }
+
+  function addIfAbsent(id, ttlMs) {
+    if (has(id)) {
+      return false;
+    }
+    add(id, ttlMs);
+    return true;
+  }
+
+  function cleanup() {
+    const current = now();
+    for (const [id, expiresAt] of entries) {
+      if (current > expiresAt) {
+        entries.delete(id);
+      }
+    }
+  }
+
+  function size() {
+    return entries.size;
+  }
+
+  return {
+    add,
+    has,
+    addIfAbsent,
+    cleanup,
+    size
+  };
+}
+
+/**
+ * Create a Redis-backed revocation store.
+ *
+ * Each revoked ID is a key that expires with the token, so the list is
+ * shared by every process validating tokens against the same Redis.
+ *
+ * @param {Object} client - Redis client (ioredis, node-redis v4, or createFakeRedis)
+ * @param {Object} [options] - Store options
+ * @param {string} [options.prefix='revoked:'] - Key prefix
+ * @returns {Object} Asynchronous revocation store
+ */
+function createRedisRevocationStore(client, options = {}) {
+  const { prefix = 'revoked:' } = options;
+  const redis = wrapRedisClient(client);
+
+  async function add(id, ttlMs) {
+    await redis.call('SET', prefix + id, '1', 'PX', Math.max(1, Math.ceil(ttlMs)));
+  }
+
+  async function has(id) {
+    return Number(await redis.call('EXISTS', prefix + id)) === 1;
+  }
+
+  async function addIfAbsent(id, ttlMs) {
+    const reply = await redis.call('SET', prefix + id, '1', 'PX', Math.max(1, Math.ceil(ttlMs)), 'NX');
+    return reply === 'OK';
+  }
+
+  // Redis expires entries on its own
+  async function cleanup() {}
+
+  async function size() {
+    let cursor = '0';
+    let total = 0;
+    do {
+      const [next, keys] = await redis.call('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      total += keys.length;
+      cursor = String(next);
+    } while (cursor !== '0');
+    return total;
+  }
+
+  return {
+    add,
+    has,
+    addIfAbsent,
+    cleanup,
+    size
+  };
+}
+
+/**
+ * Create a session token revocation list.
+ *
+ * Methods accept either a token or a bare token ID (jti); strings
+ * containing a '.' are treated as tokens. With the default in-memory
+ * store all methods are synchronous; with an asynchronous store they
+ * return promises.
+ *
+ * @param {Object} [options] - Revocation list options
+ * @param {Object} [options.store] - Revocation store (default: in-memory)
+ * @param {number} [options.defaultTtlMs=86400000] - How long to remember IDs of
+ *   tokens without an exp claim (default: 24 hours; use the session max age)
+ * @param {number} [options.clockSkewMs=0] - Extra retention past exp
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Revocation list
+ *
+ * @example
+ * const revocations = createRevocationList({
+ *   store: createRedisRevocationStore(redisClient)
+ * });
+ *
+ * // Kick an abusive user
+ * await revocations.revoke(session.token);
+ *
+ * // In the /session route
+ * const result = await validateSessionToken(token, keyring, { revocationList: revocations });
+ *
+ * // ttyd handoff: the token works exactly once
+ * const handoff = await validateSessionToken(token, keyring, {
+ *   revocationList: revocations,
+ *   singleUse: true
+ * });
+ */
+function createRevocationList(options = {}) {
+  const {
+    now = Date.now,
+    store = createMemoryRevocationStore({ now }),
+    defaultTtlMs = 24 * 60 * 60 * 1000,
+    clockSkewMs = 0
+  } = options;
+
+  if (!defaultTtlMs || defaultTtlMs <= 0) {
+    throw new Error('defaultTtlMs must be a positive number');
+  }
+
+  /**
+   * Resolve a token or jti to a store ID and retention time.
+   *
+   * @param {string} tokenOrJti - Token or token ID
+   * @returns {Object} { id, ttlMs }
+   */
+  function resolve(tokenOrJti) {
+    if (!tokenOrJti || typeof tokenOrJti !== 'string') {
+      throw new Error('token or jti must be a non-empty string');
+    }
+    if (!tokenOrJti.includes('.')) {
+      return { id: tokenOrJti, ttlMs: defaultTtlMs };
+    }
+
+    const { id, expiresAt } = inspectSessionToken(tokenOrJti);
+    const ttlMs = expiresAt === null ? defaultTtlMs : Math.max(1, expiresAt - now() + clockSkewMs);
+    return { id, ttlMs };
+  }
+
+  /**
+   * Revoke a token.
+   *
+   * @param {string} tokenOrJti - Token or token ID
+   * @param {Object} [revokeOptions] - Options
+   * @param {number} [revokeOptions.ttlMs] - Override how long to remember the revocation
+   * @returns {undefined|Promise<undefined>} Resolves once stored (async stores)
+   */
+  function revoke(tokenOrJti, revokeOptions = {}) {
+    const { id, ttlMs } = resolve(tokenOrJti);
+    return store.add(id, revokeOptions.ttlMs || ttlMs);
+  }
+
+  /**
+   * Check whether a token has been revoked (or used, if single-use).
+   *
+   * @param {string} tokenOrJti - Token or token ID
+   * @returns {boolean|Promise<boolean>} True if revoked
+   */
+  function isRevoked(tokenOrJti) {
+    return store.has(resolve(tokenOrJti).id);
+  }
+
+  /**
+   * Atomically mark a single-use token as used.
+   *
+   * @param {string} tokenOrJti - Token or token ID
+   * @param {Object} [consumeOptions] - Options
+   * @param {number} [consumeOptions.ttlMs] - Override how long to remember the use
+   * @returns {boolean|Promise<boolean>} True on first use, false if already used or revoked
+   */
+  function consume(tokenOrJti, consumeOptions = {}) {
+    const { id, ttlMs } = resolve(tokenOrJti);
+    return store.addIfAbsent(id, consumeOptions.ttlMs || ttlMs);
+  }
+
+  /**
+   * Prune expired revocations (no-op for stores with native expiry).
+   */
+  function cleanup() {
+    return store.cleanup();
+  }
+
+  /**
+   * Get the number of tracked revocations.
+   *
+   * @returns {number|Promise<number>} Number of entries
+   */
+  function size() {
+    return store.size();
+  }
+
+  return {
+    revoke,
+    isRevoked,
+    consume,
+    cleanup,
+    size
+  };
+}
+
+module.exports = {
+  createRevocationList,
+  createMemoryRevocationStore,
+  createRedisRevocationStore
+};
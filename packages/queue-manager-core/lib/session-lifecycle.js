@@ -0,0 +1,543 @@
+/**
+ * Session lifecycle state machine for demo platform queue managers.
+ *
+ * Replaces the per-demo setTimeout handling of SESSION_TIMEOUT_MINUTES,
+ * DISCONNECT_GRACE_MS and the hard timeout for zombie processes with one
+ * model of a session:
+ *
+ *   queued -> starting -> active <-> disconnected-grace
+ *                \           \            /
+ *                 `---------> ending <---'  -> ended
+ *
+ * Every transition is explicit and emits an event; invalid transitions
+ * throw. Timers are unref'd so they never keep the process alive.
+ */
+
+const STATES = ['queued', 'starting', 'active', 'disconnected-grace', 'ending', 'ended'];
+
+// State -> states it can move to
+const TRANSITIONS = {
+  queued: ['starting', 'ended'],
+  starting: ['active', 'ending'],
+  active: ['disconnected-grace', 'ending'],
+  'disconnected-grace': ['active', 'ending'],
+  ending: ['ended'],
+  ended: []
+};
+
+const LIFECYCLE_EVENTS = [...STATES, 'transition', 'warning', 'extended'];
+
+/**
+ * Create the lifecycle of one session.
+ *
+ * Events (listen with lifecycle.on(event, listener)):
+ * - transition and the new state's name (e.g. 'ending'): { id, from, to, reason }
+ * - warning: { id, reason: 'timeout' | 'idle', remainingMs }, once per threshold in
+ *   warningsMs before the session or idle timeout
+ * - extended: { id, deadline, extensions }, when an extension is granted
+ *
+ * End reasons set by the lifecycle itself are 'timeout', 'idle',
+ * 'disconnected' (grace period over) and 'hard-timeout'. end(reason)
+ * accepts any other reason, e.g. 'user' or 'error'.
+ *
+ * With a metrics manager, activation records sessionsStarted and the end
+ * records sessionsEnded and sessionDuration (from start() to ended) by
+ * reason. With a wait estimator, the same duration feeds its model.
+ *
+ * @param {Object} options - Lifecycle options
+ * @param {string} options.id - Session identifier
+ * @param {number} [options.timeoutMs=3600000] - Session length from activation
+ *   (SESSION_TIMEOUT_MINUTES)
+ * @param {number|null} [options.idleTimeoutMs=null] - End after this long without touch();
+ *   null disables
+ * @param {number} [options.graceMs=30000] - Time to reconnect after a disconnect
+ *   (DISCONNECT_GRACE_MS)
+ * @param {number|null} [options.hardTimeoutMs=2*timeoutMs] - Absolute limit from start(),
+ *   extensions included; null disables
+ * @param {Array<number>} [options.warningsMs=[300000]] - Remaining times that emit a warning
+ * @param {number} [options.extensionMs=900000] - Default extension length
+ * @param {number} [options.maxExtensions=1] - Extensions granted per session
+ * @param {Function} [options.allowExtension] - ({ id, extensions, requestedMs }) => boolean,
+ *   e.g. to refuse while others are queued
+ * @param {Function} [options.cleanup] - async ({ id, reason }) => void, run while ending
+ *   (stop the container, remove the env file)
+ * @param {Object} [options.lock] - Reconnection lock (createReconnectionLock, createRedisLock,
+ *   or createKeyedLock, which is locked by session id) serializing reconnect()
+ * @param {Object} [options.metrics] - Metrics manager (from createMetrics or forDemo)
+ * @param {Object} [options.estimator] - Wait estimator (from createWaitEstimator)
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Session lifecycle instance
+ *
+ * @example
+ * const lifecycle = createSessionLifecycle({
+ *   id: sessionId,
+ *   timeoutMs: config.SESSION_TIMEOUT_MINUTES * 60 * 1000,
+ *   idleTimeoutMs: 15 * 60 * 1000,
+ *   graceMs: config.DISCONNECT_GRACE_MS,
+ *   lock: reconnectionLock,
+ *   metrics,
+ *   cleanup: async () => {
+ *     await stopContainer(sessionId);
+ *     envFile.cleanup();
+ *   }
+ * });
+ *
+ * lifecycle.on('warning', ({ remainingMs }) => {
+ *   ws.send(JSON.stringify({ type: 'session-warning', remainingMs }));
+ * });
+ * lifecycle.on('ended', () => queue.dequeue());
+ *
+ * lifecycle.start();
+ * await spawnTtyd();
+ * lifecycle.activate();
+ *
+ * ws.on('message', () => lifecycle.touch());
+ * ws.on('close', () => lifecycle.disconnect());
+ *
+ * // The browser comes back within the grace period
+ * await lifecycle.reconnect(async () => attachTerminal(newWs));
+ */
+function createSessionLifecycle(options = {}) {
+  const {
+    id,
+    timeoutMs = 3600000,
+    idleTimeoutMs = null,
+    graceMs = 30000,
+    hardTimeoutMs = 2 * timeoutMs,
+    warningsMs = [300000],
+    extensionMs = 900000,
+    maxExtensions = 1,
+    allowExtension,
+    cleanup,
+    lock,
+    metrics,
+    estimator,
+    now = Date.now
+  } = options;
+
+  if (!id || typeof id !== 'string') {
+    throw new Error('id must be a non-empty string');
+  }
+  if (!(timeoutMs > 0)) {
+    throw new Error('timeoutMs must be a positive number');
+  }
+  if (idleTimeoutMs !== null && !(idleTimeoutMs > 0)) {
+    throw new Error('idleTimeoutMs must be a positive number or null');
+  }
+  if (!(graceMs >= 0)) {
+    throw new Error('graceMs must be a non-negative number');
+  }
+  if (hardTimeoutMs !== null && !(hardTimeoutMs >= timeoutMs)) {
+    throw new Error('hardTimeoutMs must be at least timeoutMs');
+  }
+
+  const warnings = warningsMs.slice().sort((a, b) => b - a);
+  const keyedLock = Boolean(lock && typeof lock.heldKeys === 'function');
+
+  let state = 'queued';
+  let endReason = null;
+  let startedAt = null;
+  let activeAt = null;
+  let deadline = null;
+  let idleDeadline = null;
+  let graceDeadline = null;
+  let hardDeadline = null;
+  let extensions = 0;
+  let resolveEnded = null;
+  let ended = null;
+
+  // Map: timer kind ('timeout', 'idle', 'grace', 'hard') -> Timeout
+  const timers = new Map();
+  // Map: event -> Set(listener)
+  const listeners = new Map(LIFECYCLE_EVENTS.map((event) => [event, new Set()]));
+
+  /**
+   * Call the listeners for an event.
+   *
+   * A throwing listener is logged and doesn't stop the others.
+   *
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  function emit(event, payload) {
+    for (const listener of listeners.get(event)) {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`Session ${event} listener failed: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Move to another state and emit its events.
+   *
+   * @param {string} to - Target state
+   * @param {string|null} [reason=null] - Why the session moved
+   */
+  function transition(to, reason = null) {
+    if (!TRANSITIONS[state].includes(to)) {
+      throw new Error(`Invalid session transition: ${state} -> ${to}`);
+    }
+    const payload = { id, from: state, to, reason };
+    state = to;
+    emit('transition', payload);
+    emit(to, payload);
+  }
+
+  /**
+   * Start a timer that never keeps the process alive.
+   *
+   * @param {string} kind - Timer kind; replaces a running timer of the same kind
+   * @param {number} delayMs - Delay
+   * @param {Function} fn - Callback
+   */
+  function setTimer(kind, delayMs, fn) {
+    clearTimer(kind);
+    const timer = setTimeout(() => {
+      timers.delete(kind);
+      fn();
+    }, Math.max(delayMs, 0));
+    timer.unref();
+    timers.set(kind, timer);
+  }
+
+  /**
+   * Stop a timer.
+   *
+   * @param {string} kind - Timer kind
+   */
+  function clearTimer(kind) {
+    if (timers.has(kind)) {
+      clearTimeout(timers.get(kind));
+      timers.delete(kind);
+    }
+  }
+
+  /**
+   * Count down to a timeout, emitting warnings on the way.
+   *
+   * @param {string} kind - 'timeout' or 'idle'
+   * @param {number} at - When the timeout fires
+   * @param {number} [below=Infinity] - Only warn for thresholds below this (already warned)
+   */
+  function countdown(kind, at, below = Infinity) {
+    const remainingMs = at - now();
+    const next = warnings.find((threshold) => threshold < below && threshold < remainingMs);
+    if (next === undefined) {
+      setTimer(kind, remainingMs, () => end(kind));
+      return;
+    }
+    setTimer(kind, remainingMs - next, () => {
+      emit('warning', { id, reason: kind, remainingMs: next });
+      countdown(kind, at, next);
+    });
+  }
+
+  /**
+   * Restart the idle countdown.
+   */
+  function armIdle() {
+    if (idleTimeoutMs !== null) {
+      idleDeadline = now() + idleTimeoutMs;
+      countdown('idle', idleDeadline);
+    }
+  }
+
+  /**
+   * Queue -> starting: the sandbox is being prepared for this session.
+   */
+  function start() {
+    transition('starting');
+    startedAt = now();
+    if (estimator) {
+      estimator.sessionStarted(id, startedAt);
+    }
+    if (hardTimeoutMs !== null) {
+      hardDeadline = startedAt + hardTimeoutMs;
+      setTimer('hard', hardTimeoutMs, hardTimeout);
+    }
+  }
+
+  /**
+   * Starting -> active: the terminal is ready; session and idle timeouts begin.
+   */
+  function activate() {
+    transition('active');
+    activeAt = now();
+    deadline = activeAt + timeoutMs;
+    if (hardDeadline !== null) {
+      deadline = Math.min(deadline, hardDeadline);
+    }
+    countdown('timeout', deadline);
+    armIdle();
+    if (metrics) {
+      metrics.sessionsStarted.add(1);
+    }
+  }
+
+  /**
+   * Record user activity, restarting the idle timeout.
+   *
+   * @returns {boolean} True if the session is active
+   */
+  function touch() {
+    if (state !== 'active') {
+      return false;
+    }
+    armIdle();
+    return true;
+  }
+
+  /**
+   * Active -> disconnected-grace: the client went away; end unless it
+   * reconnects within graceMs. The session timeout keeps running.
+   *
+   * @returns {boolean} True if the session entered the grace period
+   */
+  function disconnect() {
+    if (state !== 'active') {
+      return false;
+    }
+    transition('disconnected-grace', 'disconnected');
+    clearTimer('idle');
+    idleDeadline = null;
+    graceDeadline = now() + graceMs;
+    setTimer('grace', graceMs, () => end('disconnected'));
+    return true;
+  }
+
+  /**
+   * Disconnected-grace -> active, serialized by the reconnection lock.
+   *
+   * attach runs while the lock is held, after the session is active again.
+   * If it throws after a resume from the grace period, the session goes back
+   * to it (with a fresh graceMs) and the error is rethrown.
+   *
+   * @param {Function} [attach] - async (token) => void, e.g. attach the new WebSocket
+   * @param {Object} [acquireOptions] - Passed to the lock (e.g. { timeoutMs })
+   * @returns {Promise<boolean>} False if the session can't be resumed (ended, or a
+   *   flag lock was busy)
+   */
+  async function reconnect(attach, acquireOptions) {
+    const resume = async (token) => {
+      // The grace period may have run out while waiting for the lock
+      const resumed = state === 'disconnected-grace';
+      if (resumed) {
+        clearTimer('grace');
+        graceDeadline = null;
+        transition('active', 'reconnected');
+        armIdle();
+      }
+      if (state !== 'active') {
+        return false;
+      }
+      if (attach) {
+        try {
+          await attach(token);
+        } catch (err) {
+          if (resumed) {
+            disconnect();
+          }
+          throw err;
+        }
+      }
+      return true;
+    };
+
+    if (state !== 'disconnected-grace' && state !== 'active') {
+      return false;
+    }
+    if (!lock) {
+      return resume();
+    }
+    const result = keyedLock
+      ? await lock.withLock(id, resume, acquireOptions)
+      : await lock.withLock(resume, acquireOptions);
+    // A busy flag lock returns null
+    return result === true;
+  }
+
+  /**
+   * Ask for more time.
+   *
+   * @param {number} [requestedMs=extensionMs] - Extension length
+   * @returns {Object} { granted: true, deadline } or
+   *   { granted: false, reason: 'not-active' | 'limit' | 'hard-timeout' | 'denied' }
+   */
+  function requestExtension(requestedMs = extensionMs) {
+    if (state !== 'active' && state !== 'disconnected-grace') {
+      return { granted: false, reason: 'not-active' };
+    }
+    if (extensions >= maxExtensions) {
+      return { granted: false, reason: 'limit' };
+    }
+    if (hardDeadline !== null && deadline >= hardDeadline) {
+      return { granted: false, reason: 'hard-timeout' };
+    }
+    if (allowExtension && !allowExtension({ id, extensions, requestedMs })) {
+      return { granted: false, reason: 'denied' };
+    }
+
+    extensions++;
+    deadline += requestedMs;
+    if (hardDeadline !== null) {
+      deadline = Math.min(deadline, hardDeadline);
+    }
+    countdown('timeout', deadline);
+    emit('extended', { id, deadline, extensions });
+    return { granted: true, deadline };
+  }
+
+  /**
+   * Move to ended and record the session.
+   */
+  function finish() {
+    if (state === 'ended') {
+      return;
+    }
+    transition('ended', endReason);
+    clearTimer('hard');
+    if (startedAt !== null) {
+      const durationMs = Math.max(now() - startedAt, 0);
+      if (metrics) {
+        metrics.sessionsEnded.add(1, { reason: endReason });
+        metrics.sessionDuration.record(durationMs / 1000, { reason: endReason });
+      }
+      if (estimator) {
+        estimator.sessionEnded(id);
+      }
+    }
+    resolveEnded();
+  }
+
+  /**
+   * End the session: ending, run cleanup, then ended.
+   *
+   * A queued session goes straight to ended. Calling end() again returns
+   * the same promise and keeps the first reason. A failing cleanup is
+   * logged and the session still ends.
+   *
+   * @param {string} [reason='user'] - Why the session ended
+   * @returns {Promise<void>} Resolves once the session is ended
+   */
+  function end(reason = 'user') {
+    if (ended) {
+      return ended;
+    }
+    endReason = reason;
+    ended = new Promise((resolve) => {
+      resolveEnded = resolve;
+    });
+    for (const kind of ['timeout', 'idle', 'grace']) {
+      clearTimer(kind);
+    }
+
+    if (state === 'queued') {
+      finish();
+      return ended;
+    }
+
+    transition('ending', reason);
+    Promise.resolve()
+      .then(() => cleanup && cleanup({ id, reason }))
+      .catch((err) => {
+        console.error(`Session ${id} cleanup failed: ${err.message}`);
+      })
+      .then(finish);
+    return ended;
+  }
+
+  /**
+   * Hard timeout: end the session, or give up on a cleanup that hangs.
+   */
+  function hardTimeout() {
+    if (state === 'ending') {
+      console.error(`Session ${id} cleanup did not finish before the hard timeout`);
+      finish();
+    } else {
+      end('hard-timeout');
+    }
+  }
+
+  /**
+   * Get the current state.
+   *
+   * @returns {string} One of queued, starting, active, disconnected-grace, ending, ended
+   */
+  function getState() {
+    return state;
+  }
+
+  /**
+   * Snapshot of the session's timing.
+   *
+   * @returns {Object} { id, state, reason, startedAt, activeAt, deadline, idleDeadline,
+   *   graceDeadline, hardDeadline, extensions, remainingMs }
+   */
+  function info() {
+    const live = state === 'active' || state === 'disconnected-grace';
+    return {
+      id,
+      state,
+      reason: endReason,
+      startedAt,
+      activeAt,
+      deadline,
+      idleDeadline,
+      graceDeadline,
+      hardDeadline,
+      extensions,
+      remainingMs: live ? Math.max(deadline - now(), 0) : null
+    };
+  }
+
+  /**
+   * Subscribe to a lifecycle event.
+   *
+   * @param {string} event - A state name, 'transition', 'warning' or 'extended'
+   * @param {Function} listener - (payload) => void
+   * @returns {Function} Unsubscribe function
+   */
+  function on(event, listener) {
+    if (!listeners.has(event)) {
+      throw new Error(`Unknown session event: ${event}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('listener must be a function');
+    }
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from a lifecycle event.
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  function off(event, listener) {
+    if (listeners.has(event)) {
+      listeners.get(event).delete(listener);
+    }
+  }
+
+  return {
+    id,
+    start,
+    activate,
+    touch,
+    disconnect,
+    reconnect,
+    requestExtension,
+    end,
+    state: getState,
+    info,
+    on,
+    off
+  };
+}
+
+module.exports = {
+  createSessionLifecycle
+};
@@ -2,75 +2,223 @@
  * Session token utilities for demo platform queue managers.
  *
  * Provides secure session token generation and validation using HMAC-SHA256.
+ * Supports legacy v1 tokens (session ID and timestamp) and v2 tokens
+ * carrying a signed JSON claims payload. Anywhere a secret is accepted,
+ * a keyring from createKeyring/loadKeyring can be used instead to allow
+ * secret rotation. Keyrings holding Ed25519 or P-256 keys sign v2 tokens
+ * asymmetrically, so verifiers only need the public keys.
  */
 
 const crypto = require('crypto');
+const { isKeyring } = require('./keyring');
+const { whenResolved } = require('./maybe-async');
+
+// Version prefix for claims-based tokens
+const TOKEN_V2_PREFIX = 'v2';
+
+/**
+ * Sign data with HMAC-SHA256.
+ *
+ * @param {string} data - Data to sign
+ * @param {string} secret - Secret key
+ * @param {string} encoding - Digest encoding ('hex' or 'base64url')
+ * @returns {string} Signature
+ */
+function sign(data, secret, encoding) {
+  return crypto.createHmac('sha256', secret)
+    .update(data)
+    .digest(encoding);
+}
+
+/**
+ * Resolve a secret or keyring to the key used for signing.
+ *
+ * @param {string|Object} secretOrKeyring - Secret or keyring
+ * @returns {Object} Key { kid, alg, secret, privateKey }
+ */
+function resolveSigningKey(secretOrKeyring) {
+  if (isKeyring(secretOrKeyring)) {
+    return secretOrKeyring.current();
+  }
+  if (!secretOrKeyring || typeof secretOrKeyring !== 'string') {
+    throw new Error('secret must be a non-empty string');
+  }
+  return { kid: undefined, alg: 'HS256', secret: secretOrKeyring };
+}
+
+/**
+ * Sign v2 token data with a key's algorithm.
+ *
+ * ES256 signatures use the raw r||s (IEEE P1363) encoding, as in JWS.
+ *
+ * @param {string} data - Data to sign
+ * @param {Object} key - Key { alg, secret, privateKey }
+ * @returns {string} base64url signature
+ */
+function signWithKey(data, key) {
+  if (key.alg === 'HS256') {
+    return sign(data, key.secret, 'base64url');
+  }
+  const signature = key.alg === 'ES256'
+    ? crypto.sign('sha256', Buffer.from(data), { key: key.privateKey, dsaEncoding: 'ieee-p1363' })
+    : crypto.sign(null, Buffer.from(data), key.privateKey);
+  return signature.toString('base64url');
+}
+
+/**
+ * Verify a v2 token signature with a key's algorithm.
+ *
+ * The algorithm always comes from the key, never from the token.
+ *
+ * @param {string} data - Signed data
+ * @param {string} signature - base64url signature from the token
+ * @param {Object} key - Key { alg, secret, publicKey }
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyWithKey(data, signature, key) {
+  if (key.alg === 'HS256') {
+    return signaturesMatch(signature, sign(data, key.secret, 'base64url'), 'base64url');
+  }
+  const signatureBuffer = Buffer.from(signature, 'base64url');
+  try {
+    return key.alg === 'ES256'
+      ? crypto.verify('sha256', Buffer.from(data), { key: key.publicKey, dsaEncoding: 'ieee-p1363' }, signatureBuffer)
+      : crypto.verify(null, Buffer.from(data), key.publicKey, signatureBuffer);
+  } catch (_err) {
+    // Malformed signatures can make OpenSSL throw instead of returning false
+    return false;
+  }
+}
+
+/**
+ * Compare two encoded signatures in constant time.
+ *
+ * @param {string} actual - Signature from the token
+ * @param {string} expected - Expected signature
+ * @param {string} encoding - Signature encoding
+ * @returns {boolean} True if equal
+ */
+function signaturesMatch(actual, expected, encoding) {
+  const actualBuffer = Buffer.from(actual, encoding);
+  const expectedBuffer = Buffer.from(expected, encoding);
+
+  return actualBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
 
 /**
  * Generate a cryptographically secure session token.
  *
- * Token format: base64(sessionId:timestamp).signature
+ * v1 format (no options): base64(sessionId:timestamp).signature
  * - sessionId: UUID or other unique identifier
  * - timestamp: Unix timestamp in milliseconds
- * - signature: HMAC-SHA256 of the data portion
+ * - signature: HMAC-SHA256 of the data portion (hex)
+ *
+ * v2 format (options given): v2.base64url(claims).base64url(signature)
+ * - claims: JSON with sub (sessionId), iat, nbf, exp, aud, jti and custom claims;
+ *   times are Unix timestamps in seconds
+ * - signature: HMAC-SHA256, Ed25519 or ECDSA P-256 signature of "v2.<claims>"
+ *
+ * When a keyring is given, tokens are signed with its current key and v2
+ * tokens carry that key's ID in the kid claim. v1 tokens can only be
+ * signed with HMAC secrets.
  *
  * @param {string} sessionId - Unique session identifier
- * @param {string} secret - Secret key for HMAC signing
+ * @param {string|Object} secretOrKeyring - Secret key for HMAC signing, or a keyring
+ * @param {Object} [options] - v2 token options (omit for a v1 token)
+ * @param {number} [options.expiresInMs] - Lifetime; sets the exp claim
+ * @param {number} [options.notBeforeMs=0] - Delay before the token becomes valid
+ * @param {string|Array<string>} [options.audience] - Intended audience (demo name)
+ * @param {string} [options.jti] - Token ID (default: random UUID)
+ * @param {Object} [options.claims] - Custom claims (e.g. scenario, invite)
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
  * @returns {string} Signed session token
  *
  * @example
  * const token = generateSessionToken('abc-123', 'my-secret');
  * // Returns: "YWJjLTEyMzoxNzA1MDAwMDAwMDAw.a1b2c3d4..."
+ *
+ * @example
+ * const token = generateSessionToken('abc-123', 'my-secret', {
+ *   audience: 'jira-demo',
+ *   expiresInMs: 60 * 60 * 1000,
+ *   claims: { scenario: 'issues', invite: inviteToken }
+ * });
+ * // Returns: "v2.eyJzY2VuYXJpbyI6Imlzc3Vlcy...."
+ *
+ * @example
+ * const keyring = createKeyring([generateSigningKey('2024-06', 'EdDSA')]);
+ * const token = generateSessionToken('abc-123', keyring, { expiresInMs: 3600000 });
  */
-function generateSessionToken(sessionId, secret) {
+function generateSessionToken(sessionId, secretOrKeyring, options) {
   if (!sessionId || typeof sessionId !== 'string') {
     throw new Error('sessionId must be a non-empty string');
   }
-  if (!secret || typeof secret !== 'string') {
-    throw new Error('secret must be a non-empty string');
+
+  const key = resolveSigningKey(secretOrKeyring);
+
+  if (options === undefined) {
+    if (key.alg !== 'HS256') {
+      throw new Error('v1 tokens require an HMAC secret; pass options for a v2 token');
+    }
+    const timestamp = Date.now().toString();
+    const data = `${sessionId}:${timestamp}`;
+    const signature = sign(data, key.secret, 'hex');
+
+    return `${Buffer.from(data).toString('base64')}.${signature}`;
   }
 
-  const timestamp = Date.now().toString();
-  const data = `${sessionId}:${timestamp}`;
-  const signature = crypto.createHmac('sha256', secret)
-    .update(data)
-    .digest('hex');
+  const {
+    expiresInMs,
+    notBeforeMs = 0,
+    audience,
+    jti = crypto.randomUUID(),
+    claims = {},
+    now = Date.now
+  } = options;
+
+  if (expiresInMs !== undefined && !(expiresInMs > 0)) {
+    throw new Error('expiresInMs must be a positive number');
+  }
+
+  const iat = Math.floor(now() / 1000);
+  const payload = {
+    ...claims,
+    sub: sessionId,
+    iat,
+    nbf: iat + Math.ceil(notBeforeMs / 1000),
+    jti
+  };
+  if (expiresInMs !== undefined) {
+    payload.exp = iat + Math.ceil(expiresInMs / 1000);
+  }
+  if (audience !== undefined) {
+    payload.aud = audience;
+  }
+  if (key.kid !== undefined) {
+    payload.kid = key.kid;
+  }
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${TOKEN_V2_PREFIX}.${encodedPayload}`;
 
-  return `${Buffer.from(data).toString('base64')}.${signature}`;
+  return `${data}.${signWithKey(data, key)}`;
 }
 
 /**
- * Validate a session token's signature.
+ * Validate a v1 token (base64(sessionId:timestamp).hexSignature).
  *
- * @param {string} token - Session token to validate
- * @param {string} secret - Secret key used to sign the token
+ * @param {Array<string>} parts - Token split on '.'
+ * @param {Object} key - Key { alg, secret }
  * @returns {Object} Validation result
- * @returns {boolean} result.valid - Whether the token signature is valid
- * @returns {string|null} result.sessionId - Extracted session ID (if valid)
- * @returns {number|null} result.timestamp - Token creation timestamp (if valid)
- * @returns {string|null} result.error - Error message (if invalid)
- *
- * @example
- * const result = validateSessionToken(token, 'my-secret');
- * if (result.valid) {
- *   console.log('Session ID:', result.sessionId);
- * }
  */
-function validateSessionToken(token, secret) {
-  if (!token || typeof token !== 'string') {
-    return { valid: false, error: 'Token must be a non-empty string' };
-  }
-  if (!secret || typeof secret !== 'string') {
-    return { valid: false, error: 'Secret must be a non-empty string' };
-  }
+function validateTokenV1(parts, key) {
+  const [encodedData, signature] = parts;
 
-  const parts = token.split('.');
-  if (parts.length !== 2) {
-    return { valid: false, error: 'Invalid token format' };
+  if (key.alg !== 'HS256') {
+    return { valid: false, error: 'Invalid signature' };
   }
 
-  const [encodedData, signature] = parts;
-
   let data;
   try {
     data = Buffer.from(encodedData, 'base64').toString('utf8');
@@ -79,15 +227,7 @@ function validateSessionToken(token, secret) {
   }
 
   // Verify signature using timing-safe comparison
-  const expectedSignature = crypto.createHmac('sha256', secret)
-    .update(data)
-    .digest('hex');
-
-  const signatureBuffer = Buffer.from(signature, 'hex');
-  const expectedBuffer = Buffer.from(expectedSignature, 'hex');
-
-  if (signatureBuffer.length !== expectedBuffer.length ||
-      !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+  if (!signaturesMatch(signature, sign(data, key.secret, 'hex'), 'hex')) {
     return { valid: false, error: 'Invalid signature' };
   }
 
@@ -106,17 +246,242 @@ function validateSessionToken(token, secret) {
 
   return {
     valid: true,
+    version: 1,
     sessionId,
     timestamp,
+    claims: null,
+    error: null
+  };
+}
+
+/**
+ * Decode the claims of a v2 token without verifying its signature.
+ *
+ * @param {string} encodedPayload - base64url claims segment
+ * @returns {Object|null} Claims, or null if not decodable
+ */
+function decodeClaims(encodedPayload) {
+  try {
+    const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Validate a v2 token (v2.base64url(claims).base64url(signature)).
+ *
+ * @param {Array<string>} parts - Token split on '.'
+ * @param {Object} key - Key { alg, secret, publicKey }
+ * @returns {Object} Validation result (time and audience claims not yet checked)
+ */
+function validateTokenV2(parts, key) {
+  const [, encodedPayload, signature] = parts;
+
+  if (!verifyWithKey(`${TOKEN_V2_PREFIX}.${encodedPayload}`, signature, key)) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  const claims = decodeClaims(encodedPayload);
+  if (!claims || typeof claims.sub !== 'string' || typeof claims.iat !== 'number') {
+    return { valid: false, error: 'Invalid token payload' };
+  }
+
+  return {
+    valid: true,
+    version: 2,
+    sessionId: claims.sub,
+    timestamp: claims.iat * 1000,
+    claims,
     error: null
   };
 }
 
+/**
+ * Verify a token's signature against a secret or keyring.
+ *
+ * With a keyring, v2 tokens carrying a kid are checked against that key
+ * only; other tokens are tried against every active key.
+ *
+ * @param {Array<string>} parts - Token split on '.'
+ * @param {string|Object} secretOrKeyring - Secret or keyring
+ * @param {Function} validate - validateTokenV1 or validateTokenV2
+ * @returns {Object} Validation result
+ */
+function verifyWithKeys(parts, secretOrKeyring, validate) {
+  if (!isKeyring(secretOrKeyring)) {
+    return validate(parts, { alg: 'HS256', secret: secretOrKeyring });
+  }
+
+  const claims = validate === validateTokenV2 ? decodeClaims(parts[1]) : null;
+  if (claims && claims.kid !== undefined) {
+    const key = secretOrKeyring.get(String(claims.kid));
+    if (!key) {
+      return { valid: false, error: 'Unknown or retired signing key' };
+    }
+    return validate(parts, key);
+  }
+
+  let result = { valid: false, error: 'Invalid signature' };
+  for (const key of secretOrKeyring.activeKeys()) {
+    result = validate(parts, key);
+    if (result.valid) {
+      return result;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate a session token's signature and claims.
+ *
+ * Accepts v1 and v2 tokens. For v2 tokens the exp and nbf claims are
+ * always enforced (allowing clockSkewMs of drift) and the aud claim is
+ * checked when options.audience is given. v1 tokens carry no audience, so
+ * they're rejected whenever options.audience is set. Keyrings holding only public
+ * keys (e.g. from createKeyringFromJWKS) can validate but not sign.
+ *
+ * @param {string} token - Session token to validate
+ * @param {string|Object} secretOrKeyring - Secret key used to sign the token, or a keyring
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.audience] - Required audience (demo name); rejects v1 tokens
+ * @param {number} [options.clockSkewMs=0] - Allowed clock drift for exp/nbf
+ * @param {number} [options.maxAgeMs] - Reject tokens issued longer ago than this
+ * @param {boolean} [options.allowV1=true] - Accept legacy v1 tokens
+ * @param {Object} [options.revocationList] - Reject tokens revoked in this list
+ *   (from createRevocationList); with an async store the result is a promise
+ * @param {boolean} [options.singleUse=false] - Consume the token in revocationList so
+ *   it validates only once (e.g. the ttyd handoff token). Tokens without an exp
+ *   claim (all v1 tokens) also need maxAgeMs, which bounds how long the use is
+ *   remembered; without it they're rejected
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object|Promise<Object>} Validation result
+ * @returns {boolean} result.valid - Whether the token is valid
+ * @returns {number} [result.version] - Token format version (if valid)
+ * @returns {string|null} result.sessionId - Extracted session ID (if valid)
+ * @returns {number|null} result.timestamp - Token creation timestamp in ms (if valid)
+ * @returns {Object|null} [result.claims] - v2 claims (null for v1 tokens)
+ * @returns {string|null} result.error - Error message (if invalid)
+ *
+ * @example
+ * const result = validateSessionToken(token, 'my-secret', { audience: 'jira-demo' });
+ * if (result.valid) {
+ *   // Only v2 tokens pass an audience check, so claims is set
+ *   console.log('Session ID:', result.sessionId, 'Scenario:', result.claims.scenario);
+ * }
+ */
+function validateSessionToken(token, secretOrKeyring, options = {}) {
+  const {
+    audience,
+    clockSkewMs = 0,
+    maxAgeMs,
+    allowV1 = true,
+    revocationList,
+    singleUse = false,
+    now = Date.now
+  } = options;
+
+  if (singleUse && !revocationList) {
+    throw new Error('singleUse requires a revocationList');
+  }
+
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Token must be a non-empty string' };
+  }
+  if (!isKeyring(secretOrKeyring) && (!secretOrKeyring || typeof secretOrKeyring !== 'string')) {
+    return { valid: false, error: 'Secret must be a non-empty string' };
+  }
+
+  const parts = token.split('.');
+  let result;
+  if (parts.length === 3 && parts[0] === TOKEN_V2_PREFIX) {
+    result = verifyWithKeys(parts, secretOrKeyring, validateTokenV2);
+  } else if (parts.length === 2) {
+    if (!allowV1) {
+      return { valid: false, error: 'Unsupported token version' };
+    }
+    result = verifyWithKeys(parts, secretOrKeyring, validateTokenV1);
+  } else {
+    return { valid: false, error: 'Invalid token format' };
+  }
+
+  if (!result.valid) {
+    return result;
+  }
+
+  const nowMs = now();
+  const { claims } = result;
+
+  if (claims && typeof claims.exp === 'number' && nowMs > claims.exp * 1000 + clockSkewMs) {
+    return { valid: false, error: 'Token expired' };
+  }
+  if (claims && typeof claims.nbf === 'number' && nowMs < claims.nbf * 1000 - clockSkewMs) {
+    return { valid: false, error: 'Token not yet valid' };
+  }
+  if (audience !== undefined && !(claims && [].concat(claims.aud).includes(audience))) {
+    return { valid: false, error: 'Invalid audience' };
+  }
+  if (maxAgeMs !== undefined && nowMs - result.timestamp > maxAgeMs + clockSkewMs) {
+    return { valid: false, error: 'Token expired' };
+  }
+
+  if (!revocationList) {
+    return result;
+  }
+  if (singleUse) {
+    const expires = claims && typeof claims.exp === 'number';
+    if (!expires && maxAgeMs === undefined) {
+      return { valid: false, error: 'Single-use tokens need an exp claim or maxAgeMs' };
+    }
+    // Without exp, remember the use for as long as maxAgeMs lets the token validate
+    const consumeOptions = expires ? {} : { ttlMs: Math.max(1, result.timestamp + maxAgeMs + clockSkewMs - nowMs) };
+    return whenResolved(revocationList.consume(token, consumeOptions), (firstUse) => (
+      firstUse ? result : { valid: false, error: 'Token revoked or already used' }
+    ));
+  }
+  return whenResolved(revocationList.isRevoked(token), (revoked) => (
+    revoked ? { valid: false, error: 'Token revoked' } : result
+  ));
+}
+
+/**
+ * Extract a token's identifier and expiry without verifying it.
+ *
+ * The identifier is the jti claim for v2 tokens and a SHA-256 hash of the
+ * token otherwise. Only use the result for bookkeeping such as revocation,
+ * never for authorization.
+ *
+ * @param {string} token - Session token
+ * @returns {Object} Token info
+ * @returns {number|null} result.version - Token format version (null if unrecognized)
+ * @returns {string} result.id - Token identifier
+ * @returns {number|null} result.expiresAt - exp claim in milliseconds, if any
+ */
+function inspectSessionToken(token) {
+  const parts = String(token).split('.');
+  const claims = parts.length === 3 && parts[0] === TOKEN_V2_PREFIX ? decodeClaims(parts[1]) : null;
+
+  if (claims && typeof claims.jti === 'string') {
+    return {
+      version: 2,
+      id: claims.jti,
+      expiresAt: typeof claims.exp === 'number' ? claims.exp * 1000 : null
+    };
+  }
+
+  return {
+    version: claims ? 2 : parts.length === 2 ? 1 : null,
+    id: `sha256:${crypto.createHash('sha256').update(String(token)).digest('hex')}`,
+    expiresAt: claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null
+  };
+}
+
 /**
  * Check if a session token has expired.
  *
  * @param {string} token - Session token to check
- * @param {string} secret - Secret key used to sign the token
+ * @param {string|Object} secret - Secret key used to sign the token, or a keyring
  * @param {number} maxAgeMs - Maximum token age in milliseconds
  * @returns {Object} Expiration check result
  * @returns {boolean} result.expired - Whether the token has expired
@@ -142,5 +507,6 @@ function isSessionTokenExpired(token, secret, maxAgeMs) {
 module.exports = {
   generateSessionToken,
   validateSessionToken,
-  isSessionTokenExpired
+  isSessionTokenExpired,
+  inspectSessionToken
 };
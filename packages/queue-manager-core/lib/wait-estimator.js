@@ -0,0 +1,287 @@
+/**
+ * Queue wait-time estimation for demo platform queue managers.
+ *
+ * Keeps a rolling window of recent session durations and queue outcomes
+ * (promoted or abandoned) and turns a queue position into an ETA with a
+ * confidence range. The observations are the same ones behind the
+ * demo_session_duration_seconds histogram, but the estimator keeps its own
+ * window so it also works with the noop metrics backend.
+ */
+
+// Two-sided standard normal quantiles for the supported confidence levels
+const Z_SCORES = new Map([
+  [0.5, 0.674],
+  [0.8, 1.282],
+  [0.9, 1.645],
+  [0.95, 1.96],
+  [0.99, 2.576]
+]);
+
+/**
+ * Fixed-size window of recent values.
+ *
+ * @param {number} capacity - Maximum values kept
+ * @returns {Object} { push(value), values() }
+ */
+function createWindow(capacity) {
+  const values = [];
+  return {
+    push(value) {
+      values.push(value);
+      if (values.length > capacity) {
+        values.shift();
+      }
+    },
+    values: () => values
+  };
+}
+
+/**
+ * Create a wait-time estimator.
+ *
+ * The model: each client ahead takes a slot unless they leave first (the
+ * rolling early-exit rate), a slot frees up when its session ends (the
+ * expected remaining time of each active session, given how long it has
+ * already run) and every later session lasts the rolling mean duration.
+ * The range combines the spread of session durations with the uncertainty
+ * in how many clients ahead will leave.
+ *
+ * Until minSamples sessions have ended, defaultSessionMs stands in for the
+ * observed durations.
+ *
+ * @param {Object} [options] - Estimator options
+ * @param {number} [options.slots=1] - Concurrent sessions the demo can run
+ * @param {number} [options.windowSize=50] - Recent sessions and queue exits kept
+ * @param {number} [options.minSamples=3] - Sessions needed before durations are trusted
+ * @param {number} [options.defaultSessionMs=1800000] - Assumed session length until then
+ * @param {number} [options.confidence=0.8] - Coverage of the range: 0.5, 0.8, 0.9, 0.95 or 0.99
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Estimator instance
+ *
+ * @example
+ * const estimator = createWaitEstimator({ defaultSessionMs: config.SESSION_TIMEOUT_MINUTES * 60 * 1000 });
+ * const queue = createQueue({ maxSize: config.MAX_QUEUE_SIZE, estimator });
+ *
+ * queue.on('position-changed', ({ data, position, eta }) => {
+ *   data.ws.send(JSON.stringify({ type: 'queue-position', position, eta }));
+ * });
+ * queue.on('promoted', ({ id }) => estimator.sessionStarted(id));
+ * // When the session ends
+ * estimator.sessionEnded(sessionId);
+ */
+function createWaitEstimator(options = {}) {
+  const {
+    slots = 1,
+    windowSize = 50,
+    minSamples = 3,
+    defaultSessionMs = 1800000,
+    confidence = 0.8,
+    now = Date.now
+  } = options;
+
+  if (!Number.isInteger(slots) || slots < 1) {
+    throw new Error('slots must be a positive integer');
+  }
+  if (!Number.isInteger(windowSize) || windowSize < 1) {
+    throw new Error('windowSize must be a positive integer');
+  }
+  if (!(defaultSessionMs > 0)) {
+    throw new Error('defaultSessionMs must be a positive number');
+  }
+  if (!Z_SCORES.has(confidence)) {
+    throw new Error(`Unsupported confidence: ${confidence}`);
+  }
+  const z = Z_SCORES.get(confidence);
+
+  const durations = createWindow(windowSize);
+  // true for abandoned, false for promoted
+  const exits = createWindow(windowSize);
+  // Map: session id -> start time
+  const activeSessions = new Map();
+
+  /**
+   * Record a finished session's duration (e.g. to seed from history).
+   *
+   * @param {number} durationMs - Session duration
+   */
+  function recordSession(durationMs) {
+    if (!(durationMs >= 0)) {
+      throw new Error('durationMs must be a non-negative number');
+    }
+    durations.push(durationMs);
+  }
+
+  /**
+   * Record how a client left the queue.
+   *
+   * @param {string} outcome - 'promoted' or 'abandoned'
+   */
+  function recordQueueExit(outcome) {
+    if (outcome !== 'promoted' && outcome !== 'abandoned') {
+      throw new Error(`Unknown queue exit: ${outcome}`);
+    }
+    exits.push(outcome === 'abandoned');
+  }
+
+  /**
+   * Mark a session as running.
+   *
+   * @param {string} id - Session identifier
+   * @param {number} [startedAt=now()] - Start time (ms)
+   */
+  function sessionStarted(id, startedAt = now()) {
+    activeSessions.set(id, startedAt);
+  }
+
+  /**
+   * Mark a session as ended and record its duration.
+   *
+   * @param {string} id - Session identifier
+   * @returns {number|null} Duration in milliseconds, or null for an unknown session
+   */
+  function sessionEnded(id) {
+    if (!activeSessions.has(id)) {
+      return null;
+    }
+    const durationMs = Math.max(now() - activeSessions.get(id), 0);
+    activeSessions.delete(id);
+    recordSession(durationMs);
+    return durationMs;
+  }
+
+  /**
+   * Session duration model.
+   *
+   * @returns {Object} { samples, meanMs, stdDevMs, observed }
+   */
+  function sessionModel() {
+    const samples = durations.values();
+    if (samples.length < minSamples) {
+      // Without data assume sessions vary by half their length
+      return { samples, meanMs: defaultSessionMs, stdDevMs: defaultSessionMs / 2, observed: false };
+    }
+    const meanMs = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const variance = samples.reduce((sum, value) => sum + (value - meanMs) ** 2, 0) / samples.length;
+    return { samples, meanMs, stdDevMs: Math.sqrt(variance), observed: true };
+  }
+
+  /**
+   * Remaining time of a session that has run for elapsedMs.
+   *
+   * @param {Object} model - Session duration model
+   * @param {number} elapsedMs - Time the session has been running
+   * @returns {Object} { meanMs, varianceMs } of the remaining milliseconds
+   */
+  function remaining(model, elapsedMs) {
+    if (!model.observed) {
+      return { meanMs: Math.max(model.meanMs - elapsedMs, 0), varianceMs: model.stdDevMs ** 2 };
+    }
+    // Only past sessions that lasted at least this long say anything about this one
+    const longer = model.samples.filter((value) => value > elapsedMs).map((value) => value - elapsedMs);
+    if (longer.length === 0) {
+      return { meanMs: 0, varianceMs: 0 };
+    }
+    const meanMs = longer.reduce((sum, value) => sum + value, 0) / longer.length;
+    const varianceMs = longer.reduce((sum, value) => sum + (value - meanMs) ** 2, 0) / longer.length;
+    return { meanMs, varianceMs };
+  }
+
+  /**
+   * Fraction of recent queue exits that were abandonments.
+   *
+   * @returns {number} Early-exit rate between 0 and 1
+   */
+  function abandonRate() {
+    const values = exits.values();
+    return values.length === 0 ? 0 : values.filter(Boolean).length / values.length;
+  }
+
+  /**
+   * Estimate the wait for a queue position.
+   *
+   * @param {number} position - 1-based queue position
+   * @returns {Object} { etaMs, lowMs, highMs, confidence }, in whole milliseconds
+   */
+  function estimate(position) {
+    if (!Number.isInteger(position) || position < 1) {
+      throw new Error('position must be a positive integer');
+    }
+
+    const model = sessionModel();
+    const rate = abandonRate();
+    const currentTime = now();
+
+    // Clients ahead that are expected to take a slot, and its variance
+    const ahead = (position - 1) * (1 - rate);
+    const aheadVariance = (position - 1) * rate * (1 - rate);
+
+    // Time until each slot frees up; idle slots go to the clients ahead first
+    const residuals = Array.from(activeSessions.values(), (startedAt) => remaining(model, currentTime - startedAt))
+      .slice(0, slots);
+    const idleSlots = slots - residuals.length;
+
+    // Session ends needed before a slot is free for this client
+    const needed = ahead - idleSlots + 1;
+    if (needed <= 0) {
+      return { etaMs: 0, lowMs: 0, highMs: 0, confidence };
+    }
+    while (residuals.length < slots) {
+      residuals.push({ meanMs: model.meanMs, varianceMs: model.stdDevMs ** 2 });
+    }
+    residuals.sort((a, b) => a.meanMs - b.meanMs);
+
+    let etaMs;
+    let variance = aheadVariance * (model.meanMs / slots) ** 2;
+    if (needed <= slots) {
+      const slot = residuals[Math.ceil(needed) - 1];
+      etaMs = slot.meanMs;
+      variance += slot.varianceMs;
+    } else {
+      // Busy slots, then one slot freeing every meanMs / slots on average
+      const fullSessions = needed - slots;
+      etaMs = fullSessions * model.meanMs / slots;
+      for (const slot of residuals) {
+        etaMs += slot.meanMs / slots;
+        variance += slot.varianceMs / slots ** 2;
+      }
+      variance += fullSessions * (model.stdDevMs / slots) ** 2;
+    }
+
+    const spread = z * Math.sqrt(variance);
+    return {
+      etaMs: Math.round(etaMs),
+      lowMs: Math.round(Math.max(etaMs - spread, 0)),
+      highMs: Math.round(etaMs + spread),
+      confidence
+    };
+  }
+
+  /**
+   * Current model inputs (e.g. for a status endpoint).
+   *
+   * @returns {Object} { sessions, meanSessionMs, stdDevSessionMs, abandonRate, activeSessions }
+   */
+  function stats() {
+    const model = sessionModel();
+    return {
+      sessions: model.samples.length,
+      meanSessionMs: Math.round(model.meanMs),
+      stdDevSessionMs: Math.round(model.stdDevMs),
+      abandonRate: abandonRate(),
+      activeSessions: activeSessions.size
+    };
+  }
+
+  return {
+    recordSession,
+    recordQueueExit,
+    sessionStarted,
+    sessionEnded,
+    estimate,
+    stats
+  };
+}
+
+module.exports = {
+  createWaitEstimator
+};
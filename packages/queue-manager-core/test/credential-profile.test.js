@@ -0,0 +1,122 @@
+/**
+ * Tests for credential profiles.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createCredentialProfile, CredentialProfileError } = require('../lib/credential-profile');
+const { createEnvFileManager } = require('../lib/env-file');
+const { parseEnvFile } = require('../lib/dotenv');
+
+const schema = {
+  variables: {
+    GITHUB_TOKEN: { required: true },
+    GITHUB_ORG: { default: 'demo-org' },
+    CLAUDE_CODE_OAUTH_TOKEN: {},
+    ANTHROPIC_API_KEY: { from: 'API_KEY' },
+    SESSION_ID: ({ sessionId }) => sessionId,
+    DEMO_NAME: 'github-demo'
+  },
+  scenarios: {
+    'pull-requests': { GITHUB_REPO: 'demo-prs', DEMO_NAME: null },
+    'read-only': { GITHUB_TOKEN: { from: 'GITHUB_READONLY_TOKEN', required: true } }
+  }
+};
+
+describe('createCredentialProfile', () => {
+  it('renders sources, defaults, literals and derived values', () => {
+    const profile = createCredentialProfile(schema, { source: { GITHUB_TOKEN: 'ghp', API_KEY: 'sk', CLAUDE_CODE_OAUTH_TOKEN: '' } });
+
+    assert.deepStrictEqual(profile.render({ sessionId: 'abc' }), {
+      GITHUB_TOKEN: 'ghp',
+      GITHUB_ORG: 'demo-org',
+      ANTHROPIC_API_KEY: 'sk',
+      SESSION_ID: 'abc',
+      DEMO_NAME: 'github-demo'
+    });
+  });
+
+  it('applies scenario overrides', () => {
+    const profile = createCredentialProfile(schema, {
+      source: { GITHUB_TOKEN: 'ghp', GITHUB_READONLY_TOKEN: 'ghp-ro' }
+    });
+
+    const prs = profile.render({ sessionId: 'abc', scenario: 'pull-requests' });
+    assert.strictEqual(prs.GITHUB_REPO, 'demo-prs');
+    assert.strictEqual(prs.DEMO_NAME, undefined);
+    assert.strictEqual(profile.render({ sessionId: 'abc', scenario: 'read-only' }).GITHUB_TOKEN, 'ghp-ro');
+    assert.deepStrictEqual(profile.variableNames('pull-requests'), [
+      'GITHUB_TOKEN', 'GITHUB_ORG', 'CLAUDE_CODE_OAUTH_TOKEN', 'ANTHROPIC_API_KEY', 'SESSION_ID', 'GITHUB_REPO'
+    ]);
+  });
+
+  it('fails fast on missing required values before deriving', () => {
+    let minted = 0;
+    const profile = createCredentialProfile({
+      variables: {
+        GITHUB_TOKEN: { required: true },
+        OTHER_SECRET: { required: true },
+        SESSION_TOKEN: () => `token-${++minted}`
+      }
+    }, { source: {} });
+
+    assert.throws(() => profile.render({ sessionId: 'abc' }), (err) => (
+      err instanceof CredentialProfileError &&
+      err.code === 'MISSING_REQUIRED' &&
+      err.missing.join() === 'GITHUB_TOKEN,OTHER_SECRET'
+    ));
+    assert.strictEqual(minted, 0);
+  });
+
+  it('validates every scenario up front', () => {
+    const profile = createCredentialProfile(schema, { source: { GITHUB_TOKEN: 'ghp' } });
+    assert.throws(() => profile.validate(), {
+      code: 'MISSING_REQUIRED',
+      missing: ['GITHUB_TOKEN (scenario read-only)']
+    });
+  });
+
+  it('rejects invalid schemas and unknown scenarios in strict mode', () => {
+    assert.throws(() => createCredentialProfile({ variables: { 'BAD-NAME': {} } }), /Invalid env variable name/);
+    assert.throws(() => createCredentialProfile({ variables: { A: { from: 'X', value: 'y' } } }), /only use one of/);
+
+    const profile = createCredentialProfile(schema, { source: { GITHUB_TOKEN: 'ghp' }, strictScenarios: true });
+    assert.throws(() => profile.render({ sessionId: 'abc', scenario: 'nope' }), { code: 'UNKNOWN_SCENARIO' });
+  });
+
+  it('is rendered by the env file manager', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-test-'));
+    try {
+      assert.throws(() => createEnvFileManager({
+        containerPath: dir,
+        hostPath: '/host/env',
+        profile: createCredentialProfile(schema, { source: {} })
+      }), CredentialProfileError);
+
+      const manager = createEnvFileManager({
+        containerPath: dir,
+        hostPath: '/host/env',
+        profile: createCredentialProfile({
+          variables: {
+            TOKEN: { required: true },
+            SESSION_ID: ({ sessionId }) => sessionId,
+            INVITE: ({ invite }) => invite
+          }
+        }, { source: { TOKEN: 'secret' } })
+      });
+
+      const envFile = manager.createFromProfile('abc', { context: { invite: 'inv-1' } });
+      assert.deepStrictEqual(parseEnvFile(fs.readFileSync(envFile.containerPath, 'utf8')), {
+        TOKEN: 'secret',
+        SESSION_ID: 'abc',
+        INVITE: 'inv-1'
+      });
+      manager.close({ cleanup: true });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * Tests for session env file management.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createSessionEnvFile, createEnvFileManager } = require('../lib/env-file');
+const { openSealedEnv, toShellExports } = require('../lib/env-file-decrypt');
+const { EnvFileError, serializeEnvFile, parseEnvFile } = require('../lib/dotenv');
+
+let dir;
+
+/**
+ * Read the manifest a manager wrote into dir.
+ *
+ * @returns {Object} Parsed manifest
+ */
+function readManifest() {
+  const [filename] = fs.readdirSync(dir).filter((name) => /^\.session-env-manifest-[0-9a-f]+\.json$/.test(name));
+  return JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf8'));
+}
+
+/**
+ * Backdate a file's modification time.
+ *
+ * @param {string} filename - File in dir
+ * @param {number} ageMs - How long ago it was last modified
+ */
+function age(filename, ageMs) {
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(path.join(dir, filename), time, time);
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-file-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createSessionEnvFile', () => {
+  it('writes a 0600 plaintext env file and removes it on cleanup', () => {
+    const envFile = createSessionEnvFile({
+      sessionId: 'abc',
+      containerPath: dir,
+      hostPath: '/host/env',
+      credentials: { API_TOKEN: 'secret', EMPTY: '' }
+    });
+
+    assert.strictEqual(envFile.hostPath, '/host/env/session-abc.env');
+    assert.strictEqual(envFile.encrypted, false);
+    assert.strictEqual(fs.readFileSync(envFile.containerPath, 'utf8'), 'API_TOKEN=secret\n');
+    assert.strictEqual(fs.statSync(envFile.containerPath).mode & 0o777, 0o600);
+
+    envFile.cleanup();
+    assert.strictEqual(fs.existsSync(envFile.containerPath), false);
+    envFile.cleanup();
+  });
+});
+
+describe('encrypted env files', () => {
+  it('seals credentials with a per-session key', () => {
+    const options = { containerPath: dir, hostPath: '/host/env', credentials: { API_TOKEN: 'secret' }, encrypt: true };
+    const first = createSessionEnvFile({ ...options, sessionId: 'a' });
+    const second = createSessionEnvFile({ ...options, sessionId: 'b' });
+
+    const sealed = fs.readFileSync(first.containerPath, 'utf8');
+    assert.strictEqual(first.containerPath, path.join(dir, 'session-a.env.enc'));
+    assert.doesNotMatch(sealed, /secret/);
+    assert.notStrictEqual(first.key, second.key);
+    assert.strictEqual(openSealedEnv(sealed, first.key), 'API_TOKEN=secret\n');
+    assert.throws(() => openSealedEnv(sealed, second.key), /wrong key or tampered/);
+  });
+
+  it('installs a decrypt helper that prints shell exports', () => {
+    const envFile = createSessionEnvFile({
+      sessionId: 'abc',
+      containerPath: dir,
+      hostPath: '/host/env',
+      credentials: { API_TOKEN: "it's secret" },
+      encrypt: true
+    });
+
+    assert.strictEqual(envFile.helperHostPath, '/host/env/decrypt-session-env.js');
+    const output = execFileSync(process.execPath, [envFile.helperContainerPath, envFile.containerPath], {
+      env: { SESSION_ENV_KEY: envFile.key },
+      encoding: 'utf8'
+    });
+    assert.strictEqual(output, "export API_TOKEN='it'\\''s secret'\n");
+    assert.strictEqual(output, toShellExports("API_TOKEN=it's secret\n"));
+  });
+
+  it('reads the data key from stdin or a key file', () => {
+    const envFile = createSessionEnvFile({ sessionId: 'abc', containerPath: dir, hostPath: '/host/env', credentials: { TOKEN: 'x' }, encrypt: true });
+    const decrypt = (env, input) => execFileSync(process.execPath, [envFile.helperContainerPath, envFile.containerPath], {
+      env,
+      input,
+      encoding: 'utf8'
+    });
+
+    assert.strictEqual(decrypt({ SESSION_ENV_KEY_FILE: '/dev/stdin' }, `${envFile.key}\n`), "export TOKEN='x'\n");
+
+    const keyPath = path.join(dir, 'session-abc.key');
+    fs.writeFileSync(keyPath, envFile.key, { mode: 0o600 });
+    // The key file wins over the environment
+    assert.strictEqual(decrypt({ SESSION_ENV_KEY_FILE: keyPath, SESSION_ENV_KEY: 'wrong' }), "export TOKEN='x'\n");
+  });
+
+  it('is the manager default when configured', () => {
+    const manager = createEnvFileManager({ containerPath: dir, hostPath: '/host/env', encrypt: true });
+    const envFile = manager.create('abc', { API_TOKEN: 'secret' });
+
+    assert.strictEqual(envFile.encrypted, true);
+    manager.close({ cleanup: true });
+    assert.deepStrictEqual(fs.readdirSync(dir), ['decrypt-session-env.js']);
+  });
+});
+
+describe('env file serialization', () => {
+  it('round-trips values Docker takes verbatim', () => {
+    const credentials = {
+      HASH: 'pa#ss',
+      QUOTED: '"double" and \'single\'',
+      SPACED: '  leading and trailing  ',
+      EQUALS: 'a=b==c',
+      BACKSLASH: 'C:\\path\\n',
+      UNICODE: 'snowman \u2603 \u{1F600}',
+      _lower_9: 42
+    };
+
+    assert.deepStrictEqual(parseEnvFile(serializeEnvFile(credentials)), { ...credentials, _lower_9: '42' });
+  });
+
+  it('rejects values and keys that cannot be represented', () => {
+    const cases = [
+      [{ 'BAD-KEY': 'x' }, 'INVALID_KEY'],
+      [{ '1ABC': 'x' }, 'INVALID_KEY'],
+      [{ 'A B': 'x' }, 'INVALID_KEY'],
+      [{ INJECT: 'x\nEVIL=1' }, 'INVALID_VALUE'],
+      [{ CR: 'x\ry' }, 'INVALID_VALUE'],
+      [{ NUL: 'x\0y' }, 'INVALID_VALUE'],
+      [{ SURROGATE: 'x\uD800' }, 'INVALID_VALUE'],
+      [{ OBJECT: { nested: true } }, 'INVALID_VALUE'],
+      [{ HUGE: 'x'.repeat(70000) }, 'LINE_TOO_LONG']
+    ];
+
+    for (const [credentials, code] of cases) {
+      assert.throws(() => serializeEnvFile(credentials), (err) => (
+        err instanceof EnvFileError && err.code === code && err.key === Object.keys(credentials)[0]
+      ), code);
+    }
+  });
+
+  it('parses comments, blank lines and CRLF like Docker', () => {
+    assert.deepStrictEqual(parseEnvFile('\uFEFF# comment\r\n\n   KEY=value\r\nOTHER=\n'), { KEY: 'value', OTHER: '' });
+    assert.throws(() => parseEnvFile('NO_VALUE\n'), { code: 'PARSE_ERROR' });
+  });
+
+  it('leaves no file behind for invalid credentials', () => {
+    assert.throws(() => createSessionEnvFile({
+      sessionId: 'abc',
+      containerPath: dir,
+      hostPath: '/host/env',
+      credentials: { TOKEN: 'a\nb' }
+    }), EnvFileError);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+});
+
+describe('createEnvFileManager', () => {
+  it('records tracked files in a manifest', () => {
+    const manager = createEnvFileManager({ containerPath: dir, hostPath: '/host/env', now: () => 1000, ttlMs: 500 });
+    manager.create('abc', { TOKEN: 'x' });
+
+    const manifest = readManifest();
+    assert.deepStrictEqual(manifest.files, { abc: { filename: 'session-abc.env', createdAt: 1000, expiresAt: 1500 } });
+    assert.deepStrictEqual([manifest.owner.hostname, manifest.owner.pid], [os.hostname(), process.pid]);
+    assert.deepStrictEqual([manifest.heartbeatAt, manifest.staleAt], [1000, 301000]);
+
+    manager.cleanup('abc');
+    assert.deepStrictEqual(readManifest().files, {});
+    manager.close();
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  it('sweeps files left behind by a crashed process on startup', () => {
+    const crashed = createEnvFileManager({ containerPath: dir, hostPath: '/host/env', now: () => 1000 });
+    crashed.create('live', { TOKEN: 'x' });
+    crashed.close();
+    fs.writeFileSync(path.join(dir, 'session-stray.env.enc'), 'qmenc1:...');
+    age('session-stray.env.enc', 2 * 60 * 60 * 1000);
+    fs.writeFileSync(path.join(dir, 'session-recent.env'), 'TOKEN=x');
+    fs.writeFileSync(path.join(dir, 'unrelated.txt'), 'keep');
+
+    const orphans = [];
+    const manager = createEnvFileManager({
+      containerPath: dir,
+      hostPath: '/host/env',
+      onOrphan: (info) => orphans.push(info)
+    });
+
+    assert.deepStrictEqual(orphans.map(({ sessionId, reason, createdAt }) => ({ sessionId, reason, createdAt })).sort(
+      (a, b) => a.sessionId.localeCompare(b.sessionId)
+    ), [
+      { sessionId: 'live', reason: 'crashed', createdAt: 1000 },
+      { sessionId: 'stray', reason: 'unknown', createdAt: null }
+    ]);
+    // Unlisted but younger than ttlMs: it may belong to a session that is still starting
+    assert.deepStrictEqual(fs.readdirSync(dir).filter((name) => !name.startsWith('.')).sort(), ['session-recent.env', 'unrelated.txt']);
+    manager.close();
+  });
+
+  it('leaves files of live managers sharing the directory alone', () => {
+    const writeManifest = (filename, manifest) => fs.writeFileSync(path.join(dir, filename), JSON.stringify(manifest));
+    const listing = (sessionId, expiresAt) => ({ [sessionId]: { filename: `session-${sessionId}.env`, createdAt: 0, expiresAt } });
+    for (const sessionId of ['running', 'expired', 'stale', 'legacy']) {
+      fs.writeFileSync(path.join(dir, `session-${sessionId}.env`), 'TOKEN=x');
+    }
+    // The old container during a rolling deploy, one that died and one from an older version
+    writeManifest('.session-env-manifest-0a.json', {
+      version: 2,
+      owner: { hostname: 'old-container', pid: 1, instance: '0a' },
+      heartbeatAt: 9000,
+      staleAt: 309000,
+      files: { ...listing('running', null), ...listing('expired', 5000) }
+    });
+    writeManifest('.session-env-manifest-0b.json', {
+      version: 2,
+      owner: { hostname: 'dead-container', pid: 1, instance: '0b' },
+      heartbeatAt: 0,
+      staleAt: 5000,
+      files: listing('stale', null)
+    });
+    writeManifest('.session-env-manifest.json', { version: 1, pid: 1, files: listing('legacy', 20000) });
+
+    const orphans = [];
+    const manager = createEnvFileManager({ containerPath: dir, hostPath: '/host/env', now: () => 10000, onOrphan: (info) => orphans.push(info) });
+
+    assert.deepStrictEqual(orphans.map(({ sessionId, reason }) => [sessionId, reason]).sort(), [['expired', 'expired'], ['stale', 'crashed']]);
+    const remaining = fs.readdirSync(dir).sort();
+    assert.ok(remaining.includes('session-running.env'));
+    assert.ok(remaining.includes('session-legacy.env'));
+    assert.ok(remaining.includes('.session-env-manifest-0a.json'));
+    assert.ok(!remaining.includes('.session-env-manifest-0b.json'));
+    manager.close();
+  });
+
+  it('reaps expired files and reports lifecycle hooks', () => {
+    let now = 0;
+    const events = [];
+    const manager = createEnvFileManager({
+      containerPath: dir,
+      hostPath: '/host/env',
+      ttlMs: 1000,
+      reapIntervalMs: 0,
+      now: () => now,
+      onCreate: ({ sessionId }) => events.push(['create', sessionId]),
+      onCleanup: ({ sessionId, reason }) => events.push([reason, sessionId])
+    });
+
+    manager.create('short', { TOKEN: 'x' });
+    manager.create('long', { TOKEN: 'x' }, { ttlMs: 5000 });
+    manager.create('long', { TOKEN: 'y' }, { ttlMs: 5000 });
+
+    now = 1000;
+    assert.deepStrictEqual(manager.reap(), ['short']);
+    assert.strictEqual(manager.size(), 1);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'session-short.env')), false);
+
+    manager.close({ cleanup: true });
+    assert.deepStrictEqual(events, [
+      ['create', 'short'],
+      ['create', 'long'],
+      ['replaced', 'long'],
+      ['create', 'long'],
+      ['expired', 'short'],
+      ['shutdown', 'long']
+    ]);
+  });
+
+  it('keeps working when a hook throws', () => {
+    const manager = createEnvFileManager({
+      containerPath: dir,
+      hostPath: '/host/env',
+      onCreate: () => { throw new Error('boom'); }
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.ok(manager.create('abc', { TOKEN: 'x' }));
+    } finally {
+      console.error = originalError;
+    }
+    manager.close({ cleanup: true });
+  });
+});
+
+describe('env file write safety', () => {
+  const options = () => ({ containerPath: dir, hostPath: '/host/env', credentials: { TOKEN: 'secret' } });
+
+  it('rejects session IDs that could escape the directory', () => {
+    for (const sessionId of ['../etc/passwd', 'a/b', 'a\\b', '.hidden', '..', 'a\0b', 'x'.repeat(129)]) {
+      assert.throws(() => createSessionEnvFile({ ...options(), sessionId }), /sessionId must be/, sessionId);
+    }
+    assert.ok(createSessionEnvFile({ ...options(), sessionId: '3f2b6c1e-9d4a-4c1b-8e57-0a1b2c3d4e5f' }));
+  });
+
+  it('replaces a planted symlink instead of writing through it', () => {
+    const target = path.join(dir, 'victim');
+    fs.writeFileSync(target, 'untouched');
+    fs.symlinkSync(target, path.join(dir, 'session-abc.env'));
+
+    const envFile = createSessionEnvFile({ ...options(), sessionId: 'abc' });
+    assert.strictEqual(fs.lstatSync(envFile.containerPath).isSymbolicLink(), false);
+    assert.strictEqual(fs.readFileSync(envFile.containerPath, 'utf8'), 'TOKEN=secret\n');
+    assert.strictEqual(fs.readFileSync(target, 'utf8'), 'untouched');
+    assert.deepStrictEqual(fs.readdirSync(dir).filter((name) => name.endsWith('.tmp')), []);
+  });
+
+  it('does not overwrite a symlink target on cleanup', () => {
+    const envFile = createSessionEnvFile({ ...options(), sessionId: 'abc' });
+    const target = path.join(dir, 'victim');
+    fs.writeFileSync(target, 'untouched');
+    fs.rmSync(envFile.containerPath);
+    fs.symlinkSync(target, envFile.containerPath);
+
+    envFile.cleanup();
+    assert.strictEqual(fs.existsSync(envFile.containerPath), false);
+    assert.strictEqual(fs.readFileSync(target, 'utf8'), 'untouched');
+  });
+
+  it('refuses directories others can write to', () => {
+    fs.chmodSync(dir, 0o777);
+    assert.throws(() => createSessionEnvFile({ ...options(), sessionId: 'abc' }), /writable by group or others/);
+    fs.chmodSync(dir, 0o700);
+  });
+
+  it('replaces a planted decrypt helper', () => {
+    fs.writeFileSync(path.join(dir, 'decrypt-session-env.js'), 'evil()');
+    const envFile = createSessionEnvFile({ ...options(), sessionId: 'abc', encrypt: true });
+    assert.doesNotMatch(fs.readFileSync(envFile.helperContainerPath, 'utf8'), /evil/);
+  });
+
+  it('sweeps temp files from interrupted writes', () => {
+    fs.writeFileSync(path.join(dir, '.session-abc.env.0a1b2c.tmp'), 'TOKEN=sec');
+    age('.session-abc.env.0a1b2c.tmp', 2 * 60 * 1000);
+    // Possibly another manager's write in progress
+    fs.writeFileSync(path.join(dir, '.session-def.env.3d4e5f.tmp'), 'TOKEN=sec');
+    const orphans = [];
+    const manager = createEnvFileManager({ ...options(), onOrphan: (info) => orphans.push(info) });
+
+    assert.deepStrictEqual(orphans.map(({ sessionId, reason }) => ({ sessionId, reason })), [
+      { sessionId: 'abc', reason: 'partial' }
+    ]);
+    assert.strictEqual(fs.existsSync(path.join(dir, '.session-def.env.3d4e5f.tmp')), true);
+    manager.close();
+  });
+});
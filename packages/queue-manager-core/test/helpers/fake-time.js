@@ -0,0 +1,111 @@
+/**
+ * Fake time for tests of timer-driven modules.
+ *
+ * Replaces setTimeout and setInterval for one test and hands out a clock to
+ * pass as the module's `now` option. node:test's mock.timers isn't used: it
+ * can only leave setImmediate and Date alone from Node 20.11, and on Node 18
+ * (which the package supports) its timers have no unref(), clearTimeout
+ * cancels the wrong timer and intervals fire on every tick once due.
+ */
+
+// Node runs delays outside 1..TIMEOUT_MAX after 1ms
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+/**
+ * Let pending promise callbacks run (setImmediate isn't faked).
+ *
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Fake timers and a clock for a test; both are restored when it ends.
+ *
+ * Time advances one millisecond per step so promise callbacks (lease
+ * renewals, cleanup, acquire polling) get to run between timers.
+ *
+ * @param {Object} t - Test context
+ * @returns {Object} { now(), advance(ms) }; pass now as the clock option
+ *
+ * @example
+ * const time = useFakeTime(t);
+ * const lock = createReconnectionLock({ mode: 'async', maxHoldMs: 20, now: time.now });
+ * await time.advance(20);
+ */
+function useFakeTime(t) {
+  let current = 0;
+  let scheduled = 0;
+  // Map: handle -> { at, seq, intervalMs, fn, args }
+  const timers = new Map();
+
+  /**
+   * Schedule a fake timer.
+   *
+   * @param {Function} fn - Callback
+   * @param {number} delay - Delay in milliseconds
+   * @param {Array} args - Callback arguments
+   * @param {boolean} repeat - Whether the timer is an interval
+   * @returns {Object} Timer handle
+   */
+  function schedule(fn, delay, args, repeat) {
+    const delayMs = delay >= 1 && delay <= TIMEOUT_MAX ? delay : 1;
+    const handle = {
+      ref() { return this; },
+      unref() { return this; },
+      hasRef: () => false
+    };
+    timers.set(handle, { at: current + delayMs, seq: scheduled++, intervalMs: repeat ? delayMs : null, fn, args });
+    return handle;
+  }
+
+  /**
+   * Run the timers due at the current time, earliest first.
+   */
+  function runDue() {
+    for (;;) {
+      let next = null;
+      for (const [handle, timer] of timers) {
+        if (timer.at <= current && (!next || timer.at < next[1].at || (timer.at === next[1].at && timer.seq < next[1].seq))) {
+          next = [handle, timer];
+        }
+      }
+      if (!next) {
+        return;
+      }
+      const [handle, timer] = next;
+      if (timer.intervalMs === null) {
+        timers.delete(handle);
+      } else {
+        timer.at += timer.intervalMs;
+        timer.seq = scheduled++;
+      }
+      timer.fn(...timer.args);
+    }
+  }
+
+  const clear = (handle) => {
+    timers.delete(handle);
+  };
+  t.mock.method(globalThis, 'setTimeout', (fn, delay, ...args) => schedule(fn, delay, args, false));
+  t.mock.method(globalThis, 'setInterval', (fn, delay, ...args) => schedule(fn, delay, args, true));
+  t.mock.method(globalThis, 'clearTimeout', clear);
+  t.mock.method(globalThis, 'clearInterval', clear);
+
+  return {
+    now: () => current,
+    async advance(ms) {
+      for (let i = 0; i < ms; i++) {
+        await flush();
+        current += 1;
+        runDue();
+      }
+      await flush();
+    }
+  };
+}
+
+module.exports = {
+  useFakeTime
+};
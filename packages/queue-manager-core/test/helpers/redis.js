@@ -0,0 +1,101 @@
+/**
+ * Real Redis for tests of the Lua scripts.
+ *
+ * The fake client from createFakeRedis runs each script's JavaScript twin,
+ * so only a real server runs the Lua. Suites declared with describeRedis
+ * connect to REDIS_URL (default redis://127.0.0.1:6379) and are skipped when
+ * nothing answers there; CI runs a Redis service container.
+ */
+
+const crypto = require('node:crypto');
+const { describe, it, after } = require('node:test');
+const Redis = require('ioredis');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+/**
+ * Connect to the test Redis.
+ *
+ * @returns {Promise<Object|null>} ioredis client, or null if Redis isn't reachable
+ */
+async function connectRedis() {
+  const client = new Redis(REDIS_URL, {
+    lazyConnect: true,
+    connectTimeout: 1000,
+    maxRetriesPerRequest: 0,
+    retryStrategy: () => null
+  });
+  // Reported through connect() below
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    return client;
+  } catch (_err) {
+    client.disconnect();
+    return null;
+  }
+}
+
+/**
+ * Delete the keys under a prefix.
+ *
+ * @param {Object} client - ioredis client
+ * @param {string} prefix - Key prefix
+ */
+async function deleteKeys(client, prefix) {
+  let cursor = '0';
+  do {
+    const [next, keys] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+    if (keys.length > 0) {
+      await client.del(...keys);
+    }
+    cursor = next;
+  } while (cursor !== '0');
+}
+
+/**
+ * Declare a suite that runs against a real Redis.
+ *
+ * fn receives { client, prefix(name) }; prefix returns a key prefix unique to
+ * this run, and every key under it is deleted after the suite.
+ *
+ * @param {string} name - Suite name
+ * @param {Function} fn - Declares the suite's tests
+ *
+ * @example
+ * describeRedis('with a real Redis store', (redis) => {
+ *   it('...', async () => {
+ *     const store = createRedisRateLimitStore(redis.client, { prefix: redis.prefix('ratelimit') });
+ *   });
+ * });
+ */
+function describeRedis(name, fn) {
+  describe(name, async () => {
+    const client = await connectRedis();
+    if (!client) {
+      it('runs against Redis', { skip: `no Redis at ${REDIS_URL}` }, () => {});
+      return;
+    }
+
+    const prefixes = [];
+    after(async () => {
+      for (const prefix of prefixes) {
+        await deleteKeys(client, prefix);
+      }
+      client.disconnect();
+    });
+
+    fn({
+      client,
+      prefix(keyName) {
+        const prefix = `test:${keyName}:${crypto.randomUUID()}:`;
+        prefixes.push(prefix);
+        return prefix;
+      }
+    });
+  });
+}
+
+module.exports = {
+  describeRedis
+};
@@ -0,0 +1,216 @@
+/**
+ * Tests for the Redis-backed invite store.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createInviteStore, generateInviteToken } = require('../lib/invites');
+const { createFakeRedis } = require('../lib/redis');
+const { createInviteRateLimiter } = require('../lib/rate-limit');
+const { createMetrics } = require('../lib/metrics');
+const { describeRedis } = require('./helpers/redis');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Create an invite store on a fake Redis with a controllable clock.
+ *
+ * @param {Object} [options] - Extra createInviteStore options
+ * @returns {Object} { invites, redis, clock } where clock.now can be advanced
+ */
+function createTestStore(options = {}) {
+  const clock = { now: Date.parse('2026-03-02T12:00:00Z') };
+  const redis = createFakeRedis({ now: () => clock.now });
+  const invites = createInviteStore(redis, { now: () => clock.now, ...options });
+  return { invites, redis, clock };
+}
+
+describe('createInviteStore', () => {
+  it('creates invites in the invites.mk schema', async () => {
+    const { invites, redis } = createTestStore();
+    const invite = await invites.create({ label: 'Acme', priority: 'customer' });
+
+    assert.match(invite.token, /^[A-Za-z0-9]{32}$/);
+    assert.deepStrictEqual(JSON.parse(await redis.call('GET', `invite:${invite.token}`)), {
+      token: invite.token,
+      createdAt: '2026-03-02T12:00:00Z',
+      expiresAt: '2026-03-03T12:00:00Z',
+      maxUses: 1,
+      useCount: 0,
+      status: 'active',
+      label: 'Acme',
+      priority: 'customer'
+    });
+    assert.strictEqual(await redis.call('TTL', `invite:${invite.token}`), 604800);
+
+    await assert.rejects(invites.create({ token: invite.token }), /already exists/);
+    await assert.rejects(invites.create({ token: 'invite:*' }), /token must be/);
+    await assert.rejects(invites.create({ maxUses: 0 }), /maxUses must be a positive integer/);
+    assert.notStrictEqual(generateInviteToken(), generateInviteToken());
+  });
+
+  it('validates expiry, status and uses', async () => {
+    const { invites, redis, clock } = createTestStore();
+    const { token } = await invites.create({ maxUses: 2, expiresInMs: HOUR });
+
+    const result = await invites.validate(token);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.invite.useCount, 0);
+    assert.deepStrictEqual(await invites.validate('missing'), { valid: false, reason: 'not_found' });
+    assert.deepStrictEqual(await invites.validate('../etc'), { valid: false, reason: 'malformed' });
+    assert.deepStrictEqual(await invites.validate(undefined), { valid: false, reason: 'malformed' });
+
+    // Written by hand with redis-cli
+    await redis.call('SET', 'invite:broken', '{not json');
+    assert.deepStrictEqual(await invites.validate('broken'), { valid: false, reason: 'malformed' });
+
+    clock.now += HOUR;
+    assert.deepStrictEqual(await invites.validate(token), { valid: false, reason: 'expired' });
+
+    const revoked = await invites.create();
+    assert.strictEqual(await invites.revoke(revoked.token), true);
+    assert.strictEqual(await invites.revoke('missing'), false);
+    assert.deepStrictEqual(await invites.validate(revoked.token), { valid: false, reason: 'revoked' });
+    // Revoking keeps the key's TTL
+    assert.strictEqual(await redis.call('TTL', `invite:${revoked.token}`), 604800);
+  });
+
+  it('consumes uses atomically', async () => {
+    const { invites, redis } = createTestStore();
+    const { token } = await invites.create({ maxUses: 2 });
+
+    const results = await Promise.all([invites.consume(token), invites.consume(token), invites.consume(token)]);
+    assert.deepStrictEqual(results.map((r) => r.valid), [true, true, false]);
+    assert.strictEqual(results[1].invite.useCount, 2);
+    assert.strictEqual(results[2].reason, 'exhausted');
+    assert.deepStrictEqual(await invites.validate(token), { valid: false, reason: 'exhausted' });
+    assert.strictEqual(JSON.parse(await redis.call('GET', `invite:${token}`)).useCount, 2);
+
+    const revoked = await invites.create();
+    await invites.revoke(revoked.token);
+    assert.deepStrictEqual(await invites.consume(revoked.token), { valid: false, reason: 'revoked' });
+    assert.deepStrictEqual(await invites.consume('missing'), { valid: false, reason: 'not_found' });
+  });
+
+  it('consumes invites created by invites.mk', async () => {
+    const { invites, redis, clock } = createTestStore();
+    await redis.call('SET', 'invite:abc123', JSON.stringify({
+      token: 'abc123',
+      createdAt: '2026-03-02T11:00:00Z',
+      expiresAt: '2026-03-02T13:00:00Z',
+      maxUses: 1,
+      useCount: 0,
+      status: 'active',
+      label: 'Demo'
+    }), 'EX', 604800);
+
+    const result = await invites.consume('abc123');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.invite.useCount, 1);
+    assert.strictEqual(result.invite.priority, undefined);
+
+    await redis.call('SET', 'invite:def456', JSON.stringify({ token: 'def456', expiresAt: '2026-03-02T13:00:00Z', maxUses: 3, useCount: 0, status: 'active' }));
+    clock.now = Date.parse('2026-03-02T13:00:00Z');
+    assert.deepStrictEqual(await invites.consume('def456'), { valid: false, reason: 'expired' });
+  });
+
+  it('lists with SCAN and deletes expired invites', async () => {
+    const { invites, redis, clock } = createTestStore();
+    const first = await invites.create({ expiresInMs: HOUR });
+    clock.now += 1000;
+    const second = await invites.create({ expiresInMs: 3 * HOUR });
+    const used = await invites.create({ expiresInMs: 3 * HOUR });
+    await invites.consume(used.token);
+    await redis.call('SET', 'invite:broken', 'nope');
+    await redis.call('SET', 'session:abc', '{}');
+
+    assert.deepStrictEqual((await invites.list()).map((i) => i.token), [first.token, second.token, used.token]);
+    assert.deepStrictEqual((await invites.list({ usable: true })).map((i) => i.token), [first.token, second.token]);
+
+    clock.now += 2 * HOUR;
+    assert.strictEqual(await invites.cleanupExpired(), 1);
+    assert.deepStrictEqual((await invites.list()).map((i) => i.token), [second.token, used.token]);
+    assert.strictEqual(await redis.call('EXISTS', 'invite:broken'), 1);
+  });
+
+  it('reports outcomes through metrics and the invite rate limiter', async () => {
+    const metrics = createMetrics({ serviceName: 'test-queue-manager', getActiveSessionCount: () => 0, backend: 'prometheus' });
+    const rateLimiter = createInviteRateLimiter({ maxAttempts: 2 });
+    const { invites } = createTestStore({ metrics, rateLimiter });
+    const { token } = await invites.create();
+
+    assert.strictEqual((await invites.validate(token, { key: '203.0.113.7' })).valid, true);
+    await invites.validate('guess1', { key: '203.0.113.7' });
+    await invites.consume('guess2', { key: '203.0.113.7' });
+    const limited = await invites.consume(token, { key: '203.0.113.7' });
+    assert.strictEqual(limited.reason, 'rate_limited');
+    assert.ok(limited.retryAfter > 0);
+
+    // Other clients, and calls without a key, aren't limited
+    assert.strictEqual((await invites.consume(token, { key: '198.51.100.1' })).valid, true);
+    assert.strictEqual((await invites.validate('guess3')).reason, 'not_found');
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_invites_validated_total\{result="valid"\} 2$/m);
+    assert.match(text, /^demo_invites_validated_total\{reason="not_found",result="invalid"\} 3$/m);
+    assert.match(text, /^demo_invites_validated_total\{reason="rate_limited",result="invalid"\} 1$/m);
+  });
+});
+
+describeRedis('createInviteStore against a real Redis', (redis) => {
+  /**
+   * Create an invite store on the real Redis with a controllable clock.
+   *
+   * @returns {Object} { invites, prefix, clock } where clock.now can be advanced
+   */
+  function createRealStore() {
+    const clock = { now: Date.parse('2026-03-02T12:00:00Z') };
+    const prefix = redis.prefix('invite');
+    const invites = createInviteStore(redis.client, { prefix, now: () => clock.now });
+    return { invites, prefix, clock };
+  }
+
+  it('consumes uses atomically and keeps the key TTL', async () => {
+    const { invites, prefix } = createRealStore();
+    const { token } = await invites.create({ maxUses: 2, label: 'Acme / EU' });
+
+    const results = await Promise.all([invites.consume(token), invites.consume(token), invites.consume(token)]);
+    assert.deepStrictEqual(results.map((r) => r.valid), [true, true, false]);
+    assert.strictEqual(results[2].reason, 'exhausted');
+    const stored = JSON.parse(await redis.client.get(prefix + token));
+    assert.strictEqual(stored.useCount, 2);
+    assert.strictEqual(stored.label, 'Acme / EU');
+    assert.ok(await redis.client.ttl(prefix + token) > 604000);
+
+    assert.strictEqual(await invites.revoke(token), true);
+    assert.strictEqual(await invites.revoke('missing'), false);
+    assert.deepStrictEqual(await invites.consume(token), { valid: false, reason: 'revoked' });
+    assert.ok(await redis.client.ttl(prefix + token) > 604000);
+  });
+
+  it('consumes invites written by invites.mk and rejects bad ones', async () => {
+    const { invites, prefix, clock } = createRealStore();
+    await redis.client.set(`${prefix}abc123`, JSON.stringify({
+      token: 'abc123',
+      createdAt: '2026-03-02T11:00:00Z',
+      expiresAt: '2026-03-02T13:00:00Z',
+      maxUses: 3,
+      useCount: 0,
+      status: 'active',
+      label: 'Demo'
+    }), 'EX', 604800);
+    await redis.client.set(`${prefix}broken`, '{not json');
+    await redis.client.set(`${prefix}scalar`, '42');
+
+    const result = await invites.consume('abc123');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.invite.useCount, 1);
+    assert.deepStrictEqual(await invites.consume('broken'), { valid: false, reason: 'malformed' });
+    assert.deepStrictEqual(await invites.consume('scalar'), { valid: false, reason: 'malformed' });
+    assert.strictEqual(await invites.revoke('broken'), false);
+    assert.deepStrictEqual(await invites.consume('missing'), { valid: false, reason: 'not_found' });
+
+    clock.now = Date.parse('2026-03-02T13:00:00Z');
+    assert.deepStrictEqual(await invites.consume('abc123'), { valid: false, reason: 'expired' });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Tests for metrics and the in-process Prometheus registry.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createMetrics } = require('../lib/metrics');
+const { createPrometheusRegistry, createMetricsHandler } = require('../lib/prometheus');
+const { createConnectionRateLimiter, createInviteRateLimiter } = require('../lib/rate-limit');
+const { createReconnectionLock } = require('../lib/reconnection-lock');
+const { createEnvFileManager } = require('../lib/env-file');
+
+/**
+ * Create a metrics manager backed by the in-process registry.
+ *
+ * @returns {Object} Metrics manager
+ */
+function createTestMetrics() {
+  return createMetrics({
+    serviceName: 'test-queue-manager',
+    getQueueLength: () => 0,
+    getActiveSessionCount: () => 0,
+    backend: 'prometheus'
+  });
+}
+
+/**
+ * Minimal response double for HTTP handlers.
+ *
+ * @returns {Object} Response recording status, headers and body
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body;
+    }
+  };
+}
+
+describe('createPrometheusRegistry', () => {
+  it('renders counters with escaped, sorted labels', () => {
+    const registry = createPrometheusRegistry();
+    const counter = registry.createCounter('demo_invites_validated_total', { description: 'Invite validations' });
+    counter.add(1, { result: 'valid' });
+    counter.add(2, { result: 'valid' });
+    counter.add(1, { 'error.reason': 'say "hi"\n', result: 'invalid' });
+    counter.add(-5, { result: 'valid' });
+
+    assert.strictEqual(registry.render(), [
+      '# HELP demo_invites_validated_total Invite validations',
+      '# TYPE demo_invites_validated_total counter',
+      'demo_invites_validated_total{result="valid"} 3',
+      'demo_invites_validated_total{error_reason="say \\"hi\\"\\n",result="invalid"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createPrometheusRegistry();
+    const histogram = registry.createHistogram('demo_queue_wait_seconds', {
+      advice: { explicitBucketBoundaries: [10, 1, 5] }
+    });
+    histogram.record(0.5);
+    histogram.record(3);
+    histogram.record(7);
+    histogram.record(60);
+
+    assert.strictEqual(registry.render(), [
+      '# TYPE demo_queue_wait_seconds histogram',
+      'demo_queue_wait_seconds_bucket{le="1"} 1',
+      'demo_queue_wait_seconds_bucket{le="5"} 2',
+      'demo_queue_wait_seconds_bucket{le="10"} 3',
+      'demo_queue_wait_seconds_bucket{le="+Inf"} 4',
+      'demo_queue_wait_seconds_sum 70.5',
+      'demo_queue_wait_seconds_count 4',
+      ''
+    ].join('\n'));
+  });
+
+  it('observes gauges at render time and tracks up/down counters', () => {
+    const registry = createPrometheusRegistry();
+    let length = 2;
+    registry.createObservableGauge('demo_queue_size').addCallback((result) => result.observe(length));
+    const inFlight = registry.createUpDownCounter('demo_in_flight');
+    inFlight.add(2);
+    inFlight.add(-1);
+
+    assert.match(registry.render(), /^demo_queue_size 2$/m);
+    length = 5;
+    assert.match(registry.render(), /^demo_queue_size 5$/m);
+    assert.match(registry.render(), /^# TYPE demo_in_flight gauge\ndemo_in_flight 1$/m);
+  });
+
+  it('rejects conflicting registrations', () => {
+    const registry = createPrometheusRegistry();
+    registry.createCounter('x_total');
+    assert.doesNotThrow(() => registry.createCounter('x_total'));
+    assert.throws(() => registry.createHistogram('x_total'), /already registered as a counter/);
+  });
+});
+
+describe('createMetrics', () => {
+  it('falls back to the in-process registry without OpenTelemetry', () => {
+    const metrics = createMetrics({
+      serviceName: 'test-queue-manager',
+      getQueueLength: () => 3,
+      getActiveSessionCount: () => 1,
+      backend: 'prometheus'
+    });
+    metrics.sessionsStarted.add(1);
+    metrics.sessionDuration.record(45, { reason: 'timeout' });
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_queue_size 3$/m);
+    assert.match(text, /^demo_sessions_active 1$/m);
+    assert.match(text, /^demo_sessions_started_total 1$/m);
+    assert.match(text, /^demo_session_duration_seconds_bucket\{reason="timeout",le="60"\} 1$/m);
+  });
+
+  it('serves /metrics through a ready-made handler', () => {
+    const metrics = createMetrics({
+      serviceName: 'test-queue-manager',
+      getQueueLength: () => 0,
+      getActiveSessionCount: () => 0,
+      backend: 'prometheus'
+    });
+
+    const res = createResponse();
+    metrics.metricsHandler({ method: 'GET' }, res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+    assert.match(res.body, /^demo_queue_size 0$/m);
+
+    const post = createResponse();
+    metrics.metricsHandler({ method: 'POST' }, post);
+    assert.strictEqual(post.statusCode, 405);
+
+    const failing = createResponse();
+    createMetricsHandler(() => { throw new Error('boom'); })({ method: 'GET' }, failing);
+    assert.strictEqual(failing.statusCode, 500);
+  });
+
+  it('keeps a no-op backend', () => {
+    const metrics = createMetrics({
+      serviceName: 'test-queue-manager',
+      getQueueLength: () => 0,
+      getActiveSessionCount: () => 0,
+      backend: 'noop'
+    });
+    metrics.sessionsStarted.add(1);
+    assert.strictEqual(metrics.renderPrometheus(), '');
+    assert.strictEqual(metrics.getTracer(), null);
+    assert.strictEqual(metrics.forDemo('jira'), metrics);
+  });
+});
+
+describe('multi-tenant metrics', () => {
+  /**
+   * Create a metrics manager serving two demos.
+   *
+   * @param {Object} [overrides] - Extra createMetrics options
+   * @returns {Object} Metrics manager
+   */
+  function createTenantMetrics(overrides = {}) {
+    return createMetrics({
+      serviceName: 'demo-queue-manager',
+      demos: {
+        jira: {
+          getQueueLength: () => 4,
+          pools: {
+            east: { getActiveSessionCount: () => 2 },
+            west: { getActiveSessionCount: () => 3 }
+          }
+        },
+        confluence: { getQueueLength: () => 1, getActiveSessionCount: () => 1 }
+      },
+      backend: 'prometheus',
+      ...overrides
+    });
+  }
+
+  it('observes gauges per demo and pool', () => {
+    const text = createTenantMetrics().renderPrometheus();
+    assert.match(text, /^demo_queue_size\{demo="jira"\} 4$/m);
+    assert.match(text, /^demo_queue_size\{demo="confluence"\} 1$/m);
+    assert.match(text, /^demo_sessions_active\{demo="jira",pool="east"\} 2$/m);
+    assert.match(text, /^demo_sessions_active\{demo="jira",pool="west"\} 3$/m);
+    assert.match(text, /^demo_sessions_active\{demo="confluence"\} 1$/m);
+    assert.doesNotMatch(text, /^demo_queue_size \d/m);
+  });
+
+  it('adds demo and pool attributes to every instrument of a scoped manager', () => {
+    const metrics = createTenantMetrics();
+    const east = metrics.forDemo('jira', 'east');
+    const limiter = createConnectionRateLimiter({ maxConnections: 1, metrics: east });
+
+    limiter.check('1.2.3.4');
+    east.sessionsStarted.add(1, { demo: 'confluence' });
+    metrics.forDemo('confluence').sessionDuration.record(45, { reason: 'timeout' });
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_rate_limit_decisions_total\{decision="allowed",demo="jira",limiter="connection",pool="east"\} 1$/m);
+    assert.match(text, /^demo_sessions_started_total\{demo="jira",pool="east"\} 1$/m);
+    assert.match(text, /^demo_session_duration_seconds_count\{demo="confluence",reason="timeout"\} 1$/m);
+  });
+
+  it('rejects unknown demos and pools', () => {
+    const metrics = createTenantMetrics();
+    assert.throws(() => metrics.forDemo('splunk'), /Unknown demo: splunk/);
+    assert.throws(() => metrics.forDemo('jira', 'north'), /Unknown pool for demo jira: north/);
+    assert.throws(() => createMetrics({ serviceName: 'x', demos: { jira: { getQueueLength: 4 } } }),
+      /demos\.jira\.getQueueLength must be a function/);
+  });
+
+  it('drops attributes outside the allow-list', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const metrics = createTenantMetrics({ allowedAttributes: ['scenario'] });
+
+    metrics.sessionsEnded.add(1, { reason: 'timeout', 'session.id': 'abc' });
+    metrics.sessionsEnded.add(1, { reason: 'timeout', 'session.id': 'def', scenario: 'read-only' });
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_sessions_ended_total\{reason="timeout"\} 1$/m);
+    assert.match(text, /^demo_sessions_ended_total\{reason="timeout",scenario="read-only"\} 1$/m);
+    assert.doesNotMatch(text, /session_id/);
+    assert.strictEqual(warn.mock.callCount(), 1);
+  });
+
+  it('records attribute values past the cap or outside the value allow-list as other', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const metrics = createTenantMetrics({ maxAttributeValues: 2, attributeValues: { result: ['valid', 'invalid'] } });
+
+    for (const reason of ['disconnected', 'timeout', 'user typed this', 'disconnected', 'and this']) {
+      metrics.queueAbandoned.add(1, { reason });
+    }
+    metrics.invitesValidated.add(1, { result: 'valid' });
+    metrics.invitesValidated.add(1, { result: '<script>' });
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_queue_abandoned_total\{reason="disconnected"\} 2$/m);
+    assert.match(text, /^demo_queue_abandoned_total\{reason="timeout"\} 1$/m);
+    assert.match(text, /^demo_queue_abandoned_total\{reason="other"\} 2$/m);
+    assert.match(text, /^demo_invites_validated_total\{result="other"\} 1$/m);
+    assert.doesNotMatch(text, /user typed this|script/);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.throws(() => createTenantMetrics({ maxAttributeValues: 0 }), /maxAttributeValues must be a positive integer/);
+  });
+
+  it('adds scope attributes to gauge callbacks of a scoped manager', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const metrics = createTenantMetrics();
+    const east = metrics.forDemo('jira', 'east');
+    const observeLanes = (result) => result.observe(7, { lane: 'customer', 'session.id': 'abc' });
+    east.queueSize.addCallback(observeLanes);
+
+    assert.match(metrics.renderPrometheus(), /^demo_queue_size\{demo="jira",lane="customer",pool="east"\} 7$/m);
+    east.queueSize.removeCallback(observeLanes);
+    assert.doesNotMatch(metrics.renderPrometheus(), /lane="customer"/);
+  });
+});
+
+describe('core module instrumentation', () => {
+  it('records rate limit decisions by limiter', () => {
+    const metrics = createTestMetrics();
+    const connections = createConnectionRateLimiter({ maxConnections: 1, metrics });
+    const invites = createInviteRateLimiter({ metrics });
+
+    connections.check('1.2.3.4');
+    connections.check('1.2.3.4');
+    invites.ban('5.6.7.8');
+    invites.check('5.6.7.8', false);
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_rate_limit_decisions_total\{decision="allowed",limiter="connection"\} 1$/m);
+    assert.match(text, /^demo_rate_limit_decisions_total\{decision="blocked",limiter="connection"\} 1$/m);
+    assert.match(text, /^demo_rate_limit_decisions_total\{decision="banned",limiter="invite"\} 1$/m);
+  });
+
+  it('records reconnection lock contention and hold time', async () => {
+    const metrics = createTestMetrics();
+    let now = 0;
+    const lock = createReconnectionLock({ metrics, now: () => now });
+
+    assert.strictEqual(lock.acquire(), true);
+    assert.strictEqual(await lock.withLock(async () => 'busy'), null);
+    now = 250;
+    lock.release();
+    lock.release();
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_reconnection_lock_attempts_total\{lock="reconnection",result="acquired"\} 1$/m);
+    assert.match(text, /^demo_reconnection_lock_attempts_total\{lock="reconnection",result="contended"\} 1$/m);
+    assert.match(text, /^demo_reconnection_lock_hold_seconds_sum\{lock="reconnection"\} 0.25$/m);
+    assert.match(text, /^demo_reconnection_lock_hold_seconds_count\{lock="reconnection"\} 1$/m);
+  });
+
+  it('records async lock waits and timeouts', async () => {
+    const metrics = createTestMetrics();
+    const lock = createReconnectionLock({ mode: 'async', metrics });
+
+    const token = await lock.acquire();
+    await assert.rejects(lock.acquire({ timeoutMs: 0 }));
+    const waiting = lock.acquire();
+    lock.release(token);
+    lock.release(await waiting);
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_reconnection_lock_attempts_total\{lock="reconnection",result="acquired"\} 1$/m);
+    assert.match(text, /^demo_reconnection_lock_attempts_total\{lock="reconnection",result="timeout"\} 1$/m);
+    assert.match(text, /^demo_reconnection_lock_attempts_total\{lock="reconnection",result="waited"\} 1$/m);
+    assert.match(text, /^demo_reconnection_lock_hold_seconds_count\{lock="reconnection"\} 2$/m);
+  });
+
+  it('records env file lifecycle counts', () => {
+    const metrics = createTestMetrics();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-env-test-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'session-leaked.env'), 'TOKEN=x\n');
+      // Older than the default one-hour ttlMs, so the sweep treats it as leaked
+      const leakedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      fs.utimesSync(path.join(dir, 'session-leaked.env'), leakedAt, leakedAt);
+      const manager = createEnvFileManager({ containerPath: dir, hostPath: '/host/env', metrics });
+      manager.create('abc', { TOKEN: 'x' });
+      manager.close({ cleanup: true });
+
+      const text = metrics.renderPrometheus();
+      assert.match(text, /^demo_env_files_orphaned_total\{reason="unknown"\} 1$/m);
+      assert.match(text, /^demo_env_files_created_total\{encrypted="false"\} 1$/m);
+      assert.match(text, /^demo_env_files_cleaned_total\{reason="shutdown"\} 1$/m);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
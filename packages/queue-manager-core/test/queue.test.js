@@ -0,0 +1,270 @@
+/**
+ * Tests for the shared waiting queue.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createQueue } = require('../lib/queue');
+const { createMetrics } = require('../lib/metrics');
+
+/**
+ * Record every event a queue emits.
+ *
+ * @param {Object} queue - Queue from createQueue
+ * @returns {Array<Array>} [event, payload without data] in emission order
+ */
+function recordEvents(queue) {
+  const events = [];
+  for (const event of ['position-changed', 'promoted', 'abandoned']) {
+    queue.on(event, (payload) => {
+      const copy = { ...payload };
+      delete copy.data;
+      events.push([event, copy]);
+    });
+  }
+  return events;
+}
+
+describe('createQueue', () => {
+  it('hands out clients in FIFO order and updates positions', () => {
+    let now = 0;
+    const queue = createQueue({ now: () => now });
+    const events = recordEvents(queue);
+
+    assert.deepStrictEqual(queue.enqueue('a'), { queued: true, position: 1, lane: 'normal', existing: false });
+    now = 1000;
+    queue.enqueue('b');
+    assert.strictEqual(queue.position('b'), 2);
+    events.length = 0;
+
+    now = 5000;
+    const promoted = queue.dequeue();
+    assert.deepStrictEqual({ id: promoted.id, waitMs: promoted.waitMs }, { id: 'a', waitMs: 5000 });
+    assert.deepStrictEqual(events, [
+      ['promoted', { id: 'a', lane: 'normal', waitMs: 5000, reservation: null }],
+      ['position-changed', { id: 'b', lane: 'normal', position: 1, previousPosition: 2, size: 1 }]
+    ]);
+    assert.strictEqual(queue.position('a'), null);
+    assert.strictEqual(queue.dequeue().id, 'b');
+    assert.strictEqual(queue.dequeue(), null);
+  });
+
+  it('enforces the maximum size and keeps the place of re-enqueued clients', () => {
+    const queue = createQueue({ maxSize: 2 });
+    queue.enqueue('a', { attempt: 1 });
+    queue.enqueue('b');
+    assert.deepStrictEqual(queue.enqueue('c'), { queued: false, reason: 'full' });
+    assert.deepStrictEqual(queue.enqueue('a', { attempt: 2 }), { queued: true, position: 1, lane: 'normal', existing: true });
+    assert.deepStrictEqual(queue.peek().data, { attempt: 2 });
+    assert.strictEqual(queue.size(), 2);
+    assert.throws(() => createQueue({ maxSize: 0 }), /maxSize must be a positive number/);
+  });
+
+  it('emits abandoned and moves later clients up on remove', () => {
+    let now = 0;
+    const queue = createQueue({ now: () => now });
+    queue.enqueue('a');
+    queue.enqueue('b');
+    queue.enqueue('c');
+    const events = recordEvents(queue);
+
+    now = 2000;
+    assert.strictEqual(queue.remove('b', 'disconnected'), true);
+    assert.strictEqual(queue.remove('b'), false);
+    assert.deepStrictEqual(events, [
+      ['abandoned', { id: 'b', lane: 'normal', reason: 'disconnected', waitMs: 2000 }],
+      ['position-changed', { id: 'c', lane: 'normal', position: 2, previousPosition: 3, size: 2 }]
+    ]);
+    assert.deepStrictEqual(queue.list().map(({ id, position }) => [id, position]), [['a', 1], ['c', 2]]);
+
+    events.length = 0;
+    assert.strictEqual(queue.clear(), 2);
+    assert.deepStrictEqual(events.map(([event, { id, reason }]) => [event, id, reason]), [
+      ['abandoned', 'a', 'shutdown'],
+      ['abandoned', 'c', 'shutdown']
+    ]);
+  });
+
+  it('isolates failing listeners', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const queue = createQueue();
+    const positions = [];
+    queue.on('position-changed', () => {
+      throw new Error('socket closed');
+    });
+    const unsubscribe = queue.on('position-changed', ({ id, position }) => positions.push([id, position]));
+
+    queue.enqueue('a');
+    unsubscribe();
+    queue.enqueue('b');
+    assert.deepStrictEqual(positions, [['a', 1]]);
+    assert.strictEqual(error.mock.callCount(), 2);
+    assert.throws(() => queue.on('joined', () => {}), /Unknown queue event: joined/);
+  });
+
+  it('feeds queue length, wait time and abandonment metrics', () => {
+    let now = 0;
+    const metrics = createMetrics({
+      serviceName: 'test-queue-manager',
+      getActiveSessionCount: () => 0,
+      backend: 'prometheus'
+    });
+    const queue = createQueue({ metrics, now: () => now });
+    const jiraQueue = createQueue({ metrics: metrics.forDemo('jira') });
+
+    queue.enqueue('a');
+    queue.enqueue('b');
+    jiraQueue.enqueue('c');
+    assert.match(metrics.renderPrometheus(), /^demo_queue_size 2$/m);
+    assert.match(metrics.renderPrometheus(), /^demo_queue_size\{demo="jira"\} 1$/m);
+
+    now = 30000;
+    queue.dequeue();
+    queue.remove('b', 'timeout');
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_queue_size 0$/m);
+    assert.match(text, /^demo_queue_wait_seconds_sum 30$/m);
+    assert.match(text, /^demo_queue_abandoned_total\{reason="timeout"\} 1$/m);
+  });
+});
+
+describe('createQueue priority lanes', () => {
+  /**
+   * Create a queue with a customer lane weighted 3:1 over normal.
+   *
+   * @param {Object} [overrides] - Extra createQueue options
+   * @returns {Object} { queue, clock } where clock.now can be advanced
+   */
+  function createLaneQueue(overrides = {}) {
+    const clock = { now: 0 };
+    const queue = createQueue({
+      maxSize: 20,
+      lanes: { customer: { weight: 3 }, normal: { weight: 1 } },
+      now: () => clock.now,
+      ...overrides
+    });
+    return { queue, clock };
+  }
+
+  it('serves lanes by weighted round robin', () => {
+    const { queue } = createLaneQueue();
+    queue.enqueue('n1');
+    queue.enqueue('n2');
+    for (const id of ['c1', 'c2', 'c3', 'c4']) {
+      queue.enqueue(id, {}, { invite: { token: id, priority: 'customer' } });
+    }
+    // Unknown priorities fall back to the default lane
+    assert.strictEqual(queue.enqueue('x', {}, { invite: { priority: 'vip' } }).lane, 'normal');
+    queue.remove('x');
+
+    const expected = ['c1', 'c2', 'n1', 'c3', 'c4', 'n2'];
+    assert.deepStrictEqual(queue.list().map(({ id }) => id), expected);
+    assert.strictEqual(queue.position('n1'), 3);
+
+    const served = [];
+    let next;
+    while ((next = queue.dequeue())) {
+      served.push(next.id);
+    }
+    assert.deepStrictEqual(served, expected);
+  });
+
+  it('serves a lane head first once it has been skipped maxSkips times', () => {
+    const { queue } = createLaneQueue({ lanes: { customer: { weight: 1 }, normal: { weight: 0 } }, maxSkips: 2 });
+    queue.enqueue('n1');
+    for (const id of ['c1', 'c2', 'c3']) {
+      queue.enqueue(id, {}, { lane: 'customer' });
+    }
+
+    assert.deepStrictEqual(queue.list().map(({ id }) => id), ['c1', 'c2', 'n1', 'c3']);
+    assert.strictEqual(queue.dequeue().id, 'c1');
+    assert.strictEqual(queue.peek().id, 'c2');
+    assert.strictEqual(queue.dequeue().id, 'c2');
+    assert.strictEqual(queue.dequeue().id, 'n1');
+    assert.strictEqual(queue.dequeue().id, 'c3');
+    assert.throws(() => createQueue({ maxSkips: 0 }), /maxSkips must be a positive integer or null/);
+  });
+
+  it('keeps the lane weighting when sessions outlast any wait threshold', () => {
+    const { queue, clock } = createLaneQueue();
+    for (let i = 1; i <= 4; i++) {
+      queue.enqueue(`n${i}`);
+    }
+    for (let i = 1; i <= 8; i++) {
+      queue.enqueue(`c${i}`, {}, { lane: 'customer' });
+    }
+
+    // Every client waits hours, one 45-minute session at a time
+    const served = [];
+    while (queue.size() > 0) {
+      clock.now += 45 * 60 * 1000;
+      served.push(queue.dequeue().id);
+    }
+    assert.deepStrictEqual(served, ['c1', 'c2', 'n1', 'c3', 'c4', 'c5', 'n2', 'c6', 'c7', 'c8', 'n3', 'n4']);
+  });
+
+  it('limits lane sizes', () => {
+    const { queue } = createLaneQueue({ lanes: { customer: { weight: 3, maxSize: 1 }, normal: {} } });
+    queue.enqueue('c1', {}, { lane: 'customer' });
+    assert.deepStrictEqual(queue.enqueue('c2', {}, { lane: 'customer' }), { queued: false, reason: 'lane-full' });
+    assert.throws(() => createQueue({ lanes: { customer: {} } }), /Default lane normal is not configured/);
+    assert.throws(() => createQueue({ lanes: { normal: { weight: -1 } } }), /non-negative/);
+  });
+
+  it('holds the next slot for a reserved invite during its window', () => {
+    const { queue, clock } = createLaneQueue({ maxSize: 1 });
+    const events = recordEvents(queue);
+    queue.enqueue('walk-in');
+    queue.reserve('invite-abc', { startsAt: 1000, durationMs: 5000 });
+
+    // Not started yet: normal service
+    assert.strictEqual(queue.heldUntil(), null);
+    assert.strictEqual(queue.peek().id, 'walk-in');
+
+    clock.now = 2000;
+    assert.strictEqual(queue.dequeue(), null);
+    assert.strictEqual(queue.heldUntil(), 6000);
+
+    // The reserved client jumps the queue even when it's full
+    const result = queue.enqueue('customer', {}, { invite: { token: 'invite-abc' } });
+    assert.strictEqual(result.position, 1);
+    assert.strictEqual(queue.position('walk-in'), 2);
+    assert.ok(events.some(([event, p]) => event === 'position-changed' && p.id === 'walk-in' && p.position === 2));
+
+    const promoted = queue.dequeue();
+    assert.deepStrictEqual([promoted.id, promoted.reservation], ['customer', 'invite-abc']);
+    assert.deepStrictEqual(queue.reservations(), []);
+    assert.strictEqual(queue.dequeue().id, 'walk-in');
+  });
+
+  it('releases the held slot when the window ends or is cancelled', () => {
+    const { queue, clock } = createLaneQueue();
+    queue.enqueue('walk-in');
+    queue.reserve('invite-abc', { durationMs: 5000 });
+    queue.reserve('invite-def', { startsAt: 10000, durationMs: 5000 });
+    assert.strictEqual(queue.dequeue(), null);
+    assert.deepStrictEqual(queue.reservations().map(({ key, active }) => [key, active]),
+      [['invite-abc', true], ['invite-def', false]]);
+
+    clock.now = 5000;
+    assert.strictEqual(queue.peek().id, 'walk-in');
+    clock.now = 10000;
+    assert.strictEqual(queue.dequeue(), null);
+    assert.strictEqual(queue.cancelReservation('invite-def'), true);
+    assert.strictEqual(queue.dequeue().id, 'walk-in');
+  });
+
+  it('labels wait and abandonment metrics by lane', () => {
+    const metrics = createMetrics({ serviceName: 'test-queue-manager', getActiveSessionCount: () => 0, backend: 'prometheus' });
+    const { queue } = createLaneQueue({ metrics });
+    queue.enqueue('c1', {}, { lane: 'customer' });
+    queue.enqueue('n1');
+    queue.dequeue();
+    queue.remove('n1', 'disconnected');
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_queue_wait_seconds_count\{lane="customer"\} 1$/m);
+    assert.match(text, /^demo_queue_abandoned_total\{lane="normal",reason="disconnected"\} 1$/m);
+  });
+});
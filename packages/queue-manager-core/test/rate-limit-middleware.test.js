@@ -0,0 +1,204 @@
+/**
+ * Tests for rate limit middleware.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  createClientIpResolver,
+  rateLimitMiddleware,
+  rateLimitUpgrade
+} = require('../lib/rate-limit-middleware');
+const { createRateLimiter, createInviteRateLimiter } = require('../lib/rate-limit');
+const { createRedisRateLimitStore } = require('../lib/rate-limit-store');
+const { createFakeRedis } = require('../lib/redis');
+
+function createRequest(remoteAddress, forwardedFor) {
+  return {
+    socket: { remoteAddress },
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+  };
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    end(body) {
+      this.body = body;
+    }
+  };
+}
+
+function runMiddleware(middleware, req) {
+  const res = createResponse();
+  return new Promise((resolve, reject) => {
+    res.end = (body) => {
+      res.body = body;
+      resolve({ res, nextCalled: false });
+    };
+    middleware(req, res, (err) => (err ? reject(err) : resolve({ res, nextCalled: true })));
+  });
+}
+
+describe('createClientIpResolver', () => {
+  it('ignores X-Forwarded-For by default', () => {
+    const getClientIp = createClientIpResolver();
+    assert.strictEqual(getClientIp(createRequest('::ffff:10.0.0.5', '1.2.3.4')), '10.0.0.5');
+  });
+
+  it('skips trusted proxies from the right', () => {
+    const getClientIp = createClientIpResolver({ trustProxy: ['10.0.0.0/8', '127.0.0.1'] });
+    const req = createRequest('127.0.0.1', '6.6.6.6, 1.2.3.4, 10.1.2.3');
+    assert.strictEqual(getClientIp(req), '1.2.3.4');
+  });
+
+  it('trusts a fixed number of hops', () => {
+    const getClientIp = createClientIpResolver({ trustProxy: 1 });
+    assert.strictEqual(getClientIp(createRequest('10.0.0.1', '6.6.6.6, 1.2.3.4')), '1.2.3.4');
+  });
+
+  it('rejects invalid trusted proxy entries', () => {
+    assert.throws(() => createClientIpResolver({ trustProxy: ['not-an-ip'] }), /Invalid trusted proxy/);
+  });
+});
+
+describe('rateLimitMiddleware', () => {
+  it('sets RateLimit headers and blocks with 429', async () => {
+    const limiter = createRateLimiter({ windowMs: 60000, maxAttempts: 1 });
+    const middleware = rateLimitMiddleware(limiter);
+
+    const first = await runMiddleware(middleware, createRequest('1.2.3.4'));
+    assert.strictEqual(first.nextCalled, true);
+    assert.strictEqual(first.res.headers['RateLimit-Limit'], '1');
+    assert.strictEqual(first.res.headers['RateLimit-Remaining'], '0');
+    assert.strictEqual(first.res.headers['RateLimit-Reset'], '60');
+    assert.strictEqual(first.res.headers['Retry-After'], undefined);
+
+    const second = await runMiddleware(middleware, createRequest('1.2.3.4'));
+    assert.strictEqual(second.nextCalled, false);
+    assert.strictEqual(second.res.statusCode, 429);
+    assert.ok(Number(second.res.headers['Retry-After']) > 0);
+    assert.strictEqual(second.res.headers['RateLimit-Reset'], second.res.headers['Retry-After']);
+  });
+
+  it('uses a custom key generator with an async store', async () => {
+    const limiter = createRateLimiter({
+      windowMs: 60000,
+      maxAttempts: 1,
+      store: createRedisRateLimitStore(createFakeRedis())
+    });
+    const middleware = rateLimitMiddleware(limiter, {
+      keyGenerator: (req, ip) => `${req.query.invite}:${ip}`
+    });
+
+    const req = (invite) => ({ ...createRequest('1.2.3.4'), query: { invite } });
+    assert.strictEqual((await runMiddleware(middleware, req('a'))).nextCalled, true);
+    assert.strictEqual((await runMiddleware(middleware, req('b'))).nextCalled, true);
+    assert.strictEqual((await runMiddleware(middleware, req('a'))).nextCalled, false);
+  });
+
+  it('responds 403 for banned keys', async () => {
+    const limiter = createInviteRateLimiter();
+    limiter.ban('1.2.3.4');
+
+    const { res } = await runMiddleware(rateLimitMiddleware(limiter, { increment: false }), createRequest('1.2.3.4'));
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.headers['Retry-After'], undefined);
+    assert.strictEqual(res.headers['RateLimit-Reset'], undefined);
+  });
+
+  it('passes onLimited errors to next', async () => {
+    const limiter = createInviteRateLimiter();
+    limiter.ban('1.2.3.4');
+    const middleware = rateLimitMiddleware(limiter, {
+      onLimited: () => {
+        throw new Error('template missing');
+      }
+    });
+
+    await assert.rejects(runMiddleware(middleware, createRequest('1.2.3.4')), /template missing/);
+  });
+});
+
+describe('rateLimitUpgrade', () => {
+  it('writes a raw 429 response and destroys the socket', async () => {
+    const limiter = createRateLimiter({ windowMs: 60000, maxAttempts: 1 });
+    const guard = rateLimitUpgrade(limiter);
+
+    const written = [];
+    let destroyed = false;
+    const socket = {
+      write: (data) => written.push(data),
+      destroy: () => { destroyed = true; }
+    };
+
+    assert.strictEqual(await guard(createRequest('1.2.3.4'), socket), true);
+    assert.strictEqual(await guard(createRequest('1.2.3.4'), socket), false);
+    assert.ok(written[0].startsWith('HTTP/1.1 429 Too Many Requests\r\n'));
+    assert.ok(written[0].includes('Retry-After: '));
+    assert.strictEqual(destroyed, true);
+  });
+
+  it('responds 500 and destroys the socket when the store fails', async () => {
+    // limiter.check() rejects like a Redis store whose server is down
+    const store = {
+      apply: async () => {
+        throw new Error('ECONNREFUSED');
+      }
+    };
+    const limiter = createRateLimiter({ windowMs: 60000, maxAttempts: 1, store });
+
+    const written = [];
+    let destroyed = false;
+    const socket = {
+      write: (data) => written.push(data),
+      destroy: () => { destroyed = true; }
+    };
+
+    assert.strictEqual(await rateLimitUpgrade(limiter)(createRequest('1.2.3.4'), socket), false);
+    assert.ok(written[0].startsWith('HTTP/1.1 500 Internal Server Error\r\n'));
+    assert.strictEqual(destroyed, true);
+
+    const errors = [];
+    const guard = rateLimitUpgrade(limiter, { onError: (err) => errors.push(err.message) });
+    assert.strictEqual(await guard(createRequest('1.2.3.4'), socket), false);
+    assert.deepStrictEqual(errors, ['ECONNREFUSED']);
+    assert.strictEqual(written.length, 1);
+  });
+
+  it('destroys the socket when onLimited throws', async () => {
+    const limiter = createInviteRateLimiter();
+    limiter.ban('1.2.3.4');
+    const failing = () => {
+      throw new Error('template missing');
+    };
+
+    const written = [];
+    let destroyed = 0;
+    const socket = {
+      write: (data) => written.push(data),
+      destroy: () => { destroyed++; }
+    };
+
+    assert.strictEqual(await rateLimitUpgrade(limiter, { onLimited: failing })(createRequest('1.2.3.4'), socket), false);
+    assert.ok(written[0].startsWith('HTTP/1.1 500 Internal Server Error\r\n'));
+    assert.strictEqual(destroyed, 1);
+
+    const errors = [];
+    const guard = rateLimitUpgrade(limiter, { onLimited: failing, onError: (err) => errors.push(err.message) });
+    assert.strictEqual(await guard(createRequest('1.2.3.4'), socket), false);
+    assert.deepStrictEqual(errors, ['template missing']);
+    assert.strictEqual(destroyed, 2);
+
+    // A custom blocked response still gets its socket destroyed
+    const custom = rateLimitUpgrade(limiter, { onLimited: (req, limitedSocket) => limitedSocket.write('custom') });
+    assert.strictEqual(await custom(createRequest('1.2.3.4'), socket), false);
+    assert.strictEqual(written[1], 'custom');
+    assert.strictEqual(destroyed, 3);
+  });
+});
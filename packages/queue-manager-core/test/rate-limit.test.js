@@ -9,6 +9,9 @@ const {
   createConnectionRateLimiter,
   createInviteRateLimiter
 } = require('../lib/rate-limit');
+const { createRedisRateLimitStore } = require('../lib/rate-limit-store');
+const { createFakeRedis } = require('../lib/redis');
+const { describeRedis } = require('./helpers/redis');
 
 describe('createRateLimiter', () => {
   it('allows requests within limit', () => {
@@ -102,5 +105,340 @@ describe('createInviteRateLimiter', () => {
     const limiter = createInviteRateLimiter();
     assert.ok(typeof limiter.check === 'function');
     assert.ok(typeof limiter.recordFailure === 'function');
+    assert.ok(typeof limiter.ban === 'function');
+  });
+
+  const stores = {
+    memory: () => undefined,
+    redis: (clock) => createRedisRateLimitStore(createFakeRedis({ now: clock }))
+  };
+
+  /**
+   * Declare the lockout tests for a store.
+   *
+   * @param {Function} createStore - (clock) => store; returning undefined uses the memory store
+   */
+  function lockoutTests(createStore) {
+    const HOUR = 60 * 60 * 1000;
+
+    function setup(options = {}) {
+      const clock = { now: 0 };
+      const now = () => clock.now;
+      const limiter = createInviteRateLimiter({ maxAttempts: 2, ...options, now, store: createStore(now) });
+      return { clock, limiter };
+    }
+
+    it('escalates lockouts for repeat offenders', async () => {
+      const { clock, limiter } = setup();
+
+      await limiter.recordFailure('ip');
+      assert.strictEqual((await limiter.check('ip', false)).tier, 0);
+      await limiter.recordFailure('ip');
+
+      const first = await limiter.check('ip', false);
+      assert.strictEqual(first.allowed, false);
+      assert.strictEqual(first.tier, 1);
+      assert.strictEqual(first.retryAfter, 3600);
+      assert.strictEqual(first.reset, 3600);
+
+      clock.now = HOUR + 1;
+      assert.strictEqual((await limiter.check('ip', false)).allowed, true);
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+
+      const second = await limiter.check('ip', false);
+      assert.strictEqual(second.tier, 2);
+      assert.strictEqual(second.retryAfter, 7200);
+    });
+
+    it('counts failures made during a lockout towards the next tier', async () => {
+      const { clock, limiter } = setup({ banAfterTier: 3 });
+
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+
+      // Checks while locked out don't count; failures do
+      clock.now = 10 * 60 * 1000;
+      assert.strictEqual((await limiter.check('ip')).allowed, false);
+      assert.strictEqual((await limiter.check('ip')).allowed, false);
+      await limiter.recordFailure('ip');
+      assert.strictEqual((await limiter.check('ip', false)).tier, 1);
+      await limiter.recordFailure('ip');
+
+      const second = await limiter.check('ip', false);
+      assert.strictEqual(second.tier, 2);
+      assert.strictEqual(second.retryAfter, 7200);
+
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+      const banned = await limiter.check('ip', false);
+      assert.strictEqual(banned.retryAfter, null);
+      assert.strictEqual(banned.banned.reason, 'escalation');
+    });
+
+    it('caps lockouts and decays tiers over time', async () => {
+      const { clock, limiter } = setup({ maxLockoutMs: 90 * 60 * 1000, decayMs: 2 * HOUR });
+
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+
+      clock.now = HOUR + 1;
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+      const capped = await limiter.check('ip', false);
+      assert.strictEqual(capped.tier, 2);
+      assert.strictEqual(capped.retryAfter, 90 * 60);
+
+      // Second lockout ends at 2.5 hours; one tier decays every 2 hours after that
+      clock.now = 3 * HOUR;
+      assert.strictEqual((await limiter.check('ip', false)).tier, 2);
+
+      clock.now = 5 * HOUR;
+      assert.strictEqual((await limiter.check('ip', false)).tier, 1);
+
+      clock.now = 7 * HOUR;
+      const result = await limiter.check('ip', false);
+      assert.strictEqual(result.tier, 0);
+      assert.strictEqual(result.allowed, true);
+    });
+
+    it('bans, lists and unbans keys', async () => {
+      const { limiter } = setup();
+
+      await limiter.ban('ip-bad', 'abuse');
+      const result = await limiter.check('ip-bad', false);
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.retryAfter, null);
+      assert.strictEqual(result.banned.reason, 'abuse');
+
+      assert.deepStrictEqual(await limiter.listBanned(), [{ key: 'ip-bad', reason: 'abuse', bannedAt: 0 }]);
+
+      await limiter.unban('ip-bad');
+      assert.strictEqual((await limiter.check('ip-bad', false)).allowed, true);
+      assert.deepStrictEqual(await limiter.listBanned(), []);
+    });
+
+    it('bans automatically after banAfterTier lockouts', async () => {
+      const { clock, limiter } = setup({ banAfterTier: 2 });
+
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+      clock.now += 2 * HOUR;
+      await limiter.recordFailure('ip');
+      await limiter.recordFailure('ip');
+
+      clock.now += 365 * 24 * HOUR;
+      const result = await limiter.check('ip', false);
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.banned.reason, 'escalation');
+    });
+  }
+
+  for (const [storeName, createStore] of Object.entries(stores)) {
+    describe(`with ${storeName} store`, () => lockoutTests(createStore));
+  }
+
+  describeRedis('with a real Redis store', (redis) => {
+    lockoutTests(() => createRedisRateLimitStore(redis.client, { prefix: redis.prefix('invite-ratelimit') }));
+  });
+});
+
+describe('createRedisRateLimitStore', () => {
+  it('enforces the limit asynchronously', async () => {
+    const limiter = createRateLimiter({
+      windowMs: 60000,
+      maxAttempts: 2,
+      store: createRedisRateLimitStore(createFakeRedis())
+    });
+
+    const result1 = await limiter.check('ip-redis');
+    assert.strictEqual(result1.allowed, true);
+    assert.strictEqual(result1.remaining, 1);
+
+    await limiter.check('ip-redis');
+    const blocked = await limiter.check('ip-redis');
+    assert.strictEqual(blocked.allowed, false);
+    assert.ok(blocked.retryAfter > 0 && blocked.retryAfter <= 60);
+  });
+
+  it('shares counters between limiters using the same Redis', async () => {
+    const redis = createFakeRedis();
+    const replicaA = createInviteRateLimiter({ maxAttempts: 2, store: createRedisRateLimitStore(redis) });
+    const replicaB = createInviteRateLimiter({ maxAttempts: 2, store: createRedisRateLimitStore(redis) });
+
+    await replicaA.recordFailure('ip-shared');
+    await replicaB.recordFailure('ip-shared');
+
+    const result = await replicaA.check('ip-shared', false);
+    assert.strictEqual(result.allowed, false);
+  });
+
+  it('expires counters with the window', async () => {
+    let now = 1000;
+    const clock = () => now;
+    const limiter = createRateLimiter({
+      windowMs: 5000,
+      maxAttempts: 1,
+      now: clock,
+      store: createRedisRateLimitStore(createFakeRedis({ now: clock }))
+    });
+
+    await limiter.check('ip-expire');
+    assert.strictEqual((await limiter.check('ip-expire')).allowed, false);
+
+    now += 5001;
+    assert.strictEqual((await limiter.check('ip-expire')).allowed, true);
+  });
+
+  it('reset clears the shared counter', async () => {
+    const limiter = createRateLimiter({
+      windowMs: 60000,
+      maxAttempts: 1,
+      store: createRedisRateLimitStore(createFakeRedis(), { prefix: 'test:' })
+    });
+
+    await limiter.check('ip-reset');
+    assert.strictEqual((await limiter.check('ip-reset')).allowed, false);
+    assert.strictEqual(await limiter.size(), 1);
+
+    await limiter.reset('ip-reset');
+    assert.strictEqual((await limiter.check('ip-reset')).allowed, true);
+  });
+});
+
+describe('rate limit algorithms', () => {
+  const stores = {
+    memory: () => undefined,
+    redis: (clock) => createRedisRateLimitStore(createFakeRedis({ now: clock }))
+  };
+
+  /**
+   * Declare the algorithm tests for a store.
+   *
+   * @param {Function} createStore - (clock) => store; returning undefined uses the memory store
+   */
+  function algorithmTests(createStore) {
+    function setup(options) {
+      const clock = { now: 0 };
+      const now = () => clock.now;
+      const limiter = createRateLimiter({ ...options, now, store: createStore(now) });
+      return { clock, limiter };
+    }
+
+    it('fixed-window allows a burst across the window boundary', async () => {
+      const { clock, limiter } = setup({ windowMs: 1000, maxAttempts: 2 });
+
+      clock.now = 900;
+      await limiter.check('k');
+      await limiter.check('k');
+      assert.strictEqual((await limiter.check('k')).allowed, false);
+
+      clock.now = 1901;
+      assert.strictEqual((await limiter.check('k')).allowed, true);
+    });
+
+    it('sliding-log counts attempts within any window span', async () => {
+      const { clock, limiter } = setup({ algorithm: 'sliding-log', windowMs: 1000, maxAttempts: 2 });
+
+      clock.now = 0;
+      await limiter.check('k');
+      clock.now = 900;
+      await limiter.check('k');
+
+      clock.now = 1100;
+      const result = await limiter.check('k');
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.remaining, 0);
+
+      clock.now = 1500;
+      const blocked = await limiter.check('k');
+      assert.strictEqual(blocked.allowed, false);
+      assert.strictEqual(blocked.retryAfter, 1);
+    });
+
+    it('sliding-window-counter weights the previous window', async () => {
+      const { clock, limiter } = setup({ algorithm: 'sliding-window-counter', windowMs: 1000, maxAttempts: 4 });
+
+      clock.now = 500;
+      for (let i = 0; i < 4; i++) {
+        await limiter.check('k');
+      }
+
+      // 75% of the previous window still overlaps: 4 * 0.75 = 3 used
+      clock.now = 1250;
+      assert.strictEqual((await limiter.check('k')).allowed, true);
+      assert.strictEqual((await limiter.check('k')).allowed, false);
+
+      clock.now = 1600;
+      assert.strictEqual((await limiter.check('k')).allowed, true);
+    });
+
+    it('token-bucket refills at the configured rate', async () => {
+      const { clock, limiter } = setup({ algorithm: 'token-bucket', burst: 2, refillRate: 1 });
+
+      assert.strictEqual((await limiter.check('k')).remaining, 1);
+      assert.strictEqual((await limiter.check('k')).remaining, 0);
+
+      const blocked = await limiter.check('k');
+      assert.strictEqual(blocked.allowed, false);
+      assert.strictEqual(blocked.retryAfter, 1);
+
+      clock.now = 1000;
+      assert.strictEqual((await limiter.check('k')).allowed, true);
+      assert.strictEqual((await limiter.check('k')).allowed, false);
+    });
+
+    it('reports when the window resets on allowed and blocked checks', async () => {
+      const fixed = setup({ windowMs: 10000, maxAttempts: 1 });
+      assert.strictEqual((await fixed.limiter.check('k', false)).reset, null);
+      assert.strictEqual((await fixed.limiter.check('k')).reset, 10);
+      fixed.clock.now = 4000;
+      assert.deepStrictEqual(await fixed.limiter.check('k'), { allowed: false, remaining: 0, retryAfter: 6, reset: 6 });
+
+      const log = setup({ algorithm: 'sliding-log', windowMs: 10000, maxAttempts: 2 });
+      await log.limiter.check('k');
+      log.clock.now = 3000;
+      assert.strictEqual((await log.limiter.check('k')).reset, 10);
+
+      const counter = setup({ algorithm: 'sliding-window-counter', windowMs: 10000, maxAttempts: 2 });
+      counter.clock.now = 2500;
+      assert.strictEqual((await counter.limiter.check('k')).reset, 8);
+
+      const bucket = setup({ algorithm: 'token-bucket', burst: 4, refillRate: 2 });
+      assert.strictEqual((await bucket.limiter.check('k', false)).reset, null);
+      assert.strictEqual((await bucket.limiter.check('k')).reset, 1);
+    });
+
+    it('recordFailure counts attempts while blocked', async () => {
+      const { clock, limiter } = setup({ algorithm: 'sliding-log', windowMs: 1000, maxAttempts: 1 });
+
+      await limiter.recordFailure('k');
+      clock.now = 800;
+      await limiter.recordFailure('k');
+
+      clock.now = 1200;
+      const result = await limiter.check('k', false);
+      assert.strictEqual(result.allowed, false);
+    });
+  }
+
+  for (const [storeName, createStore] of Object.entries(stores)) {
+    describe(`with ${storeName} store`, () => algorithmTests(createStore));
+  }
+
+  describeRedis('with a real Redis store', (redis) => {
+    algorithmTests(() => createRedisRateLimitStore(redis.client, { prefix: redis.prefix('ratelimit') }));
+  });
+
+  it('rejects unknown algorithms', () => {
+    assert.throws(() => createRateLimiter({ algorithm: 'leaky', windowMs: 1000, maxAttempts: 1 }), /Unknown rate limit algorithm/);
+  });
+
+  it('createConnectionRateLimiter accepts an algorithm', () => {
+    const limiter = createConnectionRateLimiter({ algorithm: 'token-bucket', burst: 3, refillRate: 1 });
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual(limiter.check('ip').allowed, true);
+    }
+    assert.strictEqual(limiter.check('ip').allowed, false);
   });
 });
@@ -0,0 +1,330 @@
+/**
+ * Tests for reconnection locks.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createReconnectionLock, createKeyedLock, createRedisLock, LockError } = require('../lib/reconnection-lock');
+const { createFakeRedis } = require('../lib/redis');
+const { useFakeTime } = require('./helpers/fake-time');
+const { describeRedis } = require('./helpers/redis');
+
+/**
+ * Wait (in real time) until a condition holds.
+ *
+ * @param {Function} condition - Async predicate
+ * @param {number} [timeoutMs=2000] - Give up after this long
+ */
+async function eventually(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('createReconnectionLock (flag mode)', () => {
+  it('refuses contended acquires', async () => {
+    const lock = createReconnectionLock();
+    assert.strictEqual(lock.mode, 'flag');
+    assert.strictEqual(lock.acquire(), true);
+    assert.strictEqual(lock.acquire(), false);
+    assert.strictEqual(await lock.withLock(async () => 'busy'), null);
+    lock.release();
+    assert.strictEqual(await lock.withLock(async () => 'done'), 'done');
+    assert.strictEqual(lock.isLocked(), false);
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => createReconnectionLock({ mode: 'spin' }), /Unknown lock mode: spin/);
+  });
+});
+
+describe('createReconnectionLock (async mode)', () => {
+  it('grants waiters in FIFO order with increasing fencing tokens', async () => {
+    const lock = createReconnectionLock({ mode: 'async' });
+    const order = [];
+
+    const first = await lock.acquire();
+    const second = lock.withLock(async (token) => order.push(['second', token]));
+    const third = lock.withLock(async (token) => order.push(['third', token]));
+    assert.strictEqual(lock.waiters(), 2);
+
+    assert.strictEqual(lock.release(first), true);
+    await Promise.all([second, third]);
+
+    assert.deepStrictEqual(order, [['second', first + 1], ['third', first + 2]]);
+    assert.strictEqual(lock.isLocked(), false);
+    assert.strictEqual(lock.waiters(), 0);
+  });
+
+  it('times out waiters without disturbing the queue', async (t) => {
+    const time = useFakeTime(t);
+    const lock = createReconnectionLock({ mode: 'async', acquireTimeoutMs: null, now: time.now });
+    const token = await lock.acquire();
+
+    const impatient = assert.rejects(lock.acquire({ timeoutMs: 10 }), (err) => err instanceof LockError && err.code === 'ACQUIRE_TIMEOUT');
+    const patient = lock.acquire();
+    await time.advance(9);
+    assert.strictEqual(lock.waiters(), 2);
+    await time.advance(1);
+    await impatient;
+    assert.strictEqual(lock.waiters(), 1);
+    const noWait = assert.rejects(lock.acquire({ timeoutMs: 0 }), /Timed out/);
+    await time.advance(1);
+    await noWait;
+
+    lock.release(token);
+    assert.strictEqual(await patient, token + 1);
+  });
+
+  it('auto-releases holders past maxHoldMs and ignores their stale release', async (t) => {
+    const time = useFakeTime(t);
+    const expired = [];
+    const lock = createReconnectionLock({ mode: 'async', maxHoldMs: 20, now: time.now, onExpire: (token) => expired.push(token) });
+
+    const hung = await lock.acquire();
+    const waiting = lock.acquire({ timeoutMs: 1000 });
+    await time.advance(19);
+    assert.deepStrictEqual(expired, []);
+    await time.advance(1);
+    const next = await waiting;
+    assert.deepStrictEqual(expired, [hung]);
+    assert.strictEqual(lock.isHeld(hung), false);
+    assert.strictEqual(lock.isHeld(next), true);
+
+    // The hung handler finally finishes and must not release its successor
+    assert.strictEqual(lock.release(hung), false);
+    assert.strictEqual(lock.release(), false);
+    assert.strictEqual(lock.isHeld(next), true);
+    assert.strictEqual(lock.release(next), true);
+  });
+
+  it('releases after a throwing handler', async () => {
+    const lock = createReconnectionLock({ mode: 'async' });
+    await assert.rejects(lock.withLock(async () => {
+      await Promise.resolve();
+      throw new Error('attach failed');
+    }), /attach failed/);
+    assert.strictEqual(lock.isLocked(), false);
+  });
+});
+
+describe('createKeyedLock', () => {
+  it('locks keys independently and drops idle keys', async () => {
+    const locks = createKeyedLock();
+    const a = await locks.acquire('session-a');
+    const b = await locks.acquire('session-b', { timeoutMs: 0 });
+    assert.notStrictEqual(a, b);
+    assert.deepStrictEqual(locks.heldKeys().sort(), ['session-a', 'session-b']);
+
+    const waiting = locks.acquire('session-a');
+    assert.strictEqual(locks.waiters('session-a'), 1);
+    assert.strictEqual(locks.waiters('session-b'), 0);
+
+    locks.release('session-a', a);
+    const next = await waiting;
+    assert.strictEqual(locks.isHeld('session-a', next), true);
+    locks.release('session-a', next);
+    locks.release('session-b', b);
+
+    assert.strictEqual(locks.size(), 0);
+    assert.deepStrictEqual(locks.heldKeys(), []);
+    assert.strictEqual(locks.isLocked('session-a'), false);
+  });
+
+  it('keeps fencing tokens unique when a key is recreated', async (t) => {
+    const time = useFakeTime(t);
+    const expired = [];
+    const locks = createKeyedLock({ maxHoldMs: 10, now: time.now, onExpire: (key, token) => expired.push([key, token]) });
+
+    const stale = await locks.acquire('session-a');
+    await time.advance(10);
+    assert.deepStrictEqual(expired, [['session-a', stale]]);
+    assert.strictEqual(locks.size(), 0);
+
+    const fresh = await locks.acquire('session-a');
+    assert.ok(fresh > stale);
+    assert.strictEqual(locks.release('session-a', stale), false);
+    assert.strictEqual(locks.isLocked('session-a'), true);
+    locks.release('session-a', fresh);
+  });
+
+  it('reports keys held longer than a threshold', async () => {
+    let now = 0;
+    const locks = createKeyedLock({ now: () => now });
+    await locks.acquire('stuck');
+    now = 20000;
+    const token = await locks.acquire('recent');
+
+    assert.deepStrictEqual(locks.heldKeys(), ['stuck', 'recent']);
+    assert.deepStrictEqual(locks.heldKeys({ olderThanMs: 10000 }), ['stuck']);
+    assert.strictEqual(await locks.withLock('other', async (t) => t > token), true);
+    assert.throws(() => locks.acquire(''), /key must be a non-empty string/);
+  });
+});
+
+describe('createRedisLock', () => {
+  it('shares one lock between processes with increasing fencing tokens', async (t) => {
+    const time = useFakeTime(t);
+    const redis = createFakeRedis({ now: time.now });
+    const oldContainer = createRedisLock(redis, { retryDelayMs: 5, now: time.now });
+    const newContainer = createRedisLock(redis, { retryDelayMs: 5, now: time.now });
+
+    const first = await oldContainer.acquire();
+    assert.strictEqual(await newContainer.isLocked(), true);
+    const timedOut = assert.rejects(newContainer.acquire({ timeoutMs: 20 }), (err) => err.code === 'ACQUIRE_TIMEOUT');
+    await time.advance(20);
+    await timedOut;
+
+    const waiting = newContainer.acquire({ timeoutMs: 1000 });
+    await time.advance(10);
+    assert.strictEqual(await oldContainer.release(first), true);
+    // Picked up by the next poll
+    await time.advance(5);
+    const second = await waiting;
+    assert.ok(second > first);
+    assert.strictEqual(newContainer.isHeld(second), true);
+
+    // Releasing with a stale token leaves the new holder alone
+    assert.strictEqual(await oldContainer.release(first), false);
+    assert.strictEqual(await newContainer.isLocked(), true);
+    await newContainer.close();
+    assert.strictEqual(await newContainer.isLocked(), false);
+  });
+
+  it('renews the lease while the holder works', async (t) => {
+    const time = useFakeTime(t);
+    const redis = createFakeRedis({ now: time.now });
+    const lock = createRedisLock(redis, { leaseMs: 30, renewIntervalMs: 5, now: time.now });
+    const other = createRedisLock(redis, { leaseMs: 30, now: time.now });
+
+    const result = await lock.withLock(async (token) => {
+      await time.advance(80);
+      assert.strictEqual(lock.isHeld(token), true);
+      await assert.rejects(other.acquire({ timeoutMs: 0 }));
+      return 'attached';
+    });
+    assert.strictEqual(result, 'attached');
+    assert.strictEqual(await other.isLocked(), false);
+  });
+
+  it('takes over after a crashed holder lease expires', async (t) => {
+    const time = useFakeTime(t);
+    const redis = createFakeRedis({ now: time.now });
+    // A holder that died without releasing
+    await redis.call('SET', 'lock:reconnection', 'dead-owner', 'PX', 30);
+
+    const lock = createRedisLock(redis, { retryDelayMs: 5, now: time.now });
+    const acquiring = lock.acquire({ timeoutMs: 1000 });
+    await time.advance(29);
+    assert.strictEqual(await redis.call('GET', 'lock:reconnection'), 'dead-owner');
+    await time.advance(1);
+    const token = await acquiring;
+    assert.strictEqual(token, 1);
+    await lock.release(token);
+  });
+
+  it('reports a lost lease and auto-releases after maxHoldMs', async (t) => {
+    const time = useFakeTime(t);
+    const redis = createFakeRedis({ now: time.now });
+    const lost = [];
+    const lock = createRedisLock(redis, { leaseMs: 30, renewIntervalMs: 5, now: time.now, onLost: (token) => lost.push(token) });
+
+    const token = await lock.acquire();
+    await redis.call('DEL', 'lock:reconnection');
+    // Noticed at the next renewal
+    await time.advance(5);
+    assert.deepStrictEqual(lost, [token]);
+    assert.strictEqual(lock.isHeld(token), false);
+    assert.strictEqual(await lock.release(token), false);
+
+    const expired = [];
+    const bounded = createRedisLock(redis, { maxHoldMs: 10, now: time.now, onExpire: (expiredToken) => expired.push(expiredToken) });
+    const held = await bounded.acquire();
+    await time.advance(10);
+    assert.deepStrictEqual(expired, [held]);
+    assert.strictEqual(await bounded.isLocked(), false);
+  });
+
+  it('logs failing onLost and onExpire callbacks instead of throwing from a timer', async (t) => {
+    const time = useFakeTime(t);
+    const redis = createFakeRedis({ now: time.now });
+    const errors = [];
+    t.mock.method(console, 'error', (message) => errors.push(message));
+    const failing = () => {
+      throw new Error('listener broke');
+    };
+
+    const lock = createRedisLock(redis, { leaseMs: 30, renewIntervalMs: 5, now: time.now, onLost: failing });
+    const token = await lock.acquire();
+    await redis.call('DEL', 'lock:reconnection');
+    await time.advance(5);
+    assert.strictEqual(lock.isHeld(token), false);
+
+    const bounded = createRedisLock(redis, { name: 'bounded', maxHoldMs: 10, now: time.now, onExpire: failing });
+    await bounded.acquire();
+    await time.advance(10);
+    assert.strictEqual(await bounded.isLocked(), false);
+
+    const local = createReconnectionLock({ mode: 'async', name: 'local', maxHoldMs: 10, now: time.now, onExpire: failing });
+    const localToken = await local.acquire();
+    await time.advance(10);
+    assert.strictEqual(local.isHeld(localToken), false);
+
+    assert.deepStrictEqual(errors, [
+      'Lock reconnection onLost callback failed: listener broke',
+      'Lock bounded onExpire callback failed: listener broke',
+      'Lock local onExpire callback failed: listener broke'
+    ]);
+  });
+
+  it('validates lease settings', () => {
+    assert.throws(() => createRedisLock(createFakeRedis(), { leaseMs: 100, renewIntervalMs: 100 }),
+      /renewIntervalMs must be shorter than leaseMs/);
+  });
+});
+
+describeRedis('createRedisLock against a real Redis', (redis) => {
+  it('takes the lease, mints fencing tokens and only deletes its own lease', async () => {
+    const prefix = redis.prefix('lock');
+    const oldContainer = createRedisLock(redis.client, { prefix });
+    const newContainer = createRedisLock(redis.client, { prefix });
+
+    const first = await oldContainer.acquire();
+    assert.strictEqual(await newContainer.isLocked(), true);
+    await assert.rejects(newContainer.acquire({ timeoutMs: 0 }), (err) => err.code === 'ACQUIRE_TIMEOUT');
+    const ttl = await redis.client.pttl(`${prefix}reconnection`);
+    assert.ok(ttl > 0 && ttl <= 10000);
+
+    // The old lease expires while its holder still thinks it owns the lock
+    await redis.client.del(`${prefix}reconnection`);
+    const second = await newContainer.acquire({ timeoutMs: 0 });
+    assert.strictEqual(second, first + 1);
+    assert.strictEqual(await oldContainer.release(first), false);
+    assert.strictEqual(await newContainer.isLocked(), true);
+
+    assert.strictEqual(await newContainer.release(second), true);
+    assert.strictEqual(await newContainer.isLocked(), false);
+    await Promise.all([oldContainer.close(), newContainer.close()]);
+  });
+
+  it('renews its own lease and reports a lost one', async () => {
+    const prefix = redis.prefix('lock');
+    const lost = [];
+    const lock = createRedisLock(redis.client, { prefix, leaseMs: 1000, renewIntervalMs: 20, onLost: (token) => lost.push(token) });
+    const key = `${prefix}reconnection`;
+
+    const token = await lock.acquire();
+    await redis.client.pexpire(key, 100);
+    await eventually(async () => await redis.client.pttl(key) > 500);
+
+    await redis.client.del(key);
+    await eventually(() => lost.length > 0);
+    assert.deepStrictEqual(lost, [token]);
+    assert.strictEqual(lock.isHeld(token), false);
+    await lock.close();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for session token revocation.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  createRevocationList,
+  createRedisRevocationStore
+} = require('../lib/revocation');
+const { generateSessionToken, validateSessionToken } = require('../lib/session');
+const { createFakeRedis } = require('../lib/redis');
+const { describeRedis } = require('./helpers/redis');
+
+const secret = 'revocation-secret';
+
+describe('createRevocationList', () => {
+  it('rejects revoked tokens during validation', () => {
+    const revocationList = createRevocationList();
+    const token = generateSessionToken('s', secret, { expiresInMs: 60000 });
+
+    assert.strictEqual(validateSessionToken(token, secret, { revocationList }).valid, true);
+
+    revocationList.revoke(token);
+    const result = validateSessionToken(token, secret, { revocationList });
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.error, 'Token revoked');
+  });
+
+  it('revokes by jti and by v1 token', () => {
+    const revocationList = createRevocationList();
+    const v2 = generateSessionToken('s', secret, { jti: 'token-1' });
+    const v1 = generateSessionToken('s', secret);
+
+    revocationList.revoke('token-1');
+    revocationList.revoke(v1);
+    assert.strictEqual(revocationList.isRevoked(v2), true);
+    assert.strictEqual(revocationList.isRevoked(v1), true);
+  });
+
+  it('forgets revocations once the token has expired', () => {
+    let now = 1700000000000;
+    const revocationList = createRevocationList({ now: () => now });
+    const token = generateSessionToken('s', secret, { expiresInMs: 60000, now: () => now });
+
+    revocationList.revoke(token);
+    now += 61000;
+    assert.strictEqual(revocationList.isRevoked(token), false);
+    revocationList.cleanup();
+    assert.strictEqual(revocationList.size(), 0);
+  });
+
+  it('enforces single use', () => {
+    const revocationList = createRevocationList();
+    const token = generateSessionToken('s', secret, { expiresInMs: 60000 });
+    const options = { revocationList, singleUse: true };
+
+    assert.strictEqual(validateSessionToken(token, secret, options).valid, true);
+    assert.strictEqual(validateSessionToken(token, secret, options).error, 'Token revoked or already used');
+  });
+
+  it('remembers single-use tokens without exp for maxAgeMs', () => {
+    let now = 1700000000000;
+    const revocationList = createRevocationList({ now: () => now, defaultTtlMs: 60000 });
+    const token = generateSessionToken('s', secret, { now: () => now });
+
+    assert.deepStrictEqual(validateSessionToken(token, secret, { revocationList, singleUse: true, now: () => now }), {
+      valid: false,
+      error: 'Single-use tokens need an exp claim or maxAgeMs'
+    });
+
+    const options = { revocationList, singleUse: true, maxAgeMs: 10 * 60000, now: () => now };
+    assert.strictEqual(validateSessionToken(token, secret, options).valid, true);
+    // Still remembered after defaultTtlMs, for as long as maxAgeMs accepts the token
+    now += 9 * 60000;
+    assert.strictEqual(validateSessionToken(token, secret, options).error, 'Token revoked or already used');
+    now += 2 * 60000;
+    assert.strictEqual(validateSessionToken(token, secret, options).error, 'Token expired');
+  });
+
+  it('works asynchronously with a Redis store', async () => {
+    const revocationList = createRevocationList({ store: createRedisRevocationStore(createFakeRedis()) });
+    const token = generateSessionToken('s', secret, { expiresInMs: 60000 });
+    const options = { revocationList, singleUse: true };
+
+    assert.strictEqual((await validateSessionToken(token, secret, options)).valid, true);
+    assert.strictEqual((await validateSessionToken(token, secret, options)).valid, false);
+    assert.strictEqual(await revocationList.size(), 1);
+  });
+});
+
+describeRedis('createRedisRevocationStore against a real Redis', (redis) => {
+  it('shares revocations and single use between processes', async () => {
+    const prefix = redis.prefix('revoked');
+    const first = createRevocationList({ store: createRedisRevocationStore(redis.client, { prefix }) });
+    const second = createRevocationList({ store: createRedisRevocationStore(redis.client, { prefix }) });
+    const token = generateSessionToken('s', secret, { jti: 'handoff-1', expiresInMs: 60000 });
+
+    assert.strictEqual((await validateSessionToken(token, secret, { revocationList: first, singleUse: true })).valid, true);
+    assert.strictEqual((await validateSessionToken(token, secret, { revocationList: second, singleUse: true })).valid, false);
+    const ttl = await redis.client.pttl(`${prefix}handoff-1`);
+    assert.ok(ttl > 0 && ttl <= 60000);
+
+    await first.revoke('kicked');
+    assert.strictEqual(await second.isRevoked('kicked'), true);
+    assert.strictEqual(await second.isRevoked('other'), false);
+    assert.strictEqual(await second.size(), 2);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Tests for the session lifecycle state machine.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createSessionLifecycle } = require('../lib/session-lifecycle');
+const { createReconnectionLock, createKeyedLock } = require('../lib/reconnection-lock');
+const { createMetrics } = require('../lib/metrics');
+const { createWaitEstimator } = require('../lib/wait-estimator');
+const { useFakeTime } = require('./helpers/fake-time');
+
+/**
+ * Record transitions and warnings.
+ *
+ * @param {Object} lifecycle - Lifecycle from createSessionLifecycle
+ * @returns {Array<string>} 'from->to:reason' and 'warning:reason:remainingMs' entries
+ */
+function recordEvents(lifecycle) {
+  const events = [];
+  lifecycle.on('transition', ({ from, to, reason }) => events.push(`${from}->${to}:${reason}`));
+  lifecycle.on('warning', ({ reason, remainingMs }) => events.push(`warning:${reason}:${remainingMs}`));
+  return events;
+}
+
+/**
+ * Record the ended payload once the lifecycle reaches ended.
+ *
+ * @param {Object} lifecycle - Lifecycle from createSessionLifecycle
+ * @returns {Object} { payload }, set on ended
+ */
+function whenEnded(lifecycle) {
+  const ended = { payload: null };
+  lifecycle.on('ended', (payload) => {
+    ended.payload = payload;
+  });
+  return ended;
+}
+
+describe('createSessionLifecycle', () => {
+  it('walks through the states and records the session', async () => {
+    const metrics = createMetrics({ serviceName: 'test-queue-manager', getActiveSessionCount: () => 0, backend: 'prometheus' });
+    const cleaned = [];
+    const lifecycle = createSessionLifecycle({ id: 'abc', metrics, cleanup: async ({ reason }) => cleaned.push(reason) });
+    const events = recordEvents(lifecycle);
+
+    assert.strictEqual(lifecycle.state(), 'queued');
+    assert.throws(() => lifecycle.activate(), /Invalid session transition: queued -> active/);
+    lifecycle.start();
+    lifecycle.activate();
+    assert.strictEqual(lifecycle.info().remainingMs > 0, true);
+
+    const ending = lifecycle.end('user');
+    assert.strictEqual(lifecycle.state(), 'ending');
+    assert.strictEqual(lifecycle.end('error'), ending);
+    await ending;
+
+    assert.deepStrictEqual(events, [
+      'queued->starting:null',
+      'starting->active:null',
+      'active->ending:user',
+      'ending->ended:user'
+    ]);
+    assert.deepStrictEqual(cleaned, ['user']);
+    assert.strictEqual(lifecycle.info().reason, 'user');
+
+    const text = metrics.renderPrometheus();
+    assert.match(text, /^demo_sessions_started_total 1$/m);
+    assert.match(text, /^demo_sessions_ended_total\{reason="user"\} 1$/m);
+    assert.match(text, /^demo_session_duration_seconds_count\{reason="user"\} 1$/m);
+  });
+
+  it('warns before the session timeout and then ends it', async (t) => {
+    const time = useFakeTime(t);
+    const lifecycle = createSessionLifecycle({ id: 'abc', timeoutMs: 60, warningsMs: [20, 40], now: time.now });
+    const events = recordEvents(lifecycle);
+    const ended = whenEnded(lifecycle);
+    lifecycle.start();
+    lifecycle.activate();
+
+    await time.advance(20);
+    assert.deepStrictEqual(events.slice(2), ['warning:timeout:40']);
+    await time.advance(39);
+    assert.strictEqual(lifecycle.state(), 'active');
+    await time.advance(1);
+    assert.strictEqual(ended.payload.reason, 'timeout');
+    assert.deepStrictEqual(events.slice(2), [
+      'warning:timeout:40',
+      'warning:timeout:20',
+      'active->ending:timeout',
+      'ending->ended:timeout'
+    ]);
+  });
+
+  it('ends idle sessions unless touched', async (t) => {
+    const time = useFakeTime(t);
+    const lifecycle = createSessionLifecycle({ id: 'abc', idleTimeoutMs: 40, warningsMs: [], now: time.now });
+    const ended = whenEnded(lifecycle);
+    lifecycle.start();
+    lifecycle.activate();
+
+    for (let i = 0; i < 4; i++) {
+      await time.advance(39);
+      assert.strictEqual(lifecycle.touch(), true);
+    }
+    await time.advance(39);
+    assert.strictEqual(lifecycle.state(), 'active');
+    await time.advance(1);
+    assert.strictEqual(ended.payload.reason, 'idle');
+    assert.strictEqual(lifecycle.touch(), false);
+  });
+
+  it('ends after the grace period without a reconnect', async (t) => {
+    const time = useFakeTime(t);
+    const lifecycle = createSessionLifecycle({ id: 'abc', graceMs: 20, now: time.now });
+    const ended = whenEnded(lifecycle);
+    lifecycle.start();
+    lifecycle.activate();
+    assert.strictEqual(lifecycle.disconnect(), true);
+    assert.strictEqual(lifecycle.disconnect(), false);
+    assert.strictEqual(lifecycle.state(), 'disconnected-grace');
+
+    await time.advance(20);
+    assert.strictEqual(ended.payload.reason, 'disconnected');
+    assert.strictEqual(await lifecycle.reconnect(), false);
+  });
+
+  it('resumes from the grace period under the reconnection lock', async (t) => {
+    const time = useFakeTime(t);
+    const lock = createReconnectionLock({ mode: 'async', now: time.now });
+    const lifecycle = createSessionLifecycle({ id: 'abc', graceMs: 50, lock, now: time.now });
+    const events = recordEvents(lifecycle);
+    lifecycle.start();
+    lifecycle.activate();
+    lifecycle.disconnect();
+
+    // Two tabs reconnect at once; the lock serializes them
+    const attached = [];
+    const results = await Promise.all([
+      lifecycle.reconnect(async (token) => attached.push(token)),
+      lifecycle.reconnect(async (token) => attached.push(token))
+    ]);
+    assert.deepStrictEqual(results, [true, true]);
+    assert.strictEqual(attached.length, 2);
+    assert.ok(attached[1] > attached[0]);
+    assert.strictEqual(events.filter((e) => e.endsWith(':reconnected')).length, 1);
+
+    // The grace timer was cleared
+    await time.advance(50);
+    assert.strictEqual(lifecycle.state(), 'active');
+    await lifecycle.end();
+  });
+
+  it('returns to the grace period when attaching fails', async () => {
+    const locks = createKeyedLock();
+    const lifecycle = createSessionLifecycle({ id: 'abc', lock: locks });
+    lifecycle.start();
+    lifecycle.activate();
+    lifecycle.disconnect();
+
+    await assert.rejects(lifecycle.reconnect(async () => {
+      assert.strictEqual(locks.isLocked('abc'), true);
+      throw new Error('socket closed');
+    }), /socket closed/);
+    assert.strictEqual(lifecycle.state(), 'disconnected-grace');
+
+    // A busy flag lock refuses instead of waiting
+    const flag = createReconnectionLock();
+    const other = createSessionLifecycle({ id: 'def', lock: flag });
+    other.start();
+    other.activate();
+    other.disconnect();
+    flag.acquire();
+    assert.strictEqual(await other.reconnect(), false);
+    flag.release();
+    assert.strictEqual(await other.reconnect(), true);
+
+    await Promise.all([lifecycle.end(), other.end()]);
+  });
+
+  it('grants extensions up to the limit and the hard timeout', async () => {
+    let queued = 0;
+    const lifecycle = createSessionLifecycle({
+      id: 'abc',
+      timeoutMs: 1000,
+      hardTimeoutMs: 1500,
+      extensionMs: 400,
+      maxExtensions: 3,
+      allowExtension: () => queued === 0
+    });
+    const extended = [];
+    lifecycle.on('extended', ({ extensions }) => extended.push(extensions));
+
+    assert.deepStrictEqual(lifecycle.requestExtension(), { granted: false, reason: 'not-active' });
+    lifecycle.start();
+    lifecycle.activate();
+    const { deadline, hardDeadline } = lifecycle.info();
+
+    assert.deepStrictEqual(lifecycle.requestExtension(), { granted: true, deadline: deadline + 400 });
+    queued = 1;
+    assert.deepStrictEqual(lifecycle.requestExtension(), { granted: false, reason: 'denied' });
+    queued = 0;
+    // Capped at the hard timeout
+    assert.deepStrictEqual(lifecycle.requestExtension(), { granted: true, deadline: hardDeadline });
+    assert.deepStrictEqual(lifecycle.requestExtension(), { granted: false, reason: 'hard-timeout' });
+    assert.deepStrictEqual(extended, [1, 2]);
+    await lifecycle.end();
+  });
+
+  it('ends despite failing or hanging cleanup', async (t) => {
+    const time = useFakeTime(t);
+    const errors = [];
+    const originalError = console.error;
+    console.error = (message) => errors.push(message);
+    try {
+      const failing = createSessionLifecycle({ id: 'abc', now: time.now, cleanup: async () => {
+        throw new Error('docker rm failed');
+      } });
+      failing.start();
+      await failing.end('error');
+      assert.strictEqual(failing.state(), 'ended');
+
+      // Stuck in starting, then stuck in cleanup
+      const hanging = createSessionLifecycle({ id: 'def', timeoutMs: 10, hardTimeoutMs: 30, now: time.now, cleanup: () => new Promise(() => {}) });
+      const events = recordEvents(hanging);
+      const ended = whenEnded(hanging);
+      hanging.start();
+      hanging.end('error');
+      await time.advance(29);
+      assert.strictEqual(ended.payload, null);
+      await time.advance(1);
+      assert.strictEqual(ended.payload.reason, 'error');
+      assert.deepStrictEqual(events, ['queued->starting:null', 'starting->ending:error', 'ending->ended:error']);
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepStrictEqual(errors, [
+      'Session abc cleanup failed: docker rm failed',
+      'Session def cleanup did not finish before the hard timeout'
+    ]);
+  });
+
+  it('ends queued sessions without recording them and feeds the wait estimator', async () => {
+    const estimator = createWaitEstimator({ minSamples: 1 });
+    const cancelled = createSessionLifecycle({ id: 'abc', estimator });
+    await cancelled.end('left');
+    assert.strictEqual(cancelled.state(), 'ended');
+    assert.strictEqual(estimator.stats().sessions, 0);
+
+    const lifecycle = createSessionLifecycle({ id: 'def', estimator });
+    lifecycle.start();
+    assert.strictEqual(estimator.stats().activeSessions, 1);
+    lifecycle.activate();
+    await lifecycle.end();
+    assert.deepStrictEqual([estimator.stats().sessions, estimator.stats().activeSessions], [1, 0]);
+  });
+
+  it('validates options', () => {
+    assert.throws(() => createSessionLifecycle(), /id must be a non-empty string/);
+    assert.throws(() => createSessionLifecycle({ id: 'abc', timeoutMs: 100, hardTimeoutMs: 50 }), /hardTimeoutMs must be at least timeoutMs/);
+    assert.throws(() => createSessionLifecycle({ id: 'abc' }).on('paused', () => {}), /Unknown session event: paused/);
+  });
+});
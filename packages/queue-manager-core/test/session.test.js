@@ -9,6 +9,12 @@ const {
   validateSessionToken,
   isSessionTokenExpired
 } = require('../lib/session');
+const {
+  createKeyring,
+  createKeyringFromJWKS,
+  generateSigningKey,
+  loadKeyring
+} = require('../lib/keyring');
 
 describe('generateSessionToken', () => {
   it('generates a valid token format', () => {
@@ -85,3 +91,183 @@ describe('isSessionTokenExpired', () => {
     assert.ok(result.error);
   });
 });
+
+describe('v2 session tokens', () => {
+  const secret = 'test-secret-v2';
+  const start = 1700000000000;
+
+  it('round-trips claims', () => {
+    const token = generateSessionToken('my-session', secret, {
+      audience: 'jira-demo',
+      expiresInMs: 60 * 60 * 1000,
+      claims: { scenario: 'issues', invite: 'abc' },
+      now: () => start
+    });
+    assert.ok(token.startsWith('v2.'));
+
+    const result = validateSessionToken(token, secret, { audience: 'jira-demo', now: () => start });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.version, 2);
+    assert.strictEqual(result.sessionId, 'my-session');
+    assert.strictEqual(result.timestamp, start);
+    assert.strictEqual(result.claims.scenario, 'issues');
+    assert.strictEqual(result.claims.exp, start / 1000 + 3600);
+    assert.ok(result.claims.jti);
+  });
+
+  it('enforces exp with clock skew', () => {
+    const token = generateSessionToken('s', secret, { expiresInMs: 1000, now: () => start });
+
+    const late = () => start + 5000;
+    assert.strictEqual(validateSessionToken(token, secret, { now: late }).error, 'Token expired');
+    assert.strictEqual(validateSessionToken(token, secret, { now: late, clockSkewMs: 5000 }).valid, true);
+  });
+
+  it('enforces nbf', () => {
+    const token = generateSessionToken('s', secret, { notBeforeMs: 10000, now: () => start });
+
+    assert.strictEqual(validateSessionToken(token, secret, { now: () => start }).error, 'Token not yet valid');
+    assert.strictEqual(validateSessionToken(token, secret, { now: () => start + 10000 }).valid, true);
+  });
+
+  it('rejects the wrong audience', () => {
+    const token = generateSessionToken('s', secret, { audience: 'jira-demo' });
+    const result = validateSessionToken(token, secret, { audience: 'splunk-demo' });
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.error, 'Invalid audience');
+  });
+
+  it('rejects v1 tokens when an audience is required', () => {
+    const token = generateSessionToken('legacy', secret);
+    assert.deepStrictEqual(validateSessionToken(token, secret, { audience: 'jira-demo' }), { valid: false, error: 'Invalid audience' });
+    // Nor does a v2 token without an aud claim
+    const unscoped = generateSessionToken('s', secret, { expiresInMs: 60000 });
+    assert.strictEqual(validateSessionToken(unscoped, secret, { audience: 'jira-demo' }).error, 'Invalid audience');
+  });
+
+  it('rejects tampered claims', () => {
+    const token = generateSessionToken('s', secret, { claims: { role: 'user' } });
+    const [prefix, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    claims.role = 'admin';
+    const tampered = `${prefix}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+
+    assert.strictEqual(validateSessionToken(tampered, secret).error, 'Invalid signature');
+  });
+
+  it('accepts v1 tokens unless disabled', () => {
+    const token = generateSessionToken('legacy', secret);
+    assert.strictEqual(validateSessionToken(token, secret).version, 1);
+    assert.strictEqual(validateSessionToken(token, secret, { allowV1: false }).valid, false);
+  });
+
+  it('isSessionTokenExpired honors exp', () => {
+    const token = generateSessionToken('s', secret, { expiresInMs: 1000, now: () => start });
+    assert.strictEqual(isSessionTokenExpired(token, secret, 24 * 60 * 60 * 1000).expired, true);
+  });
+});
+
+describe('keyring signing', () => {
+  it('signs with the current key and embeds its kid', () => {
+    const keyring = createKeyring([
+      { kid: 'new', secret: 'new-secret' },
+      { kid: 'old', secret: 'old-secret' }
+    ]);
+
+    const token = generateSessionToken('s', keyring, {});
+    const result = validateSessionToken(token, keyring);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.claims.kid, 'new');
+    assert.strictEqual(validateSessionToken(token, 'new-secret').valid, true);
+  });
+
+  it('keeps validating tokens signed before a rotation', () => {
+    let now = 1700000000000;
+    const keyring = createKeyring([{ kid: 'k1', secret: 'secret-1' }], { now: () => now });
+    const before = generateSessionToken('s', keyring, {});
+    const legacy = generateSessionToken('s', 'secret-1');
+
+    keyring.rotate({ kid: 'k2', secret: 'secret-2' }, { retireAfterMs: 60000 });
+    const after = generateSessionToken('s', keyring, {});
+    assert.strictEqual(validateSessionToken(after, keyring).claims.kid, 'k2');
+    assert.strictEqual(validateSessionToken(before, keyring).valid, true);
+    assert.strictEqual(validateSessionToken(legacy, keyring).valid, true);
+
+    now += 60000;
+    assert.strictEqual(validateSessionToken(before, keyring).error, 'Unknown or retired signing key');
+    assert.strictEqual(validateSessionToken(legacy, keyring).valid, false);
+    assert.deepStrictEqual(keyring.prune(), ['k1']);
+  });
+
+  it('loads keyrings from env vars', () => {
+    const keyring = loadKeyring({ env: { SESSION_SECRETS: 'b:secret-b, a:secret:with:colons' } });
+    assert.strictEqual(keyring.current().kid, 'b');
+    assert.strictEqual(keyring.get('a').secret, 'secret:with:colons');
+
+    const legacy = loadKeyring({ env: { SESSION_SECRET: 'only' } });
+    assert.deepStrictEqual(legacy.current(), { kid: 'default', alg: 'HS256', secret: 'only' });
+
+    assert.throws(() => loadKeyring({ env: {} }), /No keyring found/);
+  });
+
+  it('rejects invalid key ids', () => {
+    assert.throws(() => createKeyring([{ kid: 'bad kid', secret: 'x' }]), /kid must be/);
+  });
+});
+
+describe('asymmetric signing', () => {
+  for (const alg of ['EdDSA', 'ES256']) {
+    it(`signs with ${alg} and verifies with public keys only`, () => {
+      const signer = createKeyring([generateSigningKey('k1', alg)]);
+      const token = generateSessionToken('s', signer, { audience: 'jira-demo', expiresInMs: 60000 });
+
+      const jwks = signer.toJWKS();
+      assert.strictEqual(jwks.keys.length, 1);
+      assert.strictEqual(jwks.keys[0].kid, 'k1');
+      assert.strictEqual(jwks.keys[0].alg, alg);
+      assert.strictEqual(jwks.keys[0].d, undefined);
+
+      const verifier = createKeyringFromJWKS(JSON.parse(JSON.stringify(jwks)));
+      const result = validateSessionToken(token, verifier, { audience: 'jira-demo' });
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.sessionId, 's');
+      assert.throws(() => verifier.current(), /cannot sign/);
+
+      const [prefix, payload, signature] = token.split('.');
+      const tampered = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'x' }))
+        .toString('base64url');
+      assert.strictEqual(validateSessionToken(`${prefix}.${tampered}.${signature}`, verifier).error, 'Invalid signature');
+    });
+  }
+
+  it('loads PEM keys and rejects mismatched algorithms', () => {
+    const key = generateSigningKey('k1', 'ES256');
+    const pem = key.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    const keyring = loadKeyring({ env: { SESSION_SECRETS: JSON.stringify([{ kid: 'k1', privateKey: pem }]) } });
+    assert.strictEqual(keyring.current().alg, 'ES256');
+
+    assert.throws(() => createKeyring([{ kid: 'k1', alg: 'EdDSA', privateKey: pem }]), /does not match alg/);
+    assert.throws(() => generateSessionToken('s', keyring), /v1 tokens require an HMAC secret/);
+  });
+
+  it('does not accept an HMAC secret in place of a public key', () => {
+    const signing = generateSigningKey('k1');
+    const verifier = createKeyring([{ kid: 'k1', publicKey: signing.publicKey }]);
+    const hmacRing = createKeyring([{ kid: 'k1', secret: 'guessable' }]);
+
+    const forged = generateSessionToken('s', hmacRing, {});
+    assert.strictEqual(validateSessionToken(forged, verifier).error, 'Invalid signature');
+  });
+
+  it('rotates from HMAC to Ed25519 without breaking live tokens', () => {
+    const keyring = createKeyring([{ kid: 'hmac', secret: 'old-secret' }]);
+    const before = generateSessionToken('s', keyring, {});
+
+    keyring.rotate(generateSigningKey('ed'), { retireAfterMs: 60000 });
+    const after = generateSessionToken('s', keyring, {});
+
+    assert.strictEqual(validateSessionToken(before, keyring).valid, true);
+    assert.strictEqual(validateSessionToken(after, keyring).claims.kid, 'ed');
+    assert.deepStrictEqual(keyring.toJWKS().keys.map((key) => key.kid), ['ed']);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for span helpers and W3C trace context propagation.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { trace, context, ROOT_CONTEXT, SpanStatusCode } = require('@opentelemetry/api');
+const { createMetrics, createSpanUtils, formatTraceparent, parseTraceparent } = require('../lib/metrics');
+const { createSessionEnvFile } = require('../lib/env-file');
+const { parseEnvFile } = require('../lib/dotenv');
+
+/**
+ * Create a recording span for the test tracer.
+ *
+ * @param {string} name - Span name
+ * @param {Object} options - SpanOptions
+ * @param {Object} [parent] - Parent span context
+ * @returns {Object} Span
+ */
+function createTestSpan(name, options, parent) {
+  const spanContext = {
+    traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+    spanId: crypto.randomBytes(8).toString('hex'),
+    traceFlags: 1,
+    traceState: parent ? parent.traceState : undefined
+  };
+  return {
+    name,
+    parentSpanId: parent ? parent.spanId : undefined,
+    attributes: { ...options.attributes },
+    links: options.links || [],
+    status: { code: SpanStatusCode.UNSET },
+    exceptions: [],
+    ended: false,
+    spanContext: () => spanContext,
+    setAttribute(key, value) {
+      this.attributes[key] = value;
+      return this;
+    },
+    setStatus(status) {
+      this.status = status;
+      return this;
+    },
+    recordException(err) {
+      this.exceptions.push(err);
+    },
+    isRecording: () => true,
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+// Register a recording tracer and an AsyncLocalStorage context manager
+const storage = new AsyncLocalStorage();
+context.setGlobalContextManager({
+  active: () => storage.getStore() || ROOT_CONTEXT,
+  with: (ctx, fn, thisArg, ...args) => storage.run(ctx, () => fn.call(thisArg, ...args)),
+  bind: (_ctx, target) => target,
+  enable() {
+    return this;
+  },
+  disable() {
+    return this;
+  }
+});
+trace.setGlobalTracerProvider({
+  getTracer: () => ({
+    startSpan: (name, options = {}, ctx = context.active()) => createTestSpan(name, options, trace.getSpanContext(ctx))
+  })
+});
+
+/**
+ * Create span helpers on a metrics manager with the given backend.
+ *
+ * @param {string} [backend='otel'] - Metrics backend
+ * @returns {Object} Span utilities
+ */
+function createTestSpans(backend = 'otel') {
+  return createSpanUtils(createMetrics({
+    serviceName: 'test-queue-manager',
+    getQueueLength: () => 0,
+    getActiveSessionCount: () => 0,
+    backend
+  }));
+}
+
+describe('traceparent format', () => {
+  it('round-trips span contexts', () => {
+    const spanContext = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', traceFlags: 1 };
+    const value = formatTraceparent(spanContext);
+    assert.strictEqual(value, '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+    assert.deepStrictEqual(parseTraceparent(value), spanContext);
+  });
+
+  it('rejects invalid values', () => {
+    for (const value of [
+      undefined,
+      '',
+      '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7',
+      'ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      '00-00000000000000000000000000000000-00f067aa0ba902b7-01',
+      '00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01',
+      '00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01',
+      '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra'
+    ]) {
+      assert.strictEqual(parseTraceparent(value), null, String(value));
+    }
+    // Future versions may append fields
+    assert.ok(parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra'));
+  });
+});
+
+describe('createSpanUtils', () => {
+  it('runs wrap callbacks in the span context and sets OK status', async () => {
+    const spans = createTestSpans();
+    let inner;
+    const result = await spans.wrap('session.start', { 'session.id': 'abc' }, async (span) => {
+      inner = await spans.wrap('ttyd.spawn', {}, async (child) => child);
+      return span;
+    });
+
+    assert.strictEqual(result.status.code, SpanStatusCode.OK);
+    assert.ok(result.ended);
+    assert.strictEqual(result.attributes['session.id'], 'abc');
+    assert.strictEqual(inner.parentSpanId, result.spanContext().spanId);
+    assert.strictEqual(inner.spanContext().traceId, result.spanContext().traceId);
+    assert.strictEqual(trace.getSpan(context.active()), undefined);
+  });
+
+  it('sets ERROR status and records the exception when wrap throws', async () => {
+    const spans = createTestSpans();
+    let captured;
+    await assert.rejects(spans.wrap('container.run', {}, async (span) => {
+      captured = span;
+      throw new Error('docker exited with 125');
+    }), /docker exited with 125/);
+
+    assert.deepStrictEqual(captured.status, { code: SpanStatusCode.ERROR, message: 'docker exited with 125' });
+    assert.strictEqual(captured.exceptions.length, 1);
+    assert.ok(captured.ended);
+  });
+
+  it('continues a trace carried by a WebSocket message', async () => {
+    const spans = createTestSpans();
+    const message = JSON.parse(JSON.stringify(await spans.wrap('browser.connect', {}, async () => {
+      return spans.inject({ type: 'join-queue' });
+    })));
+    assert.match(message.traceparent, /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+
+    const span = await spans.wrap('session.start', {}, async (s) => s, { parent: message });
+    const remote = parseTraceparent(message.traceparent);
+    assert.strictEqual(span.spanContext().traceId, remote.traceId);
+    assert.strictEqual(span.parentSpanId, remote.spanId);
+
+    // Without a valid traceparent the span starts a new trace
+    const root = await spans.wrap('session.start', {}, async (s) => s, { parent: { traceparent: 'garbage' } });
+    assert.strictEqual(root.parentSpanId, undefined);
+  });
+
+  it('preserves tracestate and reads upper case env carriers', () => {
+    const spans = createTestSpans();
+    const ctx = spans.extract({
+      TRACEPARENT: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      TRACESTATE: 'vendor=abc'
+    });
+    assert.deepStrictEqual(spans.injectEnv({ TOKEN: 'x' }, ctx), {
+      TOKEN: 'x',
+      TRACEPARENT: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      TRACESTATE: 'vendor=abc'
+    });
+    assert.strictEqual(spans.extract({}), null);
+    assert.strictEqual(spans.traceparent(), undefined);
+  });
+
+  it('writes the trace context into the session env file', async () => {
+    const spans = createTestSpans();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spans-env-test-'));
+    try {
+      const span = await spans.wrap('session.start', {}, async (s) => {
+        createSessionEnvFile({
+          sessionId: 'abc',
+          containerPath: dir,
+          hostPath: '/host/env',
+          credentials: spans.injectEnv({ TOKEN: 'x' })
+        });
+        return s;
+      });
+
+      // What the container sees, e.g. an OTel SDK reading TRACEPARENT
+      const env = parseEnvFile(fs.readFileSync(path.join(dir, 'session-abc.env'), 'utf8'));
+      const child = spans.start('container.run', {}, { parent: env });
+      assert.strictEqual(child.spanContext().traceId, span.spanContext().traceId);
+      assert.strictEqual(child.parentSpanId, span.spanContext().spanId);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('activates and ends manual spans', async () => {
+    const spans = createTestSpans();
+    const span = spans.start('session.active', {}, { links: [{ traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' }] });
+    assert.strictEqual(span.links[0].context.spanId, '00f067aa0ba902b7');
+
+    const traceparent = spans.withSpan(span, () => spans.traceparent());
+    assert.strictEqual(traceparent, formatTraceparent(span.spanContext()));
+
+    spans.end(span, new Error('idle timeout'));
+    assert.strictEqual(span.status.code, SpanStatusCode.ERROR);
+    assert.ok(span.ended);
+  });
+
+  it('runs callbacks without tracing on the noop backend', async () => {
+    const spans = createTestSpans('noop');
+    assert.strictEqual(await spans.wrap('session.start', {}, async (span) => span), null);
+    assert.strictEqual(spans.start('session.start'), null);
+    assert.deepStrictEqual(spans.inject({ type: 'status' }), { type: 'status' });
+    assert.strictEqual(spans.extract({ traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' }), null);
+    assert.strictEqual(spans.withSpan(null, () => 42), 42);
+  });
+});
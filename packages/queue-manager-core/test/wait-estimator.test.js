@@ -0,0 +1,120 @@
+/**
+ * Tests for the queue wait-time estimator.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createWaitEstimator } = require('../lib/wait-estimator');
+const { createQueue } = require('../lib/queue');
+
+const MINUTE = 60 * 1000;
+
+describe('createWaitEstimator', () => {
+  it('falls back to defaultSessionMs until sessions are observed', () => {
+    let now = 0;
+    const estimator = createWaitEstimator({ defaultSessionMs: 30 * MINUTE, now: () => now });
+    assert.deepStrictEqual(estimator.estimate(1), { etaMs: 0, lowMs: 0, highMs: 0, confidence: 0.8 });
+
+    estimator.sessionStarted('s1');
+    now = 10 * MINUTE;
+    const first = estimator.estimate(1);
+    assert.strictEqual(first.etaMs, 20 * MINUTE);
+    assert.ok(first.lowMs < first.etaMs && first.highMs > first.etaMs);
+
+    // One more full session for the client ahead
+    assert.strictEqual(estimator.estimate(2).etaMs, 50 * MINUTE);
+    assert.ok(estimator.estimate(3).highMs - estimator.estimate(3).lowMs > first.highMs - first.lowMs);
+  });
+
+  it('uses the remaining time of sessions that ran at least as long', () => {
+    let now = 0;
+    const estimator = createWaitEstimator({ now: () => now });
+    for (const minutes of [10, 20, 30]) {
+      estimator.recordSession(minutes * MINUTE);
+    }
+    estimator.sessionStarted('s1');
+    now = 15 * MINUTE;
+
+    // Of the past sessions only the 20 and 30 minute ones lasted this long
+    assert.strictEqual(estimator.estimate(1).etaMs, 10 * MINUTE);
+    assert.strictEqual(estimator.estimate(2).etaMs, 30 * MINUTE);
+
+    // Half of the clients ahead leave before their turn
+    estimator.recordQueueExit('promoted');
+    estimator.recordQueueExit('abandoned');
+    assert.strictEqual(estimator.estimate(3).etaMs, 30 * MINUTE);
+    assert.strictEqual(estimator.stats().abandonRate, 0.5);
+
+    // Past every observed duration the session is expected to end any moment
+    now = 45 * MINUTE;
+    assert.strictEqual(estimator.estimate(1).etaMs, 0);
+  });
+
+  it('spreads sessions over several slots', () => {
+    let now = 0;
+    const estimator = createWaitEstimator({ slots: 2, now: () => now });
+    for (let i = 0; i < 3; i++) {
+      estimator.recordSession(20 * MINUTE);
+    }
+    estimator.sessionStarted('s1');
+    assert.strictEqual(estimator.estimate(1).etaMs, 0);
+    assert.strictEqual(estimator.estimate(2).etaMs, 20 * MINUTE);
+    estimator.sessionStarted('s2');
+    now = 10 * MINUTE;
+    assert.strictEqual(estimator.estimate(1).etaMs, 10 * MINUTE);
+    assert.strictEqual(estimator.estimate(3).etaMs, 20 * MINUTE);
+  });
+
+  it('keeps a rolling window of ended sessions', () => {
+    let now = 0;
+    const estimator = createWaitEstimator({ windowSize: 2, minSamples: 1, now: () => now });
+    for (const [id, minutes] of [['a', 40], ['b', 10], ['c', 20]]) {
+      estimator.sessionStarted(id, now);
+      now += minutes * MINUTE;
+      assert.strictEqual(estimator.sessionEnded(id), minutes * MINUTE);
+    }
+    assert.strictEqual(estimator.sessionEnded('a'), null);
+    assert.deepStrictEqual(estimator.stats(), {
+      sessions: 2,
+      meanSessionMs: 15 * MINUTE,
+      stdDevSessionMs: 5 * MINUTE,
+      abandonRate: 0,
+      activeSessions: 0
+    });
+  });
+
+  it('validates options and inputs', () => {
+    assert.throws(() => createWaitEstimator({ slots: 0 }), /slots must be a positive integer/);
+    assert.throws(() => createWaitEstimator({ confidence: 0.85 }), /Unsupported confidence: 0.85/);
+    const estimator = createWaitEstimator();
+    assert.throws(() => estimator.estimate(0), /position must be a positive integer/);
+    assert.throws(() => estimator.recordQueueExit('left'), /Unknown queue exit: left/);
+    assert.throws(() => estimator.recordSession(-1), /non-negative/);
+  });
+});
+
+describe('createQueue with a wait estimator', () => {
+  it('adds ETAs to position updates and feeds queue exits back', () => {
+    let now = 0;
+    const estimator = createWaitEstimator({ defaultSessionMs: 20 * MINUTE, now: () => now });
+    const queue = createQueue({ estimator, now: () => now });
+    const updates = [];
+    queue.on('position-changed', ({ id, position, eta }) => updates.push([id, position, eta.etaMs]));
+
+    estimator.sessionStarted('current');
+    queue.enqueue('a');
+    queue.enqueue('b');
+    queue.enqueue('c');
+    assert.deepStrictEqual(updates, [['a', 1, 20 * MINUTE], ['b', 2, 40 * MINUTE], ['c', 3, 60 * MINUTE]]);
+
+    // What the landing page shows before a visitor joins
+    assert.strictEqual(queue.estimate().etaMs, 80 * MINUTE);
+    assert.strictEqual(queue.estimate('b').etaMs, 40 * MINUTE);
+    assert.strictEqual(queue.estimate('missing'), null);
+
+    queue.remove('a', 'disconnected');
+    queue.dequeue();
+    assert.strictEqual(estimator.stats().abandonRate, 0.5);
+    assert.strictEqual(createQueue().estimate(), null);
+  });
+});